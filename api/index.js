@@ -5,33 +5,58 @@
 
 const express = require("express");
 const cors = require("cors");
-const path = require("path");
-const { existsSync, mkdirSync } = require("fs");
+
+// Load configuration first - it creates the upload directories
+require("../server/config");
 
 // Import routes
 const compressionRoutes = require("../server/routes/compression");
+const presetRoutes = require("../server/routes/presets");
+const { apiAuth, usageHandler } = require("../server/middleware/apiAuth");
+const { requestLogger } = require("../server/middleware/requestLogger");
+const logger = require("../server/services/logger");
+const { getOpenApiDocument } = require("../server/services/openapi");
+const { renderMetrics } = require("../server/services/metrics");
+const fileRegistry = require("../server/services/fileRegistry");
 
 // Initialize Express app
 const app = express();
 
-// Ensure /tmp directories exist (Vercel only allows writing to /tmp)
-const uploadsDir = "/tmp/uploads";
-const compressedDir = "/tmp/compressed";
-
-if (!existsSync(uploadsDir)) {
-  mkdirSync(uploadsDir, { recursive: true });
-}
-if (!existsSync(compressedDir)) {
-  mkdirSync(compressedDir, { recursive: true });
-}
-
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Request ids (X-Request-Id) and one log line per request
+app.use("/api", requestLogger);
+
+// No timers run between invocations, so requests start the cleanup of
+// expired files (at most every 5 minutes per instance)
+app.use("/api", fileRegistry.cleanupWhenDue);
+
+// API keys and usage limits (only when a key store is configured)
+app.use("/api", apiAuth);
+app.get("/api/usage", usageHandler);
+
+// OpenAPI description of every /api route, generated from their schemas
+app.get("/api/openapi.json", (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+// Prometheus metrics (uploads, compressions, failures, timings, storage)
+app.get("/api/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(await renderMetrics());
+  } catch (error) {
+    logger.error("Metrics failed", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // API Routes - mount at root since Vercel rewrites /api/* to this function
 app.use("/api", compressionRoutes);
+app.use("/api", presetRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -44,7 +69,7 @@ app.get("/api/health", (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error("Server Error:", err);
+  logger.error("Unhandled error", { error: err });
   res.status(500).json({
     error: "Internal server error",
     message: err.message,
@@ -0,0 +1,17 @@
+/**
+ * Copy the modules the desktop app shares with the server into the app,
+ * which is run and packaged on its own. Runs before `npm start` and every
+ * build; the copies are not committed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SHARED_MODULES = ["server/services/metadataPolicy.js"];
+
+for (const modulePath of SHARED_MODULES) {
+  fs.copyFileSync(
+    path.join(__dirname, "..", modulePath),
+    path.join(__dirname, path.basename(modulePath)),
+  );
+}
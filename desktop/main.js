@@ -10,6 +10,12 @@ const sharp = require("sharp");
 const ffmpeg = require("fluent-ffmpeg");
 const ffmpegStatic = require("ffmpeg-static");
 const ffprobeStatic = require("ffprobe-static");
+const {
+  applyMetadataPolicy,
+  stripLocation,
+  resetOrientation,
+  resolveOrientation,
+} = require("./metadataPolicy");
 
 // Set FFmpeg paths
 ffmpeg.setFfmpegPath(ffmpegStatic);
@@ -83,17 +89,7 @@ ipcMain.handle("compress-image", async (event, { filePath, options }) => {
     const fileName = path.basename(filePath);
     const ext = path.extname(filePath).toLowerCase();
 
-    let pipeline = sharp(inputBuffer);
-    const metadata = await pipeline.metadata();
-
-    // Resize if requested
-    if (options.resizeWidth || options.resizeHeight) {
-      pipeline = pipeline.resize(
-        options.resizeWidth || null,
-        options.resizeHeight || null,
-        { fit: "inside", withoutEnlargement: true },
-      );
-    }
+    const metadata = await sharp(inputBuffer).metadata();
 
     // Determine output format
     let outputFormat = options.outputFormat || "original";
@@ -104,10 +100,60 @@ ipcMain.handle("compress-image", async (event, { filePath, options }) => {
         ".png": "png",
         ".gif": "gif",
         ".webp": "webp",
+        ".avif": "avif",
       };
       outputFormat = formatMap[ext] || "jpeg";
     }
 
+    // Keep every frame of animated GIF/WebP when the output can be animated
+    const animated =
+      metadata.pages > 1 && ["gif", "webp"].includes(outputFormat);
+    const animation = {};
+    if (animated) {
+      if (metadata.loop !== undefined) animation.loop = metadata.loop;
+      if (metadata.delay) animation.delay = metadata.delay;
+    }
+
+    // Metadata is stripped unless the user asks to keep some of it
+    const metadataPolicy = options.metadata || "strip-all";
+    let source =
+      metadataPolicy === "strip-location"
+        ? stripLocation(inputBuffer, metadata.exif)
+        : inputBuffer;
+
+    // Orient the pixels: EXIF orientation plus any manual rotate/flip
+    let pipeline;
+    if (options.rotate || options.flip || options.flop) {
+      if (animated) {
+        throw new Error(
+          "Rotating or flipping animated images is not supported",
+        );
+      }
+      const { angle, flip, flop } = resolveOrientation(metadata.orientation, {
+        rotate: options.rotate,
+        flip: options.flip,
+        flop: options.flop,
+      });
+      if (metadata.orientation > 1) {
+        source = resetOrientation(source, metadata.exif);
+      }
+      pipeline = sharp(source, { animated });
+      if (flip) pipeline = pipeline.flip();
+      if (flop) pipeline = pipeline.flop();
+      if (angle) pipeline = pipeline.rotate(angle);
+    } else {
+      pipeline = sharp(source, { animated }).rotate();
+    }
+
+    // Resize if requested (applies to the oriented dimensions)
+    if (options.resizeWidth || options.resizeHeight) {
+      pipeline = pipeline.resize(
+        options.resizeWidth || null,
+        options.resizeHeight || null,
+        { fit: "inside", withoutEnlargement: true },
+      );
+    }
+
     // Apply compression
     const quality = options.quality || 80;
     switch (outputFormat) {
@@ -118,20 +164,51 @@ ipcMain.handle("compress-image", async (event, { filePath, options }) => {
         pipeline = pipeline.png({ quality, compressionLevel: 9 });
         break;
       case "webp":
-        pipeline = pipeline.webp({ quality });
+        pipeline = pipeline.webp({ quality, ...animation });
         break;
       case "gif":
-        pipeline = pipeline.gif();
+        pipeline = pipeline.gif(animation);
+        break;
+      case "avif":
+        // Map the slider onto AVIF's more aggressive CQ scale (see server)
+        pipeline = pipeline.avif({
+          quality: Math.max(1, Math.round(quality * 0.63)),
+          lossless: quality === 100,
+          effort: 4,
+          chromaSubsampling: quality > 90 ? "4:4:4" : "4:2:0",
+        });
         break;
     }
 
-    const outputBuffer = await pipeline.toBuffer();
+    pipeline = applyMetadataPolicy(
+      pipeline,
+      metadataPolicy,
+      options.convertToSrgb !== false,
+    );
+
+    const { data: outputBuffer, info } = await pipeline.toBuffer({
+      resolveWithObject: true,
+    });
 
     // Determine output extension
-    const extMap = { jpeg: ".jpg", png: ".png", webp: ".webp", gif: ".gif" };
+    const extMap = {
+      jpeg: ".jpg",
+      png: ".png",
+      webp: ".webp",
+      gif: ".gif",
+      avif: ".avif",
+    };
     const outExt = extMap[outputFormat] || ext;
     const outName = fileName.replace(/\.[^.]+$/, outExt);
 
+    // Same warning as the server when frames were dropped
+    const warning =
+      metadata.pages > 1 && !animated
+        ? `Only the first of ${
+            metadata.pages
+          } frames was kept: ${outputFormat.toUpperCase()} does not support animation`
+        : undefined;
+
     return {
       success: true,
       originalName: fileName,
@@ -139,8 +216,11 @@ ipcMain.handle("compress-image", async (event, { filePath, options }) => {
       originalSize: inputBuffer.length,
       compressedSize: outputBuffer.length,
       compressedData: outputBuffer.toString("base64"),
-      width: metadata.width,
-      height: metadata.height,
+      width: info.width,
+      // Animated output is a strip of frames: report a single frame
+      height: info.pageHeight || info.height,
+      frames: info.pages || 1,
+      warning,
     };
   } catch (error) {
     return { success: false, error: error.message };
@@ -322,7 +402,12 @@ ipcMain.handle("select-files", async (event, type) => {
   const filters =
     type === "video"
       ? [{ name: "Videos", extensions: ["mp4", "mov", "avi", "mkv", "webm"] }]
-      : [{ name: "Images", extensions: ["jpg", "jpeg", "png", "gif", "webp"] }];
+      : [
+          {
+            name: "Images",
+            extensions: ["jpg", "jpeg", "png", "gif", "webp", "avif"],
+          },
+        ];
 
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ["openFile", "multiSelections"],
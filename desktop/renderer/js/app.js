@@ -119,6 +119,11 @@ async function compressAllImages() {
 
   const quality = parseInt(document.getElementById("qualitySlider").value);
   const outputFormat = document.getElementById("outputFormat").value;
+  const metadata = document.getElementById("metadataPolicy").value;
+  const convertToSrgb = document.getElementById("convertToSrgb").checked;
+  const rotate = parseInt(document.getElementById("rotateAngle").value);
+  const flip = document.getElementById("flipVertical").checked;
+  const flop = document.getElementById("flipHorizontal").checked;
   const total = state.imageFiles.length;
 
   for (let i = 0; i < total; i++) {
@@ -130,6 +135,11 @@ async function compressAllImages() {
     const result = await window.compressIt.compressImage(f.path, {
       quality,
       outputFormat,
+      metadata,
+      convertToSrgb,
+      rotate,
+      flip,
+      flop,
     });
 
     if (result.success) {
@@ -174,7 +184,9 @@ function showImageResults() {
             )}</span> → <span class="compressed">${formatSize(
         r.compressedSize,
       )}</span>
+            ${r.frames > 1 ? `<span>· ${r.frames} frames</span>` : ""}
           </div>
+          ${r.warning ? `<div class="warning">${r.warning}</div>` : ""}
         </div>
         <span class="badge">-${saved}%</span>
         <button class="save-btn" onclick="saveImage(${i})">Save</button>
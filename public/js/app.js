@@ -11,6 +11,11 @@ const state = {
   files: [], // Uploaded files info
   results: [], // Compression results
   isCompressing: false,
+  jobId: null, // Background job being followed, cancellable
+  compressRequest: null, // AbortController of a streamed compression
+  watermarkLogoId: null, // Uploaded watermark logo, cleaned up on reset
+  config: null, // Server limits and defaults, from /api/config
+  presets: [], // Saved presets, from /api/presets
 };
 
 // =============================================================================
@@ -21,14 +26,47 @@ const elements = {
   // Upload
   uploadArea: document.getElementById("uploadArea"),
   fileInput: document.getElementById("fileInput"),
+  urlImportForm: document.getElementById("urlImportForm"),
+  urlImportInput: document.getElementById("urlImportInput"),
+  urlImportBtn: document.getElementById("urlImportBtn"),
+  uploadLimits: document.getElementById("uploadLimits"),
 
   // Settings
   settingsSection: document.getElementById("settingsSection"),
+  presetSelect: document.getElementById("presetSelect"),
+  savePresetBtn: document.getElementById("savePresetBtn"),
   qualitySlider: document.getElementById("qualitySlider"),
   qualityValue: document.getElementById("qualityValue"),
+  autoQuality: document.getElementById("autoQuality"),
   outputFormat: document.getElementById("outputFormat"),
+  metadataPolicy: document.getElementById("metadataPolicy"),
+  convertToSrgb: document.getElementById("convertToSrgb"),
   resizeWidth: document.getElementById("resizeWidth"),
   resizeHeight: document.getElementById("resizeHeight"),
+  targetSizeKB: document.getElementById("targetSizeKB"),
+  rotateAngle: document.getElementById("rotateAngle"),
+  cropMode: document.getElementById("cropMode"),
+  cropAspectRatio: document.getElementById("cropAspectRatio"),
+  cropPosition: document.getElementById("cropPosition"),
+  flipVertical: document.getElementById("flipVertical"),
+  flipHorizontal: document.getElementById("flipHorizontal"),
+  watermarkType: document.getElementById("watermarkType"),
+  watermarkOptions: document.getElementById("watermarkOptions"),
+  watermarkText: document.getElementById("watermarkText"),
+  watermarkFontSize: document.getElementById("watermarkFontSize"),
+  watermarkColor: document.getElementById("watermarkColor"),
+  watermarkLogo: document.getElementById("watermarkLogo"),
+  watermarkScale: document.getElementById("watermarkScale"),
+  watermarkOpacity: document.getElementById("watermarkOpacity"),
+  watermarkOpacityValue: document.getElementById("watermarkOpacityValue"),
+  watermarkPosition: document.getElementById("watermarkPosition"),
+  watermarkMargin: document.getElementById("watermarkMargin"),
+  responsiveEnabled: document.getElementById("responsiveEnabled"),
+  responsiveOptions: document.getElementById("responsiveOptions"),
+  responsiveWidths: document.getElementById("responsiveWidths"),
+  responsiveFormats: document.getElementById("responsiveFormats"),
+  responsiveSizes: document.getElementById("responsiveSizes"),
+  responsivePathPrefix: document.getElementById("responsivePathPrefix"),
   compressBtn: document.getElementById("compressBtn"),
 
   // Files
@@ -41,6 +79,7 @@ const elements = {
   progressSection: document.getElementById("progressSection"),
   progressFill: document.getElementById("progressFill"),
   progressCount: document.getElementById("progressCount"),
+  cancelJobBtn: document.getElementById("cancelJobBtn"),
 
   // Results
   resultsSection: document.getElementById("resultsSection"),
@@ -96,6 +135,16 @@ function showToast(message, type = "info") {
   }, 3000);
 }
 
+/**
+ * Escape text for an HTML attribute
+ */
+function escapeAttribute(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;");
+}
+
 /**
  * Create a thumbnail URL from file
  */
@@ -107,7 +156,13 @@ function createThumbnail(file) {
  * Validate file type
  */
 function isValidImageType(file) {
-  const validTypes = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+  const validTypes = [
+    "image/jpeg",
+    "image/png",
+    "image/gif",
+    "image/webp",
+    "image/avif",
+  ];
   return validTypes.includes(file.type);
 }
 
@@ -124,8 +179,12 @@ function handleFiles(fileList) {
       showToast(`${file.name} is not a supported image type`, "error");
       return false;
     }
-    if (file.size > 50 * 1024 * 1024) {
-      showToast(`${file.name} exceeds 50MB limit`, "error");
+    // Limits are checked by the server too, so skip them until loaded
+    if (state.config && file.size > state.config.maxFileSize) {
+      showToast(
+        `${file.name} exceeds ${formatFileSize(state.config.maxFileSize)} limit`,
+        "error"
+      );
       return false;
     }
     return true;
@@ -133,8 +192,11 @@ function handleFiles(fileList) {
 
   if (validFiles.length === 0) return;
 
-  if (state.files.length + validFiles.length > 20) {
-    showToast("Maximum 20 files allowed", "warning");
+  if (
+    state.config &&
+    state.files.length + validFiles.length > state.config.maxFiles
+  ) {
+    showToast(`Maximum ${state.config.maxFiles} files allowed`, "warning");
     return;
   }
 
@@ -178,7 +240,9 @@ function clearAllFiles() {
 function updateFilesUI() {
   if (state.files.length === 0) {
     elements.filesSection.style.display = "none";
-    elements.settingsSection.style.display = "none";
+    // Settings also apply to images imported from a URL
+    elements.settingsSection.style.display =
+      elements.urlImportInput.value.trim() ? "block" : "none";
     return;
   }
 
@@ -234,17 +298,169 @@ async function uploadFiles() {
 }
 
 /**
- * Compress uploaded files
+ * Match uploaded files to the local files they were sent from. The server
+ * keeps the order files were sent in but leaves out the ones it rejected,
+ * so positions in the two lists don't line up.
+ * @returns {Map} Upload id -> entry of state.files
+ */
+function mapUploadsToFiles(uploadedFiles) {
+  const localFiles = new Map();
+  let next = 0;
+
+  uploadedFiles.forEach((upload) => {
+    while (
+      next < state.files.length &&
+      (state.files[next].name !== upload.originalName ||
+        state.files[next].size !== upload.size)
+    ) {
+      next++;
+    }
+    if (next < state.files.length) {
+      localFiles.set(upload.id, state.files[next]);
+      next++;
+    }
+  });
+
+  return localFiles;
+}
+
+/**
+ * Thumbnail of the local file an upload was sent from
+ */
+function getOriginalThumbnail(localFiles, uploadId) {
+  const file = localFiles.get(uploadId);
+  return file ? file.thumbnail : null;
+}
+
+/**
+ * Upload the watermark logo, returning its server filename
  */
-async function compressFiles(uploadedFiles) {
+async function uploadWatermarkLogo(file) {
+  const formData = new FormData();
+  formData.append("logo", file);
+
+  const response = await fetch("/api/watermark", {
+    method: "POST",
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Logo upload failed");
+  }
+
+  const { logo } = await response.json();
+  state.watermarkLogoId = logo.id;
+  return logo.filename;
+}
+
+/**
+ * Read watermark settings (uploading the logo if needed), or null when off
+ */
+async function getWatermarkSettings() {
+  const type = elements.watermarkType.value;
+  if (!type) return null;
+
   const settings = {
-    quality: parseInt(elements.qualitySlider.value),
+    type,
+    opacity: parseInt(elements.watermarkOpacity.value) / 100,
+    position: elements.watermarkPosition.value,
+    margin: parseInt(elements.watermarkMargin.value) || 0,
+  };
+
+  if (type === "text") {
+    const text = elements.watermarkText.value.trim();
+    if (!text) throw new Error("Enter the watermark text");
+
+    return {
+      ...settings,
+      text,
+      fontSize: parseInt(elements.watermarkFontSize.value) || 32,
+      color: elements.watermarkColor.value,
+    };
+  }
+
+  const logo = elements.watermarkLogo.files[0];
+  if (!logo) throw new Error("Choose a PNG logo for the watermark");
+
+  return {
+    ...settings,
+    logo: await uploadWatermarkLogo(logo),
+    scale: (parseInt(elements.watermarkScale.value) || 20) / 100,
+  };
+}
+
+/**
+ * Read responsive set settings, or null when the mode is off
+ */
+function getResponsiveSettings() {
+  if (!elements.responsiveEnabled.checked) return null;
+
+  const splitList = (value) =>
+    value
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+
+  return {
+    widths: splitList(elements.responsiveWidths.value).map(Number),
+    formats: splitList(elements.responsiveFormats.value.toLowerCase()).map(
+      (f) => (f === "jpg" ? "jpeg" : f),
+    ),
+    sizes: elements.responsiveSizes.value.trim() || "100vw",
+    pathPrefix: elements.responsivePathPrefix.value.trim(),
+  };
+}
+
+/**
+ * Read compression settings from the settings panel
+ */
+async function getCompressionSettings() {
+  const toNumber = (value) => (value ? parseInt(value) : null);
+  const cropMode = elements.cropMode.value;
+
+  return {
+    quality: elements.autoQuality.checked
+      ? "auto"
+      : parseInt(elements.qualitySlider.value),
     outputFormat: elements.outputFormat.value,
-    resizeWidth: elements.resizeWidth.value || null,
-    resizeHeight: elements.resizeHeight.value || null,
+    metadata: elements.metadataPolicy.value,
+    convertToSrgb: elements.convertToSrgb.checked,
+    resizeWidth: toNumber(elements.resizeWidth.value),
+    resizeHeight: toNumber(elements.resizeHeight.value),
+    targetSizeKB: toNumber(elements.targetSizeKB.value),
+    rotate: parseInt(elements.rotateAngle.value),
+    flip: elements.flipVertical.checked,
+    flop: elements.flipHorizontal.checked,
+    crop: cropMode
+      ? {
+          mode: cropMode,
+          aspectRatio:
+            cropMode === "aspect" ? elements.cropAspectRatio.value : null,
+          position: elements.cropPosition.value,
+        }
+      : null,
+    watermark: await getWatermarkSettings(),
+    responsive: getResponsiveSettings(),
   };
+}
+
+/**
+ * Error for a job this server can't run or follow (jobs turned off, or the
+ * job lives on another instance), after which files are compressed in one
+ * request instead
+ */
+function jobUnavailable(message) {
+  const error = new Error(message);
+  error.jobUnavailable = true;
+  return error;
+}
 
-  const response = await fetch("/api/compress", {
+/**
+ * Start a background job compressing the uploaded files
+ */
+async function compressFiles(uploadedFiles, settings) {
+  const response = await fetch("/api/jobs", {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
@@ -257,10 +473,137 @@ async function compressFiles(uploadedFiles) {
 
   if (!response.ok) {
     const error = await response.json();
+    if (response.status === 404) throw jobUnavailable(error.error);
     throw new Error(error.error || "Compression failed");
   }
 
-  return response.json();
+  const { job } = await response.json();
+  return job;
+}
+
+/**
+ * Compress the uploaded files in a single request that streams back the
+ * same events as a job. Cancelling aborts the request, which skips the
+ * files not yet started.
+ * @param {Function} onEvent - Called with (event, file) for every "start",
+ *   "finish" and "fail"
+ * @returns {Promise<Object|null>} The summary, or null once cancelled
+ */
+async function compressInOneRequest(uploadedFiles, settings, onEvent) {
+  state.compressRequest = new AbortController();
+
+  try {
+    const response = await fetch("/api/compress", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "text/event-stream",
+      },
+      body: JSON.stringify({
+        files: uploadedFiles,
+        settings,
+      }),
+      signal: state.compressRequest.signal,
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || "Compression failed");
+    }
+
+    // Events are separated by blank lines: "event: <name>\ndata: <json>"
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    let buffered = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffered += value;
+
+      let end;
+      while ((end = buffered.indexOf("\n\n")) !== -1) {
+        const message = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        const event = /^event: (.*)$/m.exec(message);
+        const data = /^data: (.*)$/m.exec(message);
+        if (!event || !data) continue;
+
+        if (event[1] === "summary") return JSON.parse(data[1]);
+        onEvent(event[1], JSON.parse(data[1]));
+      }
+    }
+    throw new Error("Lost connection to the server");
+  } catch (error) {
+    if (error.name === "AbortError") return null;
+    throw error;
+  } finally {
+    state.compressRequest = null;
+  }
+}
+
+/**
+ * Cancel the job being followed, or the streamed compression - files not
+ * started yet are skipped
+ */
+async function cancelJob() {
+  if (state.compressRequest) {
+    state.compressRequest.abort();
+    return;
+  }
+  if (!state.jobId) return;
+
+  elements.cancelJobBtn.disabled = true;
+  try {
+    const response = await fetch(`/api/jobs/${state.jobId}`, {
+      method: "DELETE",
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || "Could not cancel");
+    }
+  } catch (error) {
+    showToast(error.message, "error");
+    elements.cancelJobBtn.disabled = false;
+  }
+}
+
+/**
+ * Follow a job's event stream until its summary arrives
+ * @param {string} jobId - Job to follow
+ * @param {Function} onEvent - Called with (event, file) for every "start",
+ *   "finish" and "fail" event
+ * @returns {Promise<Object>} The job summary
+ */
+function streamJob(jobId, onEvent) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+
+    ["start", "finish", "fail"].forEach((event) => {
+      source.addEventListener(event, (e) => onEvent(event, JSON.parse(e.data)));
+    });
+
+    source.addEventListener("summary", (e) => {
+      source.close();
+      resolve(JSON.parse(e.data));
+    });
+
+    source.onerror = async () => {
+      source.close();
+
+      // A job unknown here was started on another instance (or expired)
+      try {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        if (response.status === 404) {
+          reject(jobUnavailable("Job not found"));
+          return;
+        }
+      } catch (error) {
+        // Server unreachable
+      }
+      reject(new Error("Lost connection to the server"));
+    };
+  });
 }
 
 /**
@@ -281,25 +624,68 @@ async function handleCompress() {
     // Upload files
     const uploadResult = await uploadFiles();
 
-    // Update progress - compressing
-    updateProgress(50, 100, "Compressing images...");
+    // Files rejected by the server after checking their content
+    uploadResult.errors.forEach((e) => {
+      showToast(`${e.originalName}: ${e.error}`, "error");
+    });
+    const localFiles = mapUploadsToFiles(uploadResult.files);
+
+    // Compress files - results render card by card as they finish
+    const total = uploadResult.files.length;
+    const onEvent = (event, file) =>
+      handleJobEvent(event, file, uploadResult.files, localFiles);
+    updateProgress(0, total);
+    const settings = await getCompressionSettings();
+    state.results = [];
+
+    let summary;
+    try {
+      if (state.config && state.config.backgroundJobs === false) {
+        throw jobUnavailable("Background jobs are turned off");
+      }
 
-    // Compress files
-    const compressionResult = await compressFiles(uploadResult.files);
+      const job = await compressFiles(uploadResult.files, settings);
+      state.jobId = job.id;
+      elements.cancelJobBtn.disabled = false;
+      elements.cancelJobBtn.style.display = "inline-flex";
+
+      summary = await streamJob(job.id, onEvent);
+    } catch (error) {
+      if (!error.jobUnavailable) throw error;
+
+      // Compress whatever the job didn't finish in one request, which
+      // streams the same progress events
+      state.jobId = null;
+      const remaining = uploadResult.files.filter(
+        (file, index) => !state.results[index],
+      );
+      updateProgress(total - remaining.length, total, "Compressing...");
+      elements.cancelJobBtn.disabled = false;
+      elements.cancelJobBtn.style.display = "inline-flex";
+
+      await compressInOneRequest(remaining, settings, onEvent);
+      summary = summarizeResults();
+    }
+
+    // Files skipped by a cancelled job never produce a result
+    uploadResult.files.forEach((file, index) => {
+      if (!state.results[index]) {
+        state.results[index] = {
+          success: false,
+          id: file.id,
+          originalName: file.originalName,
+          error: "Cancelled",
+        };
+      }
+    });
 
     // Update progress - complete
     updateProgress(100, 100, "Complete!");
 
-    // Store results
-    state.results = compressionResult.results.map((result, index) => ({
-      ...result,
-      originalThumbnail: state.files[index].thumbnail,
-    }));
-
     // Show results
     setTimeout(() => {
       elements.progressSection.style.display = "none";
-      showResults(compressionResult);
+      showResults(summary);
     }, 500);
 
     showToast("Compression complete!", "success");
@@ -309,10 +695,119 @@ async function handleCompress() {
     elements.progressSection.style.display = "none";
   } finally {
     state.isCompressing = false;
+    state.jobId = null;
     elements.compressBtn.disabled = false;
+    elements.cancelJobBtn.style.display = "none";
   }
 }
 
+/**
+ * Download and compress images from the URLs in the import field
+ */
+async function handleUrlImport(e) {
+  e.preventDefault();
+
+  const urls = elements.urlImportInput.value.split(/[\s,]+/).filter(Boolean);
+  if (urls.length === 0 || state.isCompressing) return;
+
+  state.isCompressing = true;
+  elements.urlImportBtn.disabled = true;
+  elements.progressSection.style.display = "block";
+  elements.resultsSection.style.display = "none";
+
+  try {
+    updateProgress(0, urls.length, "Downloading images...");
+
+    const response = await fetch("/api/compress-url", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        urls,
+        settings: await getCompressionSettings(),
+      }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || "Import failed");
+    }
+
+    const data = await response.json();
+    updateProgress(100, 100, "Complete!");
+
+    // The source URL doubles as the "original" preview
+    state.results = data.results.map((result) => ({
+      ...result,
+      originalThumbnail: result.sourceUrl,
+    }));
+
+    setTimeout(() => {
+      elements.progressSection.style.display = "none";
+      showResults(data);
+    }, 500);
+
+    const failed = data.results.filter((r) => !r.success).length;
+    if (failed > 0) {
+      showToast(`${failed} URL(s) could not be imported`, "error");
+    } else {
+      showToast("Compression complete!", "success");
+    }
+  } catch (error) {
+    console.error("URL import error:", error);
+    showToast(error.message || "Import failed", "error");
+    elements.progressSection.style.display = "none";
+  } finally {
+    state.isCompressing = false;
+    elements.urlImportBtn.disabled = false;
+  }
+}
+
+/**
+ * Totals of the successful results so far
+ */
+function summarizeResults() {
+  const successful = state.results.filter((r) => r && r.success);
+  return {
+    totalOriginalSize: successful.reduce((sum, r) => sum + r.originalSize, 0),
+    totalCompressedSize: successful.reduce(
+      (sum, r) => sum + r.compressedSize,
+      0,
+    ),
+  };
+}
+
+/**
+ * Update the progress bar from a job event, and show each result as soon as
+ * its file is done
+ * @param {Array} uploadedFiles - Files of the upload, in result order
+ * @param {Map} localFiles - From mapUploadsToFiles()
+ */
+function handleJobEvent(event, file, uploadedFiles, localFiles) {
+  const total = uploadedFiles.length;
+  const finished = state.results.filter(Boolean).length;
+
+  if (event === "start") {
+    updateProgress(
+      finished,
+      total,
+      `${finished}/${total} · ${file.originalName}`,
+    );
+    return;
+  }
+
+  // Positions in a job are those of the files it was given, which after a
+  // fallback are only the ones left over
+  const index = uploadedFiles.findIndex((f) => f.id === file.id);
+  state.results[index] = {
+    ...file.result,
+    originalThumbnail: getOriginalThumbnail(localFiles, file.id),
+  };
+  updateProgress(finished + 1, total);
+  showResults(summarizeResults());
+}
+
 /**
  * Update progress bar
  */
@@ -322,6 +817,191 @@ function updateProgress(current, total, label) {
   elements.progressCount.textContent = label || `${current}/${total}`;
 }
 
+// =============================================================================
+// Presets
+// =============================================================================
+
+/**
+ * Load the saved presets into the preset dropdown
+ */
+async function loadPresets(selected = elements.presetSelect.value) {
+  try {
+    const response = await fetch("/api/presets");
+    if (!response.ok) return;
+
+    const { presets } = await response.json();
+    state.presets = presets;
+
+    elements.presetSelect.innerHTML =
+      '<option value="">Custom settings</option>' +
+      presets
+        .map(
+          (preset) =>
+            `<option value="${preset.name}" title="${escapeAttribute(
+              preset.description
+            )}">${preset.name}${preset.shared ? " (shared)" : ""}</option>`
+        )
+        .join("");
+    elements.presetSelect.value = presets.some((p) => p.name === selected)
+      ? selected
+      : "";
+  } catch (error) {
+    console.error("Could not load presets:", error);
+  }
+}
+
+/**
+ * Put every settings control back to its default
+ */
+function resetSettingsForm() {
+  elements.settingsSection.querySelectorAll("input, select").forEach((el) => {
+    if (el === elements.presetSelect || el.type === "file") return;
+    if (el.type === "checkbox") {
+      el.checked = el.defaultChecked;
+    } else if (el.tagName === "SELECT") {
+      const option = [...el.options].find((o) => o.defaultSelected);
+      el.value = option ? option.value : el.options[0].value;
+    } else {
+      el.value = el.defaultValue;
+    }
+  });
+
+  if (state.config) {
+    elements.qualitySlider.value = state.config.defaultQuality;
+  }
+}
+
+/**
+ * Fill the settings panel from a preset's settings. Anything the preset
+ * doesn't set goes back to its default.
+ */
+function applyPresetToForm(settings) {
+  resetSettingsForm();
+
+  const setValue = (element, value) => {
+    if (value !== undefined && value !== null) element.value = value;
+  };
+
+  if (settings.quality === "auto") {
+    elements.autoQuality.checked = true;
+  } else {
+    setValue(elements.qualitySlider, settings.quality);
+  }
+  setValue(elements.outputFormat, settings.outputFormat);
+  setValue(elements.metadataPolicy, settings.metadata);
+  if (settings.convertToSrgb !== undefined) {
+    elements.convertToSrgb.checked = settings.convertToSrgb;
+  }
+  setValue(elements.resizeWidth, settings.resizeWidth);
+  setValue(elements.resizeHeight, settings.resizeHeight);
+  setValue(elements.targetSizeKB, settings.targetSizeKB);
+  setValue(elements.rotateAngle, settings.rotate);
+  elements.flipVertical.checked = settings.flip === true;
+  elements.flipHorizontal.checked = settings.flop === true;
+
+  if (settings.crop) {
+    setValue(elements.cropMode, settings.crop.mode);
+    setValue(elements.cropAspectRatio, settings.crop.aspectRatio);
+    setValue(elements.cropPosition, settings.crop.position);
+  }
+
+  if (settings.watermark) {
+    const watermark = settings.watermark;
+    elements.watermarkType.value = "text";
+    setValue(elements.watermarkText, watermark.text);
+    setValue(elements.watermarkFontSize, watermark.fontSize);
+    setValue(elements.watermarkColor, watermark.color);
+    if (watermark.opacity !== undefined) {
+      elements.watermarkOpacity.value = Math.round(watermark.opacity * 100);
+    }
+    setValue(elements.watermarkPosition, watermark.position);
+    setValue(elements.watermarkMargin, watermark.margin);
+  }
+
+  if (settings.responsive) {
+    const responsive = settings.responsive;
+    elements.responsiveEnabled.checked = true;
+    setValue(elements.responsiveWidths, (responsive.widths || []).join(", "));
+    setValue(elements.responsiveFormats, (responsive.formats || []).join(", "));
+    setValue(elements.responsiveSizes, responsive.sizes);
+    setValue(elements.responsivePathPrefix, responsive.pathPrefix);
+  }
+
+  // Let the dependent controls (labels, optional fields) catch up
+  [
+    [elements.qualitySlider, "input"],
+    [elements.autoQuality, "change"],
+    [elements.cropMode, "change"],
+    [elements.watermarkType, "change"],
+    [elements.watermarkOpacity, "input"],
+    [elements.responsiveEnabled, "change"],
+  ].forEach(([element, type]) => element.dispatchEvent(new Event(type)));
+}
+
+/**
+ * Apply the preset picked in the dropdown
+ */
+function handlePresetChange() {
+  const preset = state.presets.find(
+    (p) => p.name === elements.presetSelect.value
+  );
+  if (preset) {
+    applyPresetToForm(preset.settings);
+    showToast(`Preset "${preset.name}" applied`, "success");
+  }
+}
+
+/**
+ * Save the current settings as a preset, replacing it after confirmation
+ * if the name is taken
+ */
+async function saveCurrentAsPreset() {
+  if (elements.watermarkType.value === "image") {
+    showToast("PNG logo watermarks can't be saved in a preset", "error");
+    return;
+  }
+
+  const name = prompt(
+    "Preset name (lowercase letters, digits and dashes, e.g. blog-hero):",
+    elements.presetSelect.value
+  );
+  if (!name) return;
+
+  try {
+    const body = { settings: await getCompressionSettings() };
+
+    let response = await fetch("/api/presets", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: name.trim(), ...body }),
+    });
+
+    if (
+      response.status === 409 &&
+      confirm(`Preset "${name.trim()}" exists. Replace it?`)
+    ) {
+      response = await fetch(
+        `/api/presets/${encodeURIComponent(name.trim())}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        }
+      );
+    } else if (response.status === 409) {
+      return;
+    }
+
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || "Could not save preset");
+
+    await loadPresets(result.preset.name);
+    showToast(`Preset "${result.preset.name}" saved`, "success");
+  } catch (error) {
+    showToast(error.message, "error");
+  }
+}
+
 // =============================================================================
 // Results Display
 // =============================================================================
@@ -338,11 +1018,13 @@ function showResults(data) {
     data.totalCompressedSize,
   );
 
-  const savedPercent = (
-    ((data.totalOriginalSize - data.totalCompressedSize) /
-      data.totalOriginalSize) *
-    100
-  ).toFixed(1);
+  const savedPercent = data.totalOriginalSize
+    ? (
+        ((data.totalOriginalSize - data.totalCompressedSize) /
+          data.totalOriginalSize) *
+        100
+      ).toFixed(1)
+    : "0.0";
   elements.totalSaved.textContent = `${savedPercent}%`;
 
   // Render result cards
@@ -384,6 +1066,36 @@ function showResults(data) {
                           result.savingsPercent
                         }%</span>
                     </div>
+                    <div class="result-metrics" title="Perceptual similarity to the original">
+                        <span>SSIM ${result.ssim.toFixed(4)}</span>
+                        <span>PSNR ${result.psnr.toFixed(1)} dB</span>
+                        ${
+                          result.autoQuality
+                            ? `<span>Auto quality ${result.quality}</span>`
+                            : ""
+                        }
+                        ${
+                          result.frames > 1
+                            ? `<span>${result.frames} frames</span>`
+                            : ""
+                        }
+                        ${
+                          result.cached
+                            ? `<span title="Same image and settings as an earlier result">Cached</span>`
+                            : ""
+                        }
+                    </div>
+                    ${
+                      result.targetSizeKB && !result.targetMet
+                        ? `<div class="result-warning">Could not reach ${result.targetSizeKB} KB target</div>`
+                        : ""
+                    }
+                    ${
+                      result.warning
+                        ? `<div class="result-warning">${result.warning}</div>`
+                        : ""
+                    }
+                    ${result.responsive ? renderResponsiveDetails(result, index) : ""}
                     <div class="result-actions">
                         <button class="btn btn-success" onclick="downloadSingle(${index})">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -414,6 +1126,78 @@ function showResults(data) {
   });
 }
 
+/**
+ * Render the variant summary and <picture> snippet of a responsive set
+ */
+function renderResponsiveDetails(result, index) {
+  const escaped = result.html
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+  return `
+                    <div class="result-responsive">
+                        <div class="result-metrics">
+                            <span>${result.variants.length} variants</span>
+                            <span>${formatFileSize(result.totalVariantSize)} total</span>
+                        </div>
+                        <pre class="result-snippet">${escaped}</pre>
+                        <button class="btn btn-text" onclick="copySnippet(${index})">Copy HTML</button>
+                    </div>
+  `;
+}
+
+/**
+ * Copy a responsive set's <picture> snippet to the clipboard
+ */
+async function copySnippet(index) {
+  const result = state.results[index];
+  if (!result || !result.html) return;
+
+  try {
+    await navigator.clipboard.writeText(result.html);
+    showToast("HTML snippet copied", "success");
+  } catch (error) {
+    showToast("Could not copy to clipboard", "error");
+  }
+}
+
+/**
+ * List the files of a result for the ZIP download. Responsive sets expand
+ * to every variant plus their manifest and snippet, in a per-image folder.
+ */
+function getZipEntries(result) {
+  if (!result.responsive) {
+    return [
+      {
+        compressedFilename: result.compressedFilename,
+        // Use original filename with new extension (if format changed)
+        downloadName:
+          result.originalName.replace(/\.[^.]+$/, "") +
+          getExtension(result.outputFormat),
+      },
+    ];
+  }
+
+  return [
+    ...result.variants.map((variant) => ({
+      compressedFilename: variant.compressedFilename,
+      downloadName: variant.downloadName,
+      folder: result.folder,
+    })),
+    {
+      compressedFilename: result.manifestFilename,
+      downloadName: "manifest.json",
+      folder: result.folder,
+    },
+    {
+      compressedFilename: result.htmlFilename,
+      downloadName: "picture.html",
+      folder: result.folder,
+    },
+  ];
+}
+
 // =============================================================================
 // Download Functions
 // =============================================================================
@@ -447,6 +1231,7 @@ function getExtension(format) {
     png: ".png",
     gif: ".gif",
     webp: ".webp",
+    avif: ".avif",
   };
   return extensions[format] || ".jpg";
 }
@@ -468,13 +1253,7 @@ async function downloadAll() {
     `;
 
   try {
-    const files = successfulResults.map((result) => ({
-      compressedFilename: result.compressedFilename,
-      // Use original filename with new extension (if format changed)
-      downloadName:
-        result.originalName.replace(/\.[^.]+$/, "") +
-        getExtension(result.outputFormat),
-    }));
+    const files = successfulResults.flatMap(getZipEntries);
 
     const response = await fetch("/api/download-zip", {
       method: "POST",
@@ -558,6 +1337,10 @@ function closePreview() {
 function reset() {
   // Clean up server files
   const fileIds = state.results.filter((r) => r.success).map((r) => r.id);
+  if (state.watermarkLogoId) {
+    fileIds.push(state.watermarkLogoId);
+    state.watermarkLogoId = null;
+  }
 
   if (fileIds.length > 0) {
     fetch("/api/cleanup", {
@@ -611,13 +1394,51 @@ elements.fileInput.addEventListener("change", (e) => {
   e.target.value = ""; // Reset input
 });
 
+// Import from URL
+elements.urlImportForm.addEventListener("submit", handleUrlImport);
+elements.urlImportInput.addEventListener("input", updateFilesUI);
+
 // Quality slider
 elements.qualitySlider.addEventListener("input", (e) => {
   elements.qualityValue.textContent = e.target.value;
 });
 
+elements.autoQuality.addEventListener("change", (e) => {
+  elements.qualitySlider.disabled = e.target.checked;
+});
+
+elements.cropMode.addEventListener("change", (e) => {
+  const mode = e.target.value;
+  elements.cropAspectRatio.style.display = mode === "aspect" ? "" : "none";
+  elements.cropPosition.style.display = mode ? "" : "none";
+});
+
+elements.watermarkType.addEventListener("change", (e) => {
+  const type = e.target.value;
+  elements.watermarkOptions.style.display = type ? "" : "none";
+  document.querySelectorAll(".watermark-text").forEach((el) => {
+    el.style.display = type === "text" ? "" : "none";
+  });
+  document.querySelectorAll(".watermark-image").forEach((el) => {
+    el.style.display = type === "image" ? "" : "none";
+  });
+});
+
+elements.watermarkOpacity.addEventListener("input", (e) => {
+  elements.watermarkOpacityValue.textContent = e.target.value;
+});
+
+elements.responsiveEnabled.addEventListener("change", (e) => {
+  elements.responsiveOptions.style.display = e.target.checked ? "" : "none";
+});
+
+// Presets
+elements.presetSelect.addEventListener("change", handlePresetChange);
+elements.savePresetBtn.addEventListener("click", saveCurrentAsPreset);
+
 // Buttons
 elements.compressBtn.addEventListener("click", handleCompress);
+elements.cancelJobBtn.addEventListener("click", cancelJob);
 elements.clearFilesBtn.addEventListener("click", clearAllFiles);
 elements.downloadAllBtn.addEventListener("click", downloadAll);
 elements.resetBtn.addEventListener("click", reset);
@@ -644,4 +1465,28 @@ window.addEventListener("drop", (e) => e.preventDefault());
 // Initialize
 // =============================================================================
 
+/**
+ * Load the server's limits and defaults
+ */
+async function loadConfig() {
+  try {
+    const response = await fetch("/api/config");
+    if (!response.ok) return;
+
+    const { config } = await response.json();
+    state.config = config;
+
+    elements.uploadLimits.textContent = ` • Max ${formatFileSize(
+      config.maxFileSize
+    )} per file • Up to ${config.maxFiles} files`;
+    elements.qualitySlider.value = config.defaultQuality;
+    elements.qualityValue.textContent = config.defaultQuality;
+  } catch (error) {
+    console.error("Could not load server config:", error);
+  }
+}
+
+loadConfig();
+loadPresets();
+
 console.log("Compress-It initialized");
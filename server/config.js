@@ -0,0 +1,358 @@
+/**
+ * Configuration
+ * One place for every server setting and limit
+ *
+ * Each setting is read from, in order of precedence:
+ * - an environment variable (a .env file in the project root is loaded
+ *   first, without overriding variables that are already set)
+ * - the JSON config file (CONFIG_FILE, or compress-it.config.json in the
+ *   project root, if it exists), by setting name: { "maxFiles": 10 }
+ * - the default below
+ *
+ * Invalid values stop the server at startup rather than being ignored.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const rootDir = path.join(__dirname, "..");
+
+// Before anything reads process.env
+loadEnvFile();
+
+// Use /tmp on Vercel/production (ephemeral filesystem)
+const isServerless =
+  process.env.VERCEL === "1" || process.env.NODE_ENV === "production";
+
+const SETTINGS = {
+  port: { env: "PORT", type: "integer", min: 1, max: 65535, default: 3000 },
+  uploadsDir: {
+    env: "UPLOADS_DIR",
+    type: "path",
+    default: isServerless ? "/tmp/uploads" : "uploads",
+  },
+  compressedDir: {
+    env: "COMPRESSED_DIR",
+    type: "path",
+    default: isServerless ? "/tmp/compressed" : "compressed",
+  },
+  maxFileSize: {
+    env: "MAX_FILE_SIZE",
+    type: "integer",
+    min: 1,
+    default: 50 * 1024 * 1024, // 50MB
+  },
+  maxFiles: { env: "MAX_FILES", type: "integer", min: 1, default: 20 },
+  defaultQuality: {
+    env: "DEFAULT_QUALITY",
+    type: "integer",
+    min: 1,
+    max: 100,
+    default: 80,
+  },
+  maxInputPixels: {
+    env: "MAX_INPUT_PIXELS",
+    type: "integer",
+    min: 1,
+    default: 100000000,
+  },
+  maxInputDimension: {
+    env: "MAX_INPUT_DIMENSION",
+    type: "integer",
+    min: 1,
+    default: 16384,
+  },
+  // Background jobs (POST /api/jobs) live in the memory of the process that
+  // runs them, so they are off by default on Vercel, where each request can
+  // reach another instance. The web client then compresses in one request.
+  backgroundJobs: {
+    env: "BACKGROUND_JOBS",
+    type: "boolean",
+    default: process.env.VERCEL !== "1",
+  },
+  // Compressed outputs by input and settings, reused for identical requests
+  resultCache: { env: "RESULT_CACHE", type: "boolean", default: true },
+  cacheDir: {
+    env: "CACHE_DIR",
+    type: "path",
+    default: isServerless ? "/tmp/cache" : "cache",
+  },
+  // How long a cached result is kept, in seconds
+  cacheMaxAge: {
+    env: "CACHE_MAX_AGE",
+    type: "integer",
+    min: 1,
+    default: 24 * 60 * 60,
+  },
+  // How long files are kept, in seconds, by kind: uploaded images, watermark
+  // logos and compressed outputs. Clients can keep a file longer (up to
+  // MAX_RETENTION) with POST /api/retention.
+  uploadTtl: { env: "UPLOAD_TTL", type: "integer", min: 60, default: 30 * 60 },
+  logoTtl: { env: "LOGO_TTL", type: "integer", min: 60, default: 30 * 60 },
+  outputTtl: { env: "OUTPUT_TTL", type: "integer", min: 60, default: 30 * 60 },
+  maxRetention: {
+    env: "MAX_RETENTION",
+    type: "integer",
+    min: 60,
+    default: 7 * 24 * 60 * 60,
+  },
+  // Where the local driver records each stored file's owner and expiry
+  registryDir: {
+    env: "REGISTRY_DIR",
+    type: "path",
+    default: isServerless ? "/tmp/registry" : "data/registry",
+  },
+  // Only ever read, so it stays with the deployed code (not in /tmp)
+  apiKeysFile: {
+    env: "API_KEYS_FILE",
+    type: "path",
+    default: "data/api-keys.json",
+  },
+  // Shared presets, added by hand: only ever read, like the API keys
+  presetsFile: {
+    env: "PRESETS_FILE",
+    type: "path",
+    default: "data/presets.json",
+  },
+  // Where the local driver keeps the presets saved through the API
+  presetsDir: {
+    env: "PRESETS_DIR",
+    type: "path",
+    default: isServerless ? "/tmp/presets" : "data/presets",
+  },
+  // Most presets each client can save
+  maxPresets: { env: "MAX_PRESETS", type: "integer", min: 1, default: 100 },
+  // How long a session lasts, in seconds: its cookie's lifetime, and how
+  // long its presets are kept after it last used them
+  sessionMaxAge: {
+    env: "SESSION_MAX_AGE",
+    type: "integer",
+    min: 60,
+    default: 30 * 24 * 60 * 60,
+  },
+  // Where uploads wait while they are checked, before going to storage
+  tempDir: {
+    env: "TEMP_DIR",
+    type: "path",
+    default: path.join(os.tmpdir(), "compress-it"),
+  },
+  storageDriver: {
+    env: "STORAGE_DRIVER",
+    type: "string",
+    values: ["local", "s3"],
+    default: "local",
+  },
+  // S3-compatible storage (STORAGE_DRIVER=s3), e.g. AWS S3 or MinIO
+  s3Endpoint: { env: "S3_ENDPOINT", type: "string", default: "" },
+  s3Region: { env: "S3_REGION", type: "string", default: "us-east-1" },
+  s3Bucket: { env: "S3_BUCKET", type: "string", default: "" },
+  s3AccessKeyId: { env: "S3_ACCESS_KEY_ID", type: "string", default: "" },
+  s3SecretAccessKey: {
+    env: "S3_SECRET_ACCESS_KEY",
+    type: "string",
+    default: "",
+  },
+  s3Prefix: { env: "S3_PREFIX", type: "string", default: "" },
+  s3ForcePathStyle: {
+    env: "S3_FORCE_PATH_STYLE",
+    type: "boolean",
+    default: false,
+  },
+  // Least severe log level written (JSON lines on stdout)
+  logLevel: {
+    env: "LOG_LEVEL",
+    type: "string",
+    values: ["debug", "info", "warn", "error"],
+    default: "info",
+  },
+  // Lifetime of presigned download links, in seconds
+  downloadUrlExpiry: {
+    env: "DOWNLOAD_URL_EXPIRY",
+    type: "integer",
+    min: 1,
+    max: 7 * 24 * 60 * 60,
+    default: 300,
+  },
+};
+
+// Settings the web client may see (GET /api/config)
+const PUBLIC_SETTINGS = [
+  "maxFileSize",
+  "maxFiles",
+  "defaultQuality",
+  "maxInputPixels",
+  "maxInputDimension",
+  "backgroundJobs",
+];
+
+/**
+ * Load KEY=value lines from the project's .env file into process.env
+ */
+function loadEnvFile() {
+  const envPath = path.join(rootDir, ".env");
+  if (!fs.existsSync(envPath)) return;
+
+  for (const line of fs.readFileSync(envPath, "utf8").split(/\r?\n/)) {
+    const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!match) continue;
+
+    // "quoted" or 'quoted' values, or bare ones; both may end in # comment
+    const quoted = /^(["'])(.*?)\1(\s+#.*)?$/.exec(match[2]);
+    const value = quoted ? quoted[2] : match[2].replace(/\s+#.*$/, "");
+    if (!(match[1] in process.env)) process.env[match[1]] = value;
+  }
+}
+
+/**
+ * Read the JSON config file, if there is one
+ */
+function loadConfigFile() {
+  const configPath = process.env.CONFIG_FILE
+    ? path.resolve(rootDir, process.env.CONFIG_FILE)
+    : path.join(rootDir, "compress-it.config.json");
+
+  if (!fs.existsSync(configPath)) {
+    if (process.env.CONFIG_FILE) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return {};
+  }
+
+  const values = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const unknown = Object.keys(values).filter((key) => !(key in SETTINGS));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown setting(s) in ${configPath}: ${unknown.join(", ")}`,
+    );
+  }
+  return values;
+}
+
+/**
+ * Convert and check one setting's value. Returns an error message when it
+ * is invalid.
+ */
+function parseSetting(setting, value) {
+  if (setting.type === "string") {
+    const text = value === null ? "" : String(value).trim();
+    if (setting.values && !setting.values.includes(text)) {
+      return { error: `must be one of ${setting.values.join(", ")}` };
+    }
+    return { value: text };
+  }
+
+  if (setting.type === "boolean") {
+    if (["true", "1", true].includes(value)) return { value: true };
+    if (["false", "0", false].includes(value)) return { value: false };
+    return { error: "must be true or false" };
+  }
+
+  if (setting.type === "path") {
+    if (typeof value !== "string" || !value.trim()) {
+      return { error: "must be a path" };
+    }
+    return { value: path.resolve(rootDir, value.trim()) };
+  }
+
+  const number = Number(value);
+  const { min = -Infinity, max = Infinity } = setting;
+  if (
+    value === "" ||
+    value === null ||
+    !Number.isInteger(number) ||
+    number < min ||
+    number > max
+  ) {
+    const range = max === Infinity ? `at least ${min}` : `${min}-${max}`;
+    return { error: `must be an integer, ${range}` };
+  }
+  return { value: number };
+}
+
+/**
+ * Build the configuration from the environment, config file and defaults
+ */
+function loadConfig() {
+  const fileValues = loadConfigFile();
+
+  const config = {};
+  const errors = [];
+
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    let value = setting.default;
+    let source = "default";
+    if (process.env[setting.env] !== undefined) {
+      value = process.env[setting.env];
+      source = setting.env;
+    } else if (name in fileValues) {
+      value = fileValues[name];
+      source = name;
+    }
+
+    const parsed = parseSetting(setting, value);
+    if (parsed.error) {
+      errors.push(`${source} ${parsed.error} (got ${JSON.stringify(value)})`);
+    } else {
+      config[name] = parsed.value;
+    }
+  }
+
+  if (config.storageDriver === "s3") {
+    for (const name of ["s3Bucket", "s3AccessKeyId", "s3SecretAccessKey"]) {
+      if (!config[name]) {
+        errors.push(`${SETTINGS[name].env} is required with STORAGE_DRIVER=s3`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+  }
+
+  return config;
+}
+
+const config = loadConfig();
+
+// Ensure required directories exist
+const directories =
+  config.storageDriver === "local"
+    ? [
+        config.tempDir,
+        config.uploadsDir,
+        config.compressedDir,
+        config.cacheDir,
+        config.registryDir,
+        config.presetsDir,
+      ]
+    : [config.tempDir];
+for (const dir of directories) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+/**
+ * Format a size limit for messages, e.g. "50MB"
+ */
+function formatSize(bytes) {
+  const megabytes = bytes / (1024 * 1024);
+  return megabytes >= 1
+    ? `${+megabytes.toFixed(1)}MB`
+    : `${+(bytes / 1024).toFixed(1)}KB`;
+}
+
+/**
+ * The limits and defaults the web client needs
+ */
+function getPublicConfig() {
+  return Object.fromEntries(
+    PUBLIC_SETTINGS.map((name) => [name, config[name]]),
+  );
+}
+
+module.exports = {
+  ...config,
+  isServerless,
+  formatSize,
+  getPublicConfig,
+};
@@ -9,37 +9,22 @@
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
-const fs = require("fs").promises;
-const { existsSync, mkdirSync } = require("fs");
+
+const config = require("./config");
+const fileRegistry = require("./services/fileRegistry");
 
 // Import routes
 const compressionRoutes = require("./routes/compression");
+const presetRoutes = require("./routes/presets");
+const { apiAuth, usageHandler } = require("./middleware/apiAuth");
+const { requestLogger } = require("./middleware/requestLogger");
+const logger = require("./services/logger");
+const { getOpenApiDocument } = require("./services/openapi");
+const { renderMetrics } = require("./services/metrics");
 
 // Initialize Express app
 const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Ensure required directories exist
-// Use /tmp on Vercel/production (ephemeral filesystem)
-const isServerless =
-  process.env.VERCEL === "1" || process.env.NODE_ENV === "production";
-const uploadsDir = isServerless
-  ? "/tmp/uploads"
-  : path.join(__dirname, "../uploads");
-const compressedDir = isServerless
-  ? "/tmp/compressed"
-  : path.join(__dirname, "../compressed");
-
-// Export paths for use in other modules
-module.exports.uploadsDir = uploadsDir;
-module.exports.compressedDir = compressedDir;
-
-if (!existsSync(uploadsDir)) {
-  mkdirSync(uploadsDir, { recursive: true });
-}
-if (!existsSync(compressedDir)) {
-  mkdirSync(compressedDir, { recursive: true });
-}
+const PORT = config.port;
 
 // Middleware
 app.use(cors());
@@ -49,11 +34,32 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, "../public")));
 
-// Serve compressed files
-app.use("/compressed", express.static(compressedDir));
+// Request ids (X-Request-Id) and one log line per request
+app.use("/api", requestLogger);
+
+// API keys and usage limits (only when a key store is configured)
+app.use("/api", apiAuth);
+app.get("/api/usage", usageHandler);
+
+// OpenAPI description of every /api route, generated from their schemas
+app.get("/api/openapi.json", (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+// Prometheus metrics (uploads, compressions, failures, timings, storage)
+app.get("/api/metrics", async (req, res) => {
+  try {
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(await renderMetrics());
+  } catch (error) {
+    logger.error("Metrics failed", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
 
 // API Routes
 app.use("/api", compressionRoutes);
+app.use("/api", presetRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -64,38 +70,14 @@ app.get("/api/health", (req, res) => {
   });
 });
 
-// Cleanup old files periodically (every hour)
-const cleanupInterval = 60 * 60 * 1000; // 1 hour
-const maxFileAge = 30 * 60 * 1000; // 30 minutes
-
-async function cleanupOldFiles() {
-  try {
-    const dirs = [uploadsDir, compressedDir];
-    const now = Date.now();
-
-    for (const dir of dirs) {
-      const files = await fs.readdir(dir);
-      for (const file of files) {
-        const filePath = path.join(dir, file);
-        const stats = await fs.stat(filePath);
-        if (now - stats.mtimeMs > maxFileAge) {
-          await fs.unlink(filePath);
-          console.log(`Cleaned up: ${file}`);
-        }
-      }
-    }
-  } catch (error) {
-    console.error("Cleanup error:", error);
-  }
-}
-
-// Run cleanup on startup and periodically
-cleanupOldFiles();
-setInterval(cleanupOldFiles, cleanupInterval);
+// Delete expired files on startup and periodically. The file registry is
+// kept in storage, so this also expires files other instances stored.
+fileRegistry.cleanupExpiredFiles();
+setInterval(fileRegistry.cleanupExpiredFiles, fileRegistry.CLEANUP_INTERVAL);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error("Server Error:", err);
+  logger.error("Unhandled error", { error: err });
   res.status(500).json({
     error: "Internal server error",
     message:
@@ -112,22 +94,13 @@ app.use((req, res) => {
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`
-╔════════════════════════════════════════════════════════════╗
-║                                                            ║
-║   🖼️  Compress-It Image Compression Server                  ║
-║                                                            ║
-║   Server running at: http://localhost:${PORT}                 ║
-║   Environment: ${
-    process.env.NODE_ENV || "development"
-  }                           ║
-║                                                            ║
-║   Supported formats: JPG, PNG, GIF, WebP                   ║
-║   Max file size: 50MB                                      ║
-║   Max files per batch: 20                                  ║
-║                                                            ║
-╚════════════════════════════════════════════════════════════╝
-    `);
+  logger.info("Server started", {
+    port: PORT,
+    environment: process.env.NODE_ENV || "development",
+    storage: config.storageDriver,
+    maxFileSize: config.maxFileSize,
+    maxFiles: config.maxFiles,
+  });
 });
 
 module.exports = app;
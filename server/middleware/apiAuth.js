@@ -0,0 +1,322 @@
+/**
+ * API Keys & Usage Limits
+ * Optional auth layer: when a key store exists, every /api request is
+ * identified by its API key (X-API-Key or "Authorization: Bearer <key>")
+ * and held to that key's limits
+ *
+ * Key store (JSON, at config.apiKeysFile - data/api-keys.json by default):
+ * {
+ *   "anonymous": { "requestsPerMinute": 30 },   // omit to require a key
+ *   "keys": [
+ *     { "key": "...", "name": "partner-a",
+ *       "limits": { "requestsPerMinute": 60, "bytesPerDay": 1073741824,
+ *                   "filesPerBatch": 20 } }
+ *   ]
+ * }
+ *
+ * Without a key store the API stays open, as before. Usage is counted in
+ * memory, per server process; requests without a key share the anonymous
+ * limits per IP address.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const config = require("../config");
+const logger = require("../services/logger");
+
+const keysFile = config.apiKeysFile;
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: 60,
+  bytesPerDay: 1024 * 1024 * 1024, // 1GB
+  filesPerBatch: 20,
+};
+
+const MINUTE = 60 * 1000;
+
+// How often idle usage records are swept out of memory
+const PRUNE_INTERVAL = 10 * MINUTE;
+
+// Requests that are never counted against a limit
+const UNMETERED_PATHS = [
+  "/health",
+  "/usage",
+  "/config",
+  "/openapi.json",
+  "/metrics",
+];
+
+/**
+ * Short, stable id of an unnamed key that doesn't reveal the key
+ */
+function getKeyHash(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+/**
+ * Load the key store, or return null when auth is off
+ */
+function loadKeyStore() {
+  if (!fs.existsSync(keysFile)) return null;
+
+  // A broken key store must not silently leave the API open
+  const data = JSON.parse(fs.readFileSync(keysFile, "utf8"));
+  const keys = new Map();
+  const ids = new Set();
+
+  for (const entry of data.keys || []) {
+    if (typeof entry.key !== "string" || !entry.key) {
+      throw new Error(`Invalid API key entry in ${keysFile}`);
+    }
+
+    // Usage and presets are kept per id, so no two keys may share one
+    const id = `key:${entry.name || getKeyHash(entry.key)}`;
+    if (keys.has(entry.key) || ids.has(id)) {
+      throw new Error(
+        entry.name
+          ? `Duplicate API key name "${entry.name}" in ${keysFile}`
+          : `Duplicate API key in ${keysFile}`,
+      );
+    }
+    ids.add(id);
+
+    keys.set(entry.key, {
+      id,
+      name: entry.name || null,
+      limits: { ...DEFAULT_LIMITS, ...entry.limits },
+    });
+  }
+
+  return {
+    keys,
+    anonymous: data.anonymous ? { ...DEFAULT_LIMITS, ...data.anonymous } : null,
+  };
+}
+
+const store = loadKeyStore();
+if (store) {
+  logger.info("API keys loaded", { file: keysFile, keys: store.keys.size });
+}
+
+// Usage per client id: { requests: [timestamps], day, bytes }
+const usage = new Map();
+let lastPrune = Date.now();
+
+/**
+ * Current UTC day, e.g. "2024-05-01"
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Seconds until the next UTC midnight, when daily byte counts reset
+ */
+function secondsUntilTomorrow() {
+  const now = new Date();
+  const midnight = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate() + 1,
+  );
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+/**
+ * Get a client's usage record, dropping requests older than a minute and
+ * byte counts from previous days
+ */
+function getUsage(clientId) {
+  let record = usage.get(clientId);
+  if (!record) {
+    record = { requests: [], day: today(), bytes: 0 };
+    usage.set(clientId, record);
+  }
+
+  const now = Date.now();
+  record.requests = record.requests.filter((t) => now - t < MINUTE);
+  if (record.day !== today()) {
+    record.day = today();
+    record.bytes = 0;
+  }
+
+  return record;
+}
+
+/**
+ * Forget clients with no requests in the last minute and no bytes counted
+ * today - their records would read the same when created again
+ */
+function pruneUsage() {
+  const now = Date.now();
+  if (now - lastPrune < PRUNE_INTERVAL) return;
+  lastPrune = now;
+
+  for (const [clientId, record] of usage) {
+    const active = record.requests.some((t) => now - t < MINUTE);
+    if (!active && (record.day !== today() || record.bytes === 0)) {
+      usage.delete(clientId);
+    }
+  }
+}
+
+/**
+ * Read the API key sent with a request
+ */
+function getRequestKey(req) {
+  const header = req.get("X-API-Key");
+  if (header) return header.trim();
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Reject a request that is over a limit
+ */
+function tooManyRequests(res, retryAfter, message) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
+
+/**
+ * Error message for a client over its daily byte limit
+ */
+function byteLimitMessage(bytesPerDay) {
+  return `Daily limit of ${bytesPerDay} bytes exceeded`;
+}
+
+/**
+ * Express middleware: identify the client and enforce its limits.
+ * Sets req.apiClient ({ id, name, limits }) when auth is on.
+ */
+function apiAuth(req, res, next) {
+  if (!store) return next();
+
+  const key = getRequestKey(req);
+  let client;
+
+  if (key) {
+    client = store.keys.get(key);
+    if (!client) {
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+  } else if (store.anonymous) {
+    client = { id: `ip:${req.ip}`, name: null, limits: store.anonymous };
+  } else {
+    return res.status(401).json({ error: "API key required" });
+  }
+
+  req.apiClient = client;
+  if (UNMETERED_PATHS.includes(req.path)) return next();
+
+  pruneUsage();
+  const record = getUsage(client.id);
+  const { requestsPerMinute, bytesPerDay } = client.limits;
+
+  if (record.requests.length >= requestsPerMinute) {
+    const retryAfter = Math.ceil(
+      (record.requests[0] + MINUTE - Date.now()) / 1000,
+    );
+    return tooManyRequests(
+      res,
+      Math.max(1, retryAfter),
+      `Rate limit of ${requestsPerMinute} requests per minute exceeded`,
+    );
+  }
+
+  // Bytes are charged as they arrive (see meterUpload); a declared body
+  // size only lets a request that can't fit be turned away up front
+  const declared = parseInt(req.get("Content-Length")) || 0;
+  if (record.bytes >= bytesPerDay || record.bytes + declared > bytesPerDay) {
+    return tooManyRequests(
+      res,
+      secondsUntilTomorrow(),
+      byteLimitMessage(bytesPerDay),
+    );
+  }
+
+  record.requests.push(Date.now());
+  next();
+}
+
+/**
+ * Count bytes a request brought in (uploaded files, raw bodies, downloads).
+ * Returns an error message once the client is over its daily byte limit,
+ * or null while it is within it.
+ */
+function chargeBytes(req, bytes) {
+  if (!req.apiClient) return null;
+
+  const record = getUsage(req.apiClient.id);
+  const { bytesPerDay } = req.apiClient.limits;
+  record.bytes += bytes;
+  return record.bytes > bytesPerDay ? byteLimitMessage(bytesPerDay) : null;
+}
+
+/**
+ * Express middleware, after multer or express.raw: charge the bytes that
+ * were actually received - a chunked upload declares no Content-Length.
+ * Over the limit, uploaded temp files are deleted and the request gets 429.
+ */
+async function meterUpload(req, res, next) {
+  const files = req.files || (req.file ? [req.file] : []);
+  let bytes = files.reduce((sum, file) => sum + file.size, 0);
+  if (Buffer.isBuffer(req.body)) bytes += req.body.length;
+
+  const error = chargeBytes(req, bytes);
+  if (!error) return next();
+
+  await Promise.all(
+    files
+      .filter((file) => file.path)
+      .map((file) => fs.promises.unlink(file.path).catch(() => {})),
+  );
+  tooManyRequests(res, secondsUntilTomorrow(), error);
+}
+
+/**
+ * Check a batch against the client's files-per-batch limit.
+ * Returns an error message, or null when the batch is allowed.
+ */
+function checkBatchLimit(req, count) {
+  if (!req.apiClient) return null;
+
+  const { filesPerBatch } = req.apiClient.limits;
+  return count > filesPerBatch
+    ? `Maximum ${filesPerBatch} files allowed per batch for this API key`
+    : null;
+}
+
+/**
+ * GET /api/usage
+ * Report the caller's limits and current consumption
+ */
+function usageHandler(req, res) {
+  if (!req.apiClient) {
+    return res.json({ success: true, auth: false });
+  }
+
+  const { name, limits } = req.apiClient;
+  const record = getUsage(req.apiClient.id);
+
+  res.json({
+    success: true,
+    auth: true,
+    key: name,
+    limits,
+    usage: {
+      requestsLastMinute: record.requests.length,
+      bytesToday: record.bytes,
+      bytesResetIn: secondsUntilTomorrow(),
+    },
+  });
+}
+
+module.exports = {
+  apiAuth,
+  usageHandler,
+  chargeBytes,
+  meterUpload,
+  checkBatchLimit,
+};
@@ -0,0 +1,81 @@
+/**
+ * Request Logging
+ * Gives every /api request an id, sent back as the X-Request-Id header and
+ * in the body of every error response ({ error, requestId }), so a failure
+ * a user reports can be found in the logs. Each request's log lines carry
+ * the id, and one line is written when it completes, with its status and
+ * duration.
+ *
+ * A valid X-Request-Id sent by the client (or a proxy in front of the
+ * server) is used instead of a new id.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const logger = require("../services/logger");
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Scraped or polled often; their completion is only logged at debug level
+const QUIET_PATHS = ["/api/health", "/api/metrics"];
+
+/**
+ * Route a request matched, e.g. "/api/jobs/:id", or its path when it
+ * hasn't matched one (yet)
+ */
+function getRoute(req) {
+  return req.route
+    ? req.baseUrl + req.route.path
+    : req.originalUrl.split("?")[0];
+}
+
+/**
+ * Level of a completed request's line, from its status
+ */
+function getLevel(req, status) {
+  if (status >= 500) return "error";
+  if (status >= 400) return "warn";
+  return QUIET_PATHS.includes(req.originalUrl.split("?")[0]) ? "debug" : "info";
+}
+
+function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const id =
+    incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  const startedAt = Date.now();
+
+  req.id = id;
+  res.set("X-Request-Id", id);
+  res.append("Access-Control-Expose-Headers", "X-Request-Id");
+
+  // Error bodies ({ error, ... }) carry the id too
+  const json = res.json.bind(res);
+  res.json = (body) =>
+    json(
+      res.statusCode >= 400 && body?.constructor === Object
+        ? { ...body, requestId: id }
+        : body,
+    );
+
+  res.on("finish", () => {
+    logger[getLevel(req, res.statusCode)]("Request completed", {
+      requestId: id,
+      method: req.method,
+      route: getRoute(req),
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+    });
+  });
+
+  const context = {
+    requestId: id,
+    method: req.method,
+    get route() {
+      return getRoute(req);
+    },
+  };
+  logger.runWithContext(context, next);
+}
+
+module.exports = {
+  requestLogger,
+};
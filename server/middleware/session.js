@@ -0,0 +1,81 @@
+/**
+ * Session Middleware
+ * Reads the session token from the X-Session-Token header or the session
+ * cookie and attaches the session (or null) as req.session
+ *
+ * The browser UI relies on the cookie, which is HttpOnly and SameSite=Strict
+ * so other sites can't use it, and lasts SESSION_MAX_AGE. Scripts can send the X-Session-Token header
+ * returned by the request that started the session instead.
+ */
+
+const config = require("../config");
+const sessionService = require("../services/sessionService");
+
+const SESSION_COOKIE = "compress_session";
+
+/**
+ * Read a cookie from the request
+ */
+function getCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return part.slice(index + 1).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Express middleware: look up the request's session
+ */
+function loadSession(req, res, next) {
+  req.session = sessionService.getSession(
+    req.get("X-Session-Token") || getCookie(req, SESSION_COOKIE),
+  );
+  next();
+}
+
+/**
+ * Send the session cookie, lasting SESSION_MAX_AGE from now
+ */
+function setSessionCookie(req, res, session) {
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    path: "/api",
+    maxAge: config.sessionMaxAge * 1000,
+  });
+}
+
+/**
+ * Get the request's session, starting a new one if it has none
+ */
+function ensureSession(req, res) {
+  if (req.session) return req.session;
+
+  const session = sessionService.createSession();
+  setSessionCookie(req, res, session);
+  res.set("X-Session-Token", session.token);
+  res.append("Access-Control-Expose-Headers", "X-Session-Token");
+
+  req.session = session;
+  return session;
+}
+
+/**
+ * Make the request's session cookie last another SESSION_MAX_AGE (a
+ * session sent in the X-Session-Token header is kept by its client)
+ */
+function renewSession(req, res) {
+  if (req.session && getCookie(req, SESSION_COOKIE) === req.session.token) {
+    setSessionCookie(req, res, req.session);
+  }
+}
+
+module.exports = {
+  loadSession,
+  ensureSession,
+  renewSession,
+};
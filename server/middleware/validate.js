@@ -0,0 +1,291 @@
+/**
+ * Request Validation
+ * Checks a request's path parameters, query string and JSON body against
+ * the schemas declared for its route (see server/schemas) before the route
+ * handler runs
+ *
+ * Schemas are the JSON Schema subset used by OpenAPI 3.0: type, nullable,
+ * enum, minimum/maximum (and exclusiveMinimum), minLength/maxLength,
+ * pattern, format "uuid", items, minItems/maxItems, properties, required,
+ * additionalProperties, anyOf and $ref to "#/components/schemas/...".
+ *
+ * Numbers and booleans may arrive as strings (query strings, form fields):
+ * they are converted where the schema expects them, and the handler gets
+ * the converted values. Every 400 has the same body:
+ * { error, errors: [{ field, message }] }
+ */
+
+const { components } = require("../schemas/common");
+const metrics = require("../services/metrics");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const TYPE_NAMES = {
+  string: "a string",
+  integer: "an integer",
+  number: "a number",
+  boolean: "a boolean",
+  object: "an object",
+  array: "an array",
+};
+
+/**
+ * Follow a $ref to its schema
+ */
+function resolveRef(schema) {
+  if (!schema.$ref) return schema;
+
+  const name = schema.$ref.replace("#/components/schemas/", "");
+  if (!components[name]) throw new Error(`Unknown schema: ${schema.$ref}`);
+  return components[name];
+}
+
+/**
+ * Convert a string to the type a schema expects, when it reads as one
+ */
+function coerce(schema, value) {
+  if (typeof value !== "string") return value;
+
+  if (value === "" && schema.nullable && schema.type !== "string") {
+    return null;
+  }
+  if (
+    (schema.type === "integer" || schema.type === "number") &&
+    value.trim() !== "" &&
+    Number.isFinite(Number(value))
+  ) {
+    return Number(value);
+  }
+  if (schema.type === "boolean") {
+    if (value === "true" || value === "1") return true;
+    if (value === "false" || value === "0") return false;
+  }
+  return value;
+}
+
+/**
+ * Check a value's type
+ */
+function hasType(type, value) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    case "array":
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value from the request
+ * @param {string} field - Name of the value in error messages, e.g.
+ *   "settings.crop.mode"
+ * @param {Array} errors - Problems found are added here as
+ *   { field, message }
+ * @returns {*} The value, with strings converted where the schema asked
+ */
+function checkValue(schema, value, field, errors) {
+  schema = resolveRef(schema);
+
+  if (schema.anyOf) {
+    // The first alternative that fits wins; otherwise report on the first
+    // (non-enum) one of the right type
+    const attempts = schema.anyOf.map((option) => {
+      const optionErrors = [];
+      const checked = checkValue(option, value, field, optionErrors);
+      return { option: resolveRef(option), checked, optionErrors };
+    });
+
+    const match = attempts.find((a) => a.optionErrors.length === 0);
+    if (match) return match.checked;
+    if (value === null && schema.nullable) return null;
+
+    const sameType = attempts.find(
+      (a) =>
+        !a.option.enum &&
+        (!a.option.type || hasType(a.option.type, coerce(a.option, value))),
+    );
+    if (sameType) {
+      errors.push(...sameType.optionErrors);
+    } else {
+      const types = attempts.map((a) =>
+        a.option.enum
+          ? a.option.enum.map((v) => JSON.stringify(v)).join(" or ")
+          : TYPE_NAMES[a.option.type],
+      );
+      errors.push({ field, message: `must be ${types.join(" or ")}` });
+    }
+    return value;
+  }
+
+  value = coerce(schema, value);
+
+  if (value === null || value === undefined) {
+    if (value === null && !schema.nullable) {
+      errors.push({ field, message: "must not be null" });
+    }
+    return value;
+  }
+
+  if (schema.type && !hasType(schema.type, value)) {
+    errors.push({ field, message: `must be ${TYPE_NAMES[schema.type]}` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      field,
+      message: `must be one of: ${schema.enum.join(", ")}`,
+    });
+    return value;
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum && value <= schema.minimum) {
+        errors.push({
+          field,
+          message: `must be greater than ${schema.minimum}`,
+        });
+      } else if (value < schema.minimum) {
+        errors.push({ field, message: `must be at least ${schema.minimum}` });
+      }
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        field,
+        message:
+          schema.minLength === 1
+            ? "must not be empty"
+            : `must be at least ${schema.minLength} characters`,
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        field,
+        message: `must be at most ${schema.maxLength} characters`,
+      });
+    }
+    if (schema.format === "uuid" && !UUID_PATTERN.test(value)) {
+      errors.push({ field, message: "must be a UUID" });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        field,
+        message: `must have at least ${schema.minItems} item(s)`,
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        field,
+        message: `must have at most ${schema.maxItems} item(s)`,
+      });
+    }
+    if (schema.items) {
+      value = value.map((item, index) =>
+        checkValue(schema.items, item, `${field}[${index}]`, errors),
+      );
+    }
+  }
+
+  if (schema.type === "object") {
+    value = checkObject(schema, value, field, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Check an object's properties
+ * @param {string} field - Name of the object, or "" at the top level
+ */
+function checkObject(schema, value, field, errors) {
+  const properties = schema.properties || {};
+  const checked = {};
+  const name = (key) => (field ? `${field}.${key}` : key);
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      errors.push({ field: name(key), message: "is required" });
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (properties[key]) {
+      checked[key] = checkValue(properties[key], item, name(key), errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ field: name(key), message: "is not allowed" });
+    } else {
+      checked[key] = item;
+    }
+  }
+
+  return checked;
+}
+
+/**
+ * Respond with a 400 listing each invalid field
+ * @param {Array} errors - [{ field, message }]
+ */
+function sendValidationErrors(res, errors) {
+  metrics.recordRejectedRequest();
+  return res.status(400).json({
+    error: errors.map((e) => `${e.field}: ${e.message}`).join("; "),
+    errors,
+  });
+}
+
+/**
+ * Express middleware checking a request against its route's declared
+ * schemas ({ params, query, body }). The checked values replace
+ * req.params, req.query and req.body.
+ * @param {Object} route - Route declaration from server/schemas
+ */
+function validate(route) {
+  return (req, res, next) => {
+    const errors = [];
+
+    if (route.params) {
+      req.params = checkObject(route.params, req.params, "", errors);
+    }
+    if (route.query) {
+      req.query = checkObject(route.query, req.query, "", errors);
+    }
+    if (route.body) {
+      if (!hasType("object", req.body)) {
+        errors.push({ field: "body", message: "must be a JSON object" });
+      } else {
+        req.body = checkObject(resolveRef(route.body), req.body, "", errors);
+      }
+    }
+
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  sendValidationErrors,
+};
@@ -0,0 +1,20 @@
+/**
+ * Index files stored before the file registry kept an expiry index, and
+ * count the files kept in each storage area
+ *
+ * Run once after upgrading, against the same storage as the server:
+ *   npm run migrate-registry
+ */
+
+const fileRegistry = require("./services/fileRegistry");
+const logger = require("./services/logger");
+
+fileRegistry
+  .migrateRegistry()
+  .then(({ indexed, counts }) => {
+    logger.info("File registry migrated", { indexed, counts });
+  })
+  .catch((error) => {
+    logger.error("File registry migration failed", { error });
+    process.exitCode = 1;
+  });
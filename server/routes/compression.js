@@ -10,46 +10,80 @@ const path = require("path");
 const fs = require("fs").promises;
 const { v4: uuidv4 } = require("uuid");
 const archiver = require("archiver");
-const { createWriteStream } = require("fs");
+const { once } = require("events");
 
 const compressionService = require("../services/compressionService");
+const jobService = require("../services/jobService");
+const sessionService = require("../services/sessionService");
+const presetService = require("../services/presetService");
+const fileRegistry = require("../services/fileRegistry");
+const metrics = require("../services/metrics");
+const logger = require("../services/logger");
+const storage = require("../services/storage");
+const { fetchImage } = require("../services/urlFetcher");
+const { validateImage } = require("../services/imageValidation");
+const {
+  chargeBytes,
+  meterUpload,
+  checkBatchLimit,
+} = require("../middleware/apiAuth");
+const { loadSession, ensureSession } = require("../middleware/session");
+const { validate, sendValidationErrors } = require("../middleware/validate");
+const schemas = require("../schemas/compression");
+const { UPLOAD_FILENAME_PATTERN } = require("../schemas/common");
 
-// Get upload directory - use /tmp on Vercel/production (ephemeral filesystem)
-const isServerless =
-  process.env.VERCEL === "1" || process.env.NODE_ENV === "production";
-const uploadsDir = isServerless
-  ? "/tmp/uploads"
-  : path.join(__dirname, "../../uploads");
-const compressedDir = isServerless
-  ? "/tmp/compressed"
-  : path.join(__dirname, "../../compressed");
-
-// Ensure directories exist
-const { existsSync, mkdirSync } = require("fs");
-if (!existsSync(uploadsDir)) mkdirSync(uploadsDir, { recursive: true });
-if (!existsSync(compressedDir)) mkdirSync(compressedDir, { recursive: true });
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
+const config = require("../config");
+
+const maxFileSizeLabel = config.formatSize(config.maxFileSize);
+
+// Every file belongs to the session that uploaded it
+router.use(loadSession);
+
+// Uploads are named "<uuid>.<ext>"; storage keys are built from the name
+const uploadFilenamePattern = new RegExp(UPLOAD_FILENAME_PATTERN);
+
+/**
+ * Error about one field of a request (e.g. a setting that passed its schema
+ * but can't be used), reported as a 400 on that field
+ */
+function fieldError(field, message) {
+  const error = new Error(message);
+  error.field = field;
+  return error;
+}
+
+// Configure multer for file uploads. Files wait in the temp directory until
+// their content is checked, then move to storage.
+const diskStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    cb(null, config.tempDir);
   },
   filename: (req, file, cb) => {
+    // The extension comes from the (already filtered) type, never the name
     const uniqueId = uuidv4();
-    const ext = path.extname(file.originalname);
+    const ext = compressionService.getExtension(
+      compressionService.getOutputFormat(file.mimetype),
+    );
     cb(null, `${uniqueId}${ext}`);
   },
 });
 
 // File filter - only allow images
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+  const allowedTypes = [
+    "image/jpeg",
+    "image/png",
+    "image/gif",
+    "image/webp",
+    "image/avif",
+  ];
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(
-      new Error(
-        `Invalid file type: ${file.mimetype}. Only JPG, PNG, GIF, and WebP are allowed.`,
+      fieldError(
+        file.fieldname,
+        `Invalid file type: ${file.mimetype}. Only JPG, PNG, GIF, WebP, and AVIF are allowed.`,
       ),
       false,
     );
@@ -57,197 +91,1150 @@ const fileFilter = (req, file, cb) => {
 };
 
 const upload = multer({
-  storage,
+  storage: diskStorage,
+  fileFilter,
+  limits: {
+    fileSize: config.maxFileSize,
+    files: config.maxFiles,
+  },
+});
+
+// Single-image uploads for /api/compress/direct stay in memory
+const directUpload = multer({
+  storage: multer.memoryStorage(),
   fileFilter,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB max file size
-    files: 20, // Max 20 files per request
+    fileSize: config.maxFileSize,
+    files: 1,
   },
 });
 
+/**
+ * GET /api/config
+ * Limits and defaults for clients (max file size, files per batch, ...)
+ */
+router.get("/config", validate(schemas.getConfig), (req, res) => {
+  res.json({ success: true, config: config.getPublicConfig() });
+});
+
 /**
  * POST /api/upload
  * Upload multiple images for compression
  */
-router.post("/upload", upload.array("images", 20), async (req, res) => {
-  try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ error: "No files uploaded" });
+router.post(
+  "/upload",
+  validate(schemas.uploadImages),
+  upload.array("images", config.maxFiles),
+  meterUpload,
+  async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return sendValidationErrors(res, [
+          { field: "images", message: "is required" },
+        ]);
+      }
+
+      const batchError = checkBatchLimit(req, req.files.length);
+      if (batchError) {
+        await Promise.all(req.files.map((file) => fs.unlink(file.path)));
+        return sendValidationErrors(res, [
+          { field: "images", message: batchError },
+        ]);
+      }
+
+      // The multer filter only saw the client's type - check the content
+      const validFiles = [];
+      const errors = [];
+      for (const file of req.files) {
+        try {
+          await validateImage(file.path, file.mimetype);
+          validFiles.push(file);
+        } catch (error) {
+          await fs.unlink(file.path);
+          metrics.recordFailure(metrics.classifyFailure(error.message));
+          logger.warn("Upload rejected", {
+            originalName: file.originalname,
+            reason: error.message,
+          });
+          errors.push({
+            originalName: file.originalname,
+            error: error.message,
+          });
+        }
+      }
+
+      if (validFiles.length === 0) {
+        return sendValidationErrors(
+          res,
+          errors.map((e) => ({
+            field: "images",
+            message: `${e.originalName}: ${e.error}`,
+          })),
+        );
+      }
+
+      const session = ensureSession(req, res);
+      const uploadedFiles = [];
+      for (const file of validFiles) {
+        const key = sessionService.getFileKey(session, file.filename);
+        const id = path.basename(file.filename, path.extname(file.filename));
+        await storage.writeFile("uploads", key, file.path, {
+          contentType: file.mimetype,
+        });
+        const { expiresAt } = await fileRegistry.registerFile({
+          area: "uploads",
+          key,
+          kind: "upload",
+          owner: session.owner,
+          uploadId: id,
+        });
+        metrics.recordUpload("upload", file.size);
+        logger.info("File uploaded", {
+          fileId: id,
+          size: file.size,
+          mimetype: file.mimetype,
+        });
+        uploadedFiles.push({
+          id,
+          originalName: file.originalname,
+          filename: file.filename,
+          size: file.size,
+          mimetype: file.mimetype,
+          expiresAt: new Date(expiresAt).toISOString(),
+        });
+      }
+
+      res.json({
+        success: true,
+        files: uploadedFiles,
+        errors,
+        message: `${uploadedFiles.length} file(s) uploaded successfully`,
+      });
+    } catch (error) {
+      logger.error("Upload failed", { error });
+      res.status(500).json({ error: error.message });
     }
+  },
+);
 
-    const uploadedFiles = req.files.map((file) => ({
-      id: path.basename(file.filename, path.extname(file.filename)),
-      originalName: file.originalname,
-      filename: file.filename,
-      path: file.path,
-      size: file.size,
-      mimetype: file.mimetype,
-    }));
+/**
+ * POST /api/watermark
+ * Upload a PNG logo for use as an image watermark
+ */
+router.post(
+  "/watermark",
+  validate(schemas.uploadWatermark),
+  upload.single("logo"),
+  meterUpload,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return sendValidationErrors(res, [
+          { field: "logo", message: "is required" },
+        ]);
+      }
 
-    res.json({
-      success: true,
-      files: uploadedFiles,
-      message: `${uploadedFiles.length} file(s) uploaded successfully`,
+      if (req.file.mimetype !== "image/png") {
+        await fs.unlink(req.file.path);
+        return sendValidationErrors(res, [
+          { field: "logo", message: "must be a PNG image" },
+        ]);
+      }
+
+      try {
+        await validateImage(req.file.path, "image/png");
+      } catch (error) {
+        await fs.unlink(req.file.path);
+        return sendValidationErrors(res, [
+          { field: "logo", message: error.message },
+        ]);
+      }
+
+      const session = ensureSession(req, res);
+      const key = sessionService.getFileKey(session, req.file.filename);
+      const id = path.basename(
+        req.file.filename,
+        path.extname(req.file.filename),
+      );
+      await storage.writeFile("uploads", key, req.file.path, {
+        contentType: "image/png",
+      });
+      const { expiresAt } = await fileRegistry.registerFile({
+        area: "uploads",
+        key,
+        kind: "logo",
+        owner: session.owner,
+        uploadId: id,
+      });
+      metrics.recordUpload("watermark", req.file.size);
+
+      res.json({
+        success: true,
+        logo: {
+          id,
+          originalName: req.file.originalname,
+          filename: req.file.filename,
+          size: req.file.size,
+          expiresAt: new Date(expiresAt).toISOString(),
+        },
+      });
+    } catch (error) {
+      logger.error("Watermark upload failed", { error });
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * Parse watermark settings. Text watermarks take { text, fontSize, color,
+ * opacity, position, margin }; image watermarks take { logo, scale, opacity,
+ * position, margin }, where logo is the filename from POST /api/watermark
+ * (uploaded by the same session) and scale is the logo width relative to
+ * the image width.
+ * Returns null when off.
+ */
+async function parseWatermarkSettings(watermark, session) {
+  if (!watermark) return null;
+
+  const common = {
+    opacity: watermark.opacity ?? 0.5,
+    position: watermark.position || "bottom-right",
+    margin: watermark.margin ?? 16,
+  };
+
+  if (watermark.type === "text") {
+    const text = (watermark.text || "").trim();
+    if (!text) {
+      throw fieldError("watermark.text", "is required for text watermarks");
+    }
+
+    return {
+      type: "text",
+      text,
+      fontSize: watermark.fontSize || 32,
+      color: watermark.color || "#ffffff",
+      ...common,
+    };
+  }
+
+  if (!watermark.logo) {
+    throw fieldError("watermark.logo", "is required for image watermarks");
+  }
+
+  // Only logos uploaded by this session can be referenced
+  const logo = await getOwnedUpload(session, watermark.logo);
+  if (!logo || logo.mimetype !== "image/png") {
+    throw fieldError("watermark.logo", "is not a logo of this session");
+  }
+
+  return {
+    type: "image",
+    key: logo.key,
+    scale: watermark.scale || 0.2,
+    ...common,
+  };
+}
+
+/**
+ * Parse responsive set settings ({ widths, formats, sizes, pathPrefix }).
+ * Returns null when off.
+ */
+function parseResponsiveSettings(responsive) {
+  if (!responsive) return null;
+
+  return {
+    widths: responsive.widths,
+    formats: responsive.formats?.length > 0 ? responsive.formats : ["original"],
+    sizes: responsive.sizes || null,
+    pathPrefix: responsive.pathPrefix || "",
+  };
+}
+
+/**
+ * Parse crop settings ({ mode, aspectRatio, position, rect }).
+ * Modes: "cover" (exact resizeWidth x resizeHeight), "aspect" (e.g. "16:9")
+ * and "manual" (rect in oriented image pixels). Returns null when off.
+ */
+function parseCropSettings(crop) {
+  if (!crop) return null;
+
+  const parsed = {
+    mode: crop.mode,
+    position: crop.position === "center" ? "centre" : crop.position || "centre",
+  };
+
+  if (crop.mode === "aspect") {
+    // Accept "16:9", "16/9" or a plain number such as 1.7778
+    const [w, h] = String(crop.aspectRatio ?? "")
+      .split(/[:/x]/)
+      .map(parseFloat);
+    parsed.aspectRatio = h ? w / h : w;
+    if (!(parsed.aspectRatio > 0)) {
+      throw fieldError("crop.aspectRatio", 'is required for mode "aspect"');
+    }
+  }
+
+  if (crop.mode === "manual") {
+    if (!crop.rect) {
+      throw fieldError("crop.rect", 'is required for mode "manual"');
+    }
+    parsed.rect = {
+      left: crop.rect.left || 0,
+      top: crop.rect.top || 0,
+      width: crop.rect.width,
+      height: crop.rect.height,
+    };
+  }
+
+  return parsed;
+}
+
+/**
+ * Resolve settings.preset: the named preset's settings, overridden by every
+ * other setting sent with the request
+ * @param {string|null} owner - Whose presets to look in, besides the shared
+ *   ones
+ * @returns {Object|null} Settings to parse, or null if there is no such preset
+ */
+async function applyPreset(settings, owner) {
+  if (!settings?.preset) return settings || {};
+
+  const { preset: name, ...overrides } = settings;
+  const preset = await presetService.getPreset(name, owner);
+  return preset ? { ...preset.settings, ...overrides } : null;
+}
+
+/**
+ * Fill in the defaults of settings checked against CompressionSettings
+ * @param {Object} settings - Settings from the request (or a preset)
+ * @param {Object|null} session - Session of the request, for watermark logos
+ */
+async function parseCompressionSettings(settings, session) {
+  const parsed = {
+    quality: settings?.quality || config.defaultQuality,
+    ssimThreshold: settings?.ssimThreshold || null,
+    outputFormat: settings?.outputFormat || "original",
+    resizeWidth: settings?.resizeWidth || null,
+    resizeHeight: settings?.resizeHeight || null,
+    maintainAspectRatio: settings?.maintainAspectRatio !== false,
+    rotate: settings?.rotate || 0,
+    flip: settings?.flip === true,
+    flop: settings?.flop === true,
+    metadata: settings?.metadata || null,
+    convertToSrgb: settings?.convertToSrgb !== false,
+    targetSizeKB: settings?.targetSizeKB || null,
+    crop: parseCropSettings(settings?.crop),
+    watermark: await parseWatermarkSettings(settings?.watermark, session),
+    responsive: parseResponsiveSettings(settings?.responsive),
+  };
+
+  // A cover crop fills a box: with one side only, it would be a plain resize
+  if (
+    parsed.crop?.mode === "cover" &&
+    !(parsed.resizeWidth && parsed.resizeHeight)
+  ) {
+    throw fieldError(
+      "crop.mode",
+      'needs both resizeWidth and resizeHeight for mode "cover"',
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Apply the preset of a compression request and parse its settings
+ * @param {Object} req - The request, whose API key or session owns presets
+ *   and watermark logos
+ * @param {string} prefix - Where the settings are in the request, for the
+ *   fields of errors (e.g. "settings.")
+ * @returns {Object} { settings }, or { errors } when the preset doesn't
+ *   exist or a setting can't be used
+ */
+async function resolveSettings(settings, req, prefix) {
+  const { session } = req;
+  const requestSettings = await applyPreset(
+    settings,
+    presetService.getPresetOwner(req.apiClient, session),
+  );
+  if (!requestSettings) {
+    return {
+      errors: [{ field: `${prefix}preset`, message: "is not a known preset" }],
+    };
+  }
+
+  try {
+    return {
+      settings: await parseCompressionSettings(requestSettings, session),
+    };
+  } catch (error) {
+    if (!error.field) throw error;
+    return {
+      errors: [{ field: prefix + error.field, message: error.message }],
+    };
+  }
+}
+
+/**
+ * Compress one file - or, with settings.responsive, build its responsive set
+ */
+function compressFile(file, settings) {
+  return settings.responsive
+    ? compressionService.createResponsiveSet(file, settings)
+    : compressionService.compressImage(file, settings);
+}
+
+/**
+ * Get one of the session's uploaded files by filename, or null if the
+ * session has no such upload
+ * @returns {Object|null} { id, filename, mimetype, owner, key }
+ */
+async function getOwnedUpload(session, filename) {
+  if (
+    typeof filename !== "string" ||
+    !uploadFilenamePattern.test(filename) ||
+    !(await sessionService.ownsFile(session, "uploads", filename))
+  ) {
+    return null;
+  }
+
+  // Upload filenames end in the extension of their (checked) format
+  const extension = path.extname(filename).slice(1);
+  return {
+    id: path.basename(filename, path.extname(filename)),
+    filename,
+    mimetype:
+      compressionService.MIME_TYPES[extension === "jpg" ? "jpeg" : extension],
+    owner: session.owner,
+    key: sessionService.getFileKey(session, filename),
+  };
+}
+
+/**
+ * Record a compression result in the metrics and the log
+ * @param {Object} info - { inputFormat, batchSize, durationMs }
+ */
+function recordCompression(result, { inputFormat, batchSize, durationMs }) {
+  metrics.recordCompression(result, {
+    inputFormat,
+    batchSize,
+    seconds: durationMs / 1000,
+  });
+
+  if (result.success) {
+    logger.info("File compressed", {
+      fileId: result.id,
+      inputFormat,
+      outputFormat: result.responsive ? "responsive" : result.outputFormat,
+      originalSize: result.originalSize,
+      compressedSize: result.compressedSize,
+      cached: result.cached,
+      durationMs,
+    });
+  } else {
+    logger.warn("File not compressed", {
+      fileId: result.id,
+      reason: result.error,
+      durationMs,
     });
+  }
+}
+
+/**
+ * Result for a file that could not be compressed before it was read
+ * @param {string} failure - Failure type for metrics
+ */
+function fileNotCompressed(file, error, failure) {
+  metrics.recordFailure(failure);
+  logger.warn("File not compressed", { fileId: file?.id, reason: error });
+  return {
+    success: false,
+    id: file?.id,
+    originalName: file?.originalName,
+    error,
+  };
+}
+
+/**
+ * Compress a file uploaded by the request's session. Files are looked up in
+ * the session's storage by filename, so paths sent by the client are never
+ * used. Never throws: a file that can't be read fails on its own, without
+ * the rest of its batch.
+ * @param {number} batchSize - Files in the request, for metrics
+ */
+async function compressOwnedFile(session, file, settings, batchSize) {
+  let upload;
+  let buffer;
+  try {
+    upload = await getOwnedUpload(session, file?.filename);
+    if (upload && upload.id === file.id) {
+      buffer = await storage.read("uploads", upload.key);
+    }
   } catch (error) {
-    console.error("Upload error:", error);
-    res.status(500).json({ error: error.message });
+    // Expired or deleted between the lookup and the read
+    if (error.code !== "ENOENT") {
+      logger.error("Upload not readable", { fileId: file?.id, error });
+      return fileNotCompressed(
+        file,
+        "Could not read the uploaded file",
+        "processing",
+      );
+    }
   }
-});
+  if (!buffer) return fileNotCompressed(file, "File not found", "not_found");
+
+  const startedAt = Date.now();
+  const result = await compressFile(
+    {
+      ...upload,
+      originalName:
+        typeof file.originalName === "string"
+          ? path.basename(file.originalName)
+          : upload.filename,
+      buffer,
+    },
+    settings,
+  );
+
+  recordCompression(result, {
+    inputFormat: compressionService.getOutputFormat(upload.mimetype),
+    batchSize,
+    durationMs: Date.now() - startedAt,
+  });
+  return result;
+}
+
+/**
+ * Start a server-sent event stream as the response, unless it has started
+ */
+function openEventStream(res) {
+  if (res.headersSent) return;
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+}
+
+/**
+ * Send one server-sent event, starting the stream if needed
+ */
+function writeEvent(res, event, data) {
+  openEventStream(res);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Compress files as a job run within this request, with its events as the
+ * response: progress without background jobs, e.g. on serverless servers.
+ * Leaving early cancels the files not yet started.
+ */
+function streamCompression(req, res, files, settings) {
+  const session = req.session;
+  const job = jobService.createJob(
+    files,
+    (file) => compressOwnedFile(session, file, settings, files.length),
+    session?.owner,
+  );
+
+  openEventStream(res);
+  const unsubscribe = jobService.subscribeJob(
+    job.id,
+    session?.owner,
+    (event, data) => {
+      writeEvent(res, event, data);
+      if (event === "summary") res.end();
+    },
+  );
+
+  res.on("close", () => {
+    unsubscribe();
+    if (!res.writableFinished) jobService.cancelJob(job.id, session?.owner);
+  });
+}
 
 /**
  * POST /api/compress
- * Compress uploaded images with specified settings
+ * Compress uploaded images with specified settings.
+ * With settings.responsive, each image becomes a responsive set instead.
+ * With "Accept: text/event-stream", progress streams back as the events of
+ * GET /api/jobs/:id/events, ending with the summary.
  */
-router.post("/compress", async (req, res) => {
+router.post("/compress", validate(schemas.compress), async (req, res) => {
   try {
-    const { files, settings } = req.body;
+    const { files } = req.body;
 
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: "No files to compress" });
+    const batchError = checkBatchLimit(req, files.length);
+    if (batchError) {
+      return sendValidationErrors(res, [
+        { field: "files", message: batchError },
+      ]);
     }
 
-    const compressionSettings = {
-      quality: parseInt(settings?.quality) || 80,
-      outputFormat: settings?.outputFormat || "original",
-      resizeWidth: settings?.resizeWidth
-        ? parseInt(settings.resizeWidth)
-        : null,
-      resizeHeight: settings?.resizeHeight
-        ? parseInt(settings.resizeHeight)
-        : null,
-      maintainAspectRatio: settings?.maintainAspectRatio !== false,
-    };
+    const { settings: compressionSettings, errors } = await resolveSettings(
+      req.body.settings,
+      req,
+      "settings.",
+    );
+    if (errors) return sendValidationErrors(res, errors);
+
+    if (req.accepts(["json", "text/event-stream"]) === "text/event-stream") {
+      return streamCompression(req, res, files, compressionSettings);
+    }
 
     const results = await Promise.all(
       files.map((file) =>
-        compressionService.compressImage(file, compressionSettings),
+        compressOwnedFile(req.session, file, compressionSettings, files.length),
       ),
     );
 
+    const successful = results.filter((r) => r.success);
     res.json({
       success: true,
       results,
-      totalOriginalSize: results.reduce((sum, r) => sum + r.originalSize, 0),
-      totalCompressedSize: results.reduce(
+      totalOriginalSize: successful.reduce((sum, r) => sum + r.originalSize, 0),
+      totalCompressedSize: successful.reduce(
         (sum, r) => sum + r.compressedSize,
         0,
       ),
     });
   } catch (error) {
-    console.error("Compression error:", error);
+    logger.error("Compression failed", { error });
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/download/:filename
- * Download a single compressed image
+ * POST /api/compress/direct
+ * Compress one image sent as the raw request body (or as the multipart
+ * field "image"), with settings in the query string. Responds with the
+ * compressed bytes; sizes, dimensions and format go in X-* headers.
+ * Nothing is kept on disk.
+ */
+router.post(
+  "/compress/direct",
+  validate(schemas.compressDirect),
+  express.raw({
+    type: ["image/*", "application/octet-stream"],
+    limit: config.maxFileSize,
+  }),
+  (req, res, next) =>
+    req.is("multipart/form-data")
+      ? directUpload.single("image")(req, res, next)
+      : next(),
+  meterUpload,
+  async (req, res) => {
+    try {
+      let file;
+      let declaredMimetype = null;
+
+      if (req.file) {
+        file = {
+          originalName: req.file.originalname,
+          buffer: req.file.buffer,
+        };
+        declaredMimetype = req.file.mimetype;
+      } else if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+        // Raw bodies are identified by their content alone
+        file = {
+          originalName: path.basename(req.query.filename || "image"),
+          buffer: req.body,
+        };
+      } else {
+        return sendValidationErrors(res, [
+          { field: "image", message: "is required" },
+        ]);
+      }
+
+      try {
+        const { mimetype } = await validateImage(file.buffer, declaredMimetype);
+        file.mimetype = mimetype;
+      } catch (error) {
+        metrics.recordFailure(metrics.classifyFailure(error.message));
+        return sendValidationErrors(res, [
+          { field: "image", message: error.message },
+        ]);
+      }
+
+      // Everything but the filename is a setting
+      const { filename, ...query } = req.query;
+      const { settings, errors } = await resolveSettings(query, req, "");
+      if (errors) return sendValidationErrors(res, errors);
+      if (settings.responsive) {
+        return sendValidationErrors(res, [
+          {
+            field: "responsive",
+            message: "is not available from /api/compress/direct",
+          },
+        ]);
+      }
+
+      metrics.recordUpload("direct", file.buffer.length);
+      const startedAt = Date.now();
+      const result = await compressionService.compressImage(
+        { ...file, id: uuidv4() },
+        { ...settings, inMemory: true },
+      );
+      recordCompression(result, {
+        inputFormat: compressionService.getOutputFormat(file.mimetype),
+        batchSize: 1,
+        durationMs: Date.now() - startedAt,
+      });
+
+      if (!result.success) {
+        return sendValidationErrors(res, [
+          { field: "image", message: result.error },
+        ]);
+      }
+
+      const extension = compressionService.getExtension(result.outputFormat);
+      const downloadName =
+        path.basename(file.originalName, path.extname(file.originalName)) +
+        extension;
+
+      const headers = {
+        "X-Original-Size": result.originalSize,
+        "X-Compressed-Size": result.compressedSize,
+        "X-Saved-Bytes": result.savedBytes,
+        "X-Savings-Percent": result.savingsPercent,
+        "X-Output-Format": result.outputFormat,
+        "X-Quality": result.quality,
+        "X-Image-Width": result.dimensions.width,
+        "X-Image-Height": result.dimensions.height,
+        "X-Frames": result.frames,
+        "X-SSIM": result.ssim,
+        "X-PSNR": result.psnr,
+      };
+      if (result.targetSizeKB) headers["X-Target-Met"] = result.targetMet;
+
+      res.set(headers);
+      res.append(
+        "Access-Control-Expose-Headers",
+        Object.keys(headers).join(", "),
+      );
+      res.type(compressionService.MIME_TYPES[result.outputFormat]);
+      res.attachment(downloadName);
+      res.send(result.buffer);
+    } catch (error) {
+      logger.error("Direct compression failed", { error });
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * Download an image URL into the session's uploads, as if it was uploaded
+ */
+async function importUrl(req, address) {
+  const { buffer, url } = await fetchImage(address);
+  const limitError = chargeBytes(req, buffer.length);
+  if (limitError) throw new Error(limitError);
+
+  const { mimetype } = await validateImage(buffer);
+
+  const id = uuidv4();
+  const extension = compressionService.getExtension(
+    compressionService.getOutputFormat(mimetype),
+  );
+  const filename = `${id}${extension}`;
+  const key = sessionService.getFileKey(req.session, filename);
+  await storage.write("uploads", key, buffer, { contentType: mimetype });
+  await fileRegistry.registerFile({
+    area: "uploads",
+    key,
+    kind: "upload",
+    owner: req.session.owner,
+    uploadId: id,
+  });
+  metrics.recordUpload("url", buffer.length);
+  logger.info("URL imported", {
+    fileId: id,
+    url,
+    size: buffer.length,
+    mimetype,
+  });
+
+  let originalName = path.basename(new URL(url).pathname);
+  try {
+    originalName = decodeURIComponent(originalName);
+  } catch (e) {
+    // Keep the encoded name
+  }
+
+  return {
+    id,
+    originalName: originalName || `image${extension}`,
+    filename,
+    size: buffer.length,
+    mimetype,
+    sourceUrl: url,
+  };
+}
+
+/**
+ * POST /api/compress-url
+ * Download images from HTTP(S) URLs ({ urls, settings }) and compress them
+ * like uploaded files. Each URL gets a result; failed downloads are
+ * reported per URL.
+ */
+router.post(
+  "/compress-url",
+  validate(schemas.compressUrl),
+  async (req, res) => {
+    try {
+      const urls = req.body.urls || (req.body.url ? [req.body.url] : []);
+
+      if (urls.length === 0) {
+        return sendValidationErrors(res, [
+          { field: "urls", message: "is required" },
+        ]);
+      }
+
+      const batchError = checkBatchLimit(req, urls.length);
+      if (batchError) {
+        return sendValidationErrors(res, [
+          { field: "urls", message: batchError },
+        ]);
+      }
+
+      const session = ensureSession(req, res);
+      const { settings: compressionSettings, errors } = await resolveSettings(
+        req.body.settings,
+        req,
+        "settings.",
+      );
+      if (errors) return sendValidationErrors(res, errors);
+
+      const results = await Promise.all(
+        urls.map(async (address) => {
+          let file;
+          try {
+            file = await importUrl(req, address.trim());
+          } catch (error) {
+            // Rejected content is typed like uploads; the rest are downloads
+            metrics.recordFailure(
+              metrics.classifyFailure(error.message, "download"),
+            );
+            logger.warn("URL import failed", {
+              url: address,
+              reason: error.message,
+            });
+            return {
+              success: false,
+              originalName: address,
+              sourceUrl: address,
+              error: error.message,
+            };
+          }
+          const result = await compressOwnedFile(
+            session,
+            file,
+            compressionSettings,
+            urls.length,
+          );
+          return { ...result, sourceUrl: file.sourceUrl };
+        }),
+      );
+
+      const successful = results.filter((r) => r.success);
+      res.json({
+        success: true,
+        results,
+        totalOriginalSize: successful.reduce(
+          (sum, r) => sum + r.originalSize,
+          0,
+        ),
+        totalCompressedSize: successful.reduce(
+          (sum, r) => sum + r.compressedSize,
+          0,
+        ),
+      });
+    } catch (error) {
+      logger.error("URL compression failed", { error });
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * POST /api/jobs
+ * Start compressing uploaded images in the background.
+ * Takes the same body as /api/compress and returns the job to poll.
  */
-router.get("/download/:filename", async (req, res) => {
+router.post("/jobs", validate(schemas.createJob), async (req, res) => {
+  if (!config.backgroundJobs) {
+    return res.status(404).json({
+      error: "Background jobs are turned off on this server: use /api/compress",
+    });
+  }
+
   try {
-    const { filename } = req.params;
-    const filePath = path.join(compressedDir, filename);
+    const { files } = req.body;
 
-    // Check if file exists
-    await fs.access(filePath);
+    const batchError = checkBatchLimit(req, files.length);
+    if (batchError) {
+      return sendValidationErrors(res, [
+        { field: "files", message: batchError },
+      ]);
+    }
 
-    // Get original filename from query or use compressed filename
-    const downloadName = req.query.name || filename;
+    const session = req.session;
+    const { settings: compressionSettings, errors } = await resolveSettings(
+      req.body.settings,
+      req,
+      "settings.",
+    );
+    if (errors) return sendValidationErrors(res, errors);
+    const job = jobService.createJob(
+      files,
+      (file) =>
+        compressOwnedFile(session, file, compressionSettings, files.length),
+      session?.owner,
+    );
 
-    res.download(filePath, downloadName);
+    res.status(202).json({ success: true, job });
   } catch (error) {
-    console.error("Download error:", error);
-    res.status(404).json({ error: "File not found" });
+    logger.error("Job creation failed", { error });
+    res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/download-zip
- * Download multiple compressed images as a ZIP file
+ * GET /api/jobs/:id
+ * Get a job's state, per-file progress, timings and results
  */
-router.post("/download-zip", async (req, res) => {
-  try {
-    const { files } = req.body;
+router.get("/jobs/:id", validate(schemas.getJob), (req, res) => {
+  const job = jobService.getJob(req.params.id, req.session?.owner);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json({ success: true, job });
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-sent events for a job: "start", "finish" and "fail" per file, then
+ * a "summary" with totals, after which the stream ends
+ */
+router.get("/jobs/:id/events", validate(schemas.getJobEvents), (req, res) => {
+  // Opened by the first (replayed) event, or once subscribed - a job that
+  // doesn't exist gets a plain 404 instead
+  let unsubscribe = null;
+  const send = (event, data) => {
+    writeEvent(res, event, data);
+    if (event === "summary") {
+      if (unsubscribe) unsubscribe();
+      res.end();
+    }
+  };
 
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: "No files to download" });
+  unsubscribe = jobService.subscribeJob(
+    req.params.id,
+    req.session?.owner,
+    send,
+  );
+  if (!unsubscribe) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  openEventStream(res);
+  req.on("close", unsubscribe);
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a job - files not yet started are skipped
+ */
+router.delete("/jobs/:id", validate(schemas.cancelJob), (req, res) => {
+  const job = jobService.cancelJob(req.params.id, req.session?.owner);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json({ success: true, job });
+});
+
+/**
+ * Send one of the session's compressed files: as a redirect to the storage's
+ * own (presigned) URL when it has one, else streamed through this server
+ * @param {Object} options - { downloadName } to send it as an attachment
+ */
+async function sendCompressedFile(req, res, filename, { downloadName } = {}) {
+  const key = sessionService.getFileKey(req.session, filename);
+
+  const url = await storage.getDownloadUrl("compressed", key, {
+    downloadName,
+  });
+  if (url) return res.redirect(url);
+
+  const stream = await storage.createReadStream("compressed", key);
+  stream.on("error", (error) => {
+    logger.error("File stream failed", { key, error });
+
+    // Part of the file is out: all that's left is to cut the response short
+    if (res.headersSent) return res.destroy(error);
+    res.removeHeader("Content-Disposition");
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: "File not found" });
     }
+    res.status(500).json({ error: "Could not read the file" });
+  });
 
-    const zipFilename = `compressed-images-${Date.now()}.zip`;
-    const zipPath = path.join(compressedDir, zipFilename);
+  res.type(path.extname(filename));
+  if (downloadName) res.attachment(downloadName);
+  stream.pipe(res);
+}
 
-    // Create a write stream for the zip file
-    const output = createWriteStream(zipPath);
+/**
+ * GET /api/download/:filename
+ * Download a single compressed image
+ */
+router.get(
+  "/download/:filename",
+  validate(schemas.downloadFile),
+  async (req, res) => {
+    try {
+      const { filename } = req.params;
+      if (
+        !(await sessionService.ownsFile(req.session, "compressed", filename))
+      ) {
+        return res.status(404).json({ error: "File not found" });
+      }
+
+      // Get original filename from query or use compressed filename
+      const downloadName = path.basename(req.query.name || filename);
+
+      await sendCompressedFile(req, res, filename, { downloadName });
+    } catch (error) {
+      logger.error("Download failed", { error });
+      res.status(404).json({ error: "File not found" });
+    }
+  },
+);
+
+/**
+ * POST /api/download-zip
+ * Download multiple compressed images as a ZIP file, streamed as it is built
+ */
+router.post(
+  "/download-zip",
+  validate(schemas.downloadZip),
+  async (req, res) => {
+    const { files } = req.body;
+
+    const zipFilename = `compressed-images-${Date.now()}.zip`;
     const archive = archiver("zip", {
       zlib: { level: 9 }, // Maximum compression
     });
 
-    // Handle archive events
-    output.on("close", async () => {
-      // Send the zip file
-      res.download(zipPath, zipFilename, async (err) => {
-        // Clean up zip file after download
-        try {
-          await fs.unlink(zipPath);
-        } catch (e) {
-          console.error("Error cleaning up zip:", e);
+    // Failures surface through the awaits below
+    archive.on("error", () => {});
+
+    try {
+      res.attachment(zipFilename);
+      archive.pipe(res);
+
+      // Add files to the archive - only this session's
+      for (const file of files) {
+        if (
+          !(await sessionService.ownsFile(
+            req.session,
+            "compressed",
+            file.compressedFilename,
+          ))
+        ) {
+          logger.warn("File left out of ZIP: not found", {
+            filename: file.compressedFilename,
+          });
+          continue;
         }
-      });
-    });
 
-    archive.on("error", (err) => {
-      throw err;
-    });
+        const name = path.basename(
+          file.downloadName || file.compressedFilename,
+        );
+        archive.append(
+          await storage.createReadStream(
+            "compressed",
+            sessionService.getFileKey(req.session, file.compressedFilename),
+          ),
+          {
+            // Responsive variants are grouped in a folder per source image
+            name: file.folder ? `${path.basename(file.folder)}/${name}` : name,
+          },
+        );
 
-    // Pipe archive data to the file
-    archive.pipe(output);
+        // One file at a time, so only one is open at once
+        await once(archive, "entry");
+      }
 
-    // Add files to the archive
-    for (const file of files) {
-      const filePath = path.join(compressedDir, file.compressedFilename);
-      try {
-        await fs.access(filePath);
-        archive.file(filePath, {
-          name: file.downloadName || file.compressedFilename,
-        });
-      } catch (e) {
-        console.warn(`File not found: ${file.compressedFilename}`);
+      await archive.finalize();
+    } catch (error) {
+      logger.error("ZIP download failed", { error });
+      archive.abort();
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.status(500).json({ error: error.message });
       }
     }
-
-    // Finalize the archive
-    await archive.finalize();
-  } catch (error) {
-    console.error("ZIP download error:", error);
-    res.status(500).json({ error: error.message });
-  }
-});
+  },
+);
 
 /**
  * GET /api/preview/:filename
  * Get a preview of the compressed image
  */
-router.get("/preview/:filename", async (req, res) => {
+router.get(
+  "/preview/:filename",
+  validate(schemas.previewFile),
+  async (req, res) => {
+    try {
+      const { filename } = req.params;
+      if (
+        !(await sessionService.ownsFile(req.session, "compressed", filename))
+      ) {
+        return res.status(404).json({ error: "Preview not available" });
+      }
+
+      await sendCompressedFile(req, res, filename);
+    } catch (error) {
+      res.status(404).json({ error: "Preview not available" });
+    }
+  },
+);
+
+/**
+ * POST /api/retention
+ * Keep uploads of the session, and everything compressed from them, until
+ * keepFor seconds from now (e.g. a day, for links shared to the outputs).
+ * Each id gets its new expiry, or null if the session has no such upload.
+ */
+router.post("/retention", validate(schemas.keepFiles), async (req, res) => {
   try {
-    const { filename } = req.params;
-    const filePath = path.join(compressedDir, filename);
+    const { fileIds, keepFor } = req.body;
 
-    // Check if file exists
-    await fs.access(filePath);
+    const files = [];
+    for (const id of fileIds) {
+      const expiresAt = req.session
+        ? await fileRegistry.keepUpload(req.session.owner, id, keepFor)
+        : null;
+      files.push({
+        id,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      });
+    }
 
-    // Send the file
-    res.sendFile(filePath);
+    res.json({ success: true, files });
   } catch (error) {
-    res.status(404).json({ error: "Preview not available" });
+    logger.error("Retention update failed", { error });
+    res.status(500).json({ error: error.message });
   }
 });
 
 /**
  * DELETE /api/cleanup
- * Clean up temporary files for a session
+ * Delete files of the session: each upload id in fileIds, with everything
+ * compressed from it
  */
-router.delete("/cleanup", async (req, res) => {
+router.delete("/cleanup", validate(schemas.cleanupFiles), async (req, res) => {
   try {
     const { fileIds } = req.body;
 
@@ -255,48 +1242,56 @@ router.delete("/cleanup", async (req, res) => {
       return res.json({ success: true, message: "Nothing to clean up" });
     }
 
-    // Use the module-level directories (already defined at top of file)
-
     let cleaned = 0;
 
     for (const id of fileIds) {
-      // Try to delete from both directories
-      const uploadFiles = await fs.readdir(uploadsDir);
-      const compressedFiles = await fs.readdir(compressedDir);
-
-      for (const file of uploadFiles) {
-        if (file.startsWith(id)) {
-          await fs.unlink(path.join(uploadsDir, file));
-          cleaned++;
-        }
-      }
-
-      for (const file of compressedFiles) {
-        if (file.startsWith(id)) {
-          await fs.unlink(path.join(compressedDir, file));
-          cleaned++;
-        }
-      }
+      cleaned += await sessionService.releaseFiles(req.session, id);
     }
 
     res.json({ success: true, message: `Cleaned up ${cleaned} file(s)` });
   } catch (error) {
-    console.error("Cleanup error:", error);
+    logger.error("Cleanup failed", { error });
     res.status(500).json({ error: error.message });
   }
 });
 
-// Error handling for multer
+// Error handling for uploads (multer, raw bodies and the file filter)
 router.use((error, req, res, next) => {
+  if (error.type === "entity.too.large") {
+    return sendValidationErrors(res, [
+      {
+        field: "image",
+        message: `File size exceeds ${maxFileSizeLabel} limit`,
+      },
+    ]);
+  }
   if (error instanceof multer.MulterError) {
     if (error.code === "LIMIT_FILE_SIZE") {
-      return res.status(400).json({ error: "File size exceeds 50MB limit" });
+      return sendValidationErrors(res, [
+        {
+          field: error.field,
+          message: `File size exceeds ${maxFileSizeLabel} limit`,
+        },
+      ]);
     }
     if (error.code === "LIMIT_FILE_COUNT") {
-      return res
-        .status(400)
-        .json({ error: "Maximum 20 files allowed per upload" });
+      return sendValidationErrors(res, [
+        {
+          field: "images",
+          message: `Maximum ${config.maxFiles} files allowed per upload`,
+        },
+      ]);
     }
+    if (error.code === "LIMIT_UNEXPECTED_FILE") {
+      return sendValidationErrors(res, [
+        { field: error.field, message: "is not an upload field" },
+      ]);
+    }
+  }
+  if (error.field) {
+    return sendValidationErrors(res, [
+      { field: error.field, message: error.message },
+    ]);
   }
   next(error);
 });
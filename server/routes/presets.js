@@ -0,0 +1,156 @@
+/**
+ * Preset Routes
+ * Create, read, update and delete named compression presets. Each client
+ * manages its own presets (by API key, or else by session) and reads the
+ * shared ones.
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const presetService = require("../services/presetService");
+const logger = require("../services/logger");
+const {
+  loadSession,
+  ensureSession,
+  renewSession,
+} = require("../middleware/session");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/presets");
+
+router.use(loadSession);
+
+/**
+ * Owner of the client's presets, or null if it has none yet
+ */
+function getOwner(req) {
+  return presetService.getPresetOwner(req.apiClient, req.session);
+}
+
+/**
+ * Respond 404 for a preset the client doesn't own: 403 if it is shared
+ */
+async function rejectNotOwned(req, res) {
+  if (await presetService.getPreset(req.params.name, null)) {
+    const error = "Shared presets can only be changed in the presets file";
+    return res.status(403).json({ error });
+  }
+  res.status(404).json({ error: "Preset not found" });
+}
+
+/**
+ * GET /api/presets
+ * List the client's presets and the shared ones
+ */
+router.get("/presets", validate(schemas.listPresets), async (req, res) => {
+  try {
+    const owner = getOwner(req);
+    const presets = await presetService.listPresets(owner);
+
+    // Listing is how the web UI uses its presets: keep them, and the
+    // session, for another SESSION_MAX_AGE
+    if (presets.some((p) => !p.shared)) {
+      await presetService.keepPresets(owner);
+      renewSession(req, res);
+    }
+    res.json({ success: true, presets });
+  } catch (error) {
+    logger.error("Preset list failed", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/presets/:name
+ * Get one preset - the client's own, else a shared one
+ */
+router.get("/presets/:name", validate(schemas.getPreset), async (req, res) => {
+  try {
+    const preset = await presetService.getPreset(
+      req.params.name,
+      getOwner(req),
+    );
+    if (!preset) {
+      return res.status(404).json({ error: "Preset not found" });
+    }
+    res.json({ success: true, preset });
+  } catch (error) {
+    logger.error("Preset read failed", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/presets
+ * Create one of the client's presets: { name, description, settings }
+ */
+router.post("/presets", validate(schemas.createPreset), async (req, res) => {
+  try {
+    // Without an API key, presets belong to the session - start one
+    const owner =
+      presetService.getPresetOwner(req.apiClient, null) ||
+      ensureSession(req, res).owner;
+    const preset = await presetService.createPreset(owner, req.body);
+    if (!preset) {
+      return res
+        .status(409)
+        .json({ error: `Preset "${req.body.name}" already exists` });
+    }
+    res.status(201).json({ success: true, preset });
+  } catch (error) {
+    if (error.code === "PRESET_LIMIT") {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error("Preset create failed", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/presets/:name
+ * Replace the settings (and description) of one of the client's presets:
+ * { description, settings }
+ */
+router.put(
+  "/presets/:name",
+  validate(schemas.updatePreset),
+  async (req, res) => {
+    try {
+      const preset = await presetService.updatePreset(
+        getOwner(req),
+        req.params.name,
+        req.body,
+      );
+      if (!preset) return rejectNotOwned(req, res);
+      res.json({ success: true, preset });
+    } catch (error) {
+      logger.error("Preset update failed", { error });
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+/**
+ * DELETE /api/presets/:name
+ * Delete one of the client's presets
+ */
+router.delete(
+  "/presets/:name",
+  validate(schemas.deletePreset),
+  async (req, res) => {
+    try {
+      if (!(await presetService.deletePreset(getOwner(req), req.params.name))) {
+        return rejectNotOwned(req, res);
+      }
+      res.json({
+        success: true,
+        message: `Preset "${req.params.name}" deleted`,
+      });
+    } catch (error) {
+      logger.error("Preset delete failed", { error });
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,364 @@
+/**
+ * Shared Schemas
+ * Request and response shapes used by more than one route. They become
+ * the components.schemas section of the OpenAPI document, and routes refer
+ * to them with { $ref: "#/components/schemas/<Name>" }.
+ */
+
+const { METADATA_POLICIES } = require("../services/metadataPolicy");
+const { WATERMARK_POSITIONS } = require("../services/watermark");
+
+const OUTPUT_FORMATS = ["original", "jpeg", "png", "webp", "gif", "avif"];
+
+const CROP_POSITIONS = [
+  "centre",
+  "center",
+  "north",
+  "northeast",
+  "east",
+  "southeast",
+  "south",
+  "southwest",
+  "west",
+  "northwest",
+  "attention",
+  "entropy",
+];
+
+// Names of files this server stores: "<uuid>[-suffix...].<ext>"
+const FILENAME_PATTERN =
+  "^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(-[a-z0-9]+)*\\.[a-z0-9]+$";
+const UPLOAD_FILENAME_PATTERN =
+  "^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\\.(jpg|png|gif|webp|avif)$";
+const PRESET_NAME_PATTERN = "^[a-z0-9][a-z0-9-]{0,49}$";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// A $ref can't carry "nullable" itself in OpenAPI 3.0
+const nullableRef = (name) => ({ anyOf: [ref(name)], nullable: true });
+
+const dimension = {
+  type: "integer",
+  minimum: 1,
+  maximum: 10000,
+  nullable: true,
+};
+
+const watermarkProperties = {
+  type: { type: "string", enum: ["text", "image"] },
+  text: { type: "string", minLength: 1, maxLength: 200 },
+  fontSize: { type: "integer", minimum: 1, maximum: 500 },
+  color: { type: "string", pattern: "^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$" },
+  opacity: { type: "number", minimum: 0, maximum: 1 },
+  position: { type: "string", enum: WATERMARK_POSITIONS },
+  margin: { type: "integer", minimum: 0, maximum: 10000 },
+  logo: {
+    type: "string",
+    pattern: UPLOAD_FILENAME_PATTERN,
+    description: "Filename returned by POST /api/watermark",
+  },
+  scale: {
+    type: "number",
+    minimum: 0,
+    exclusiveMinimum: true,
+    maximum: 1,
+    description: "Logo width relative to the image width",
+  },
+};
+
+const settingsProperties = {
+  preset: {
+    type: "string",
+    pattern: PRESET_NAME_PATTERN,
+    description: "Preset to start from; other settings override its values",
+  },
+  quality: {
+    anyOf: [
+      { type: "integer", minimum: 1, maximum: 100 },
+      { type: "string", enum: ["auto"] },
+    ],
+    nullable: true,
+    description:
+      '1-100, or "auto" for the lowest quality that keeps ssimThreshold',
+  },
+  ssimThreshold: { type: "number", minimum: 0, maximum: 1, nullable: true },
+  outputFormat: { type: "string", enum: OUTPUT_FORMATS, nullable: true },
+  resizeWidth: dimension,
+  resizeHeight: dimension,
+  maintainAspectRatio: { type: "boolean" },
+  rotate: { type: "integer", enum: [0, 90, 180, 270], nullable: true },
+  flip: { type: "boolean", description: "Mirror vertically" },
+  flop: { type: "boolean", description: "Mirror horizontally" },
+  metadata: { type: "string", enum: METADATA_POLICIES, nullable: true },
+  convertToSrgb: { type: "boolean" },
+  targetSizeKB: { type: "integer", minimum: 1, nullable: true },
+  crop: nullableRef("Crop"),
+  watermark: nullableRef("Watermark"),
+  responsive: nullableRef("ResponsiveSettings"),
+};
+
+const { preset, watermark, ...presetSettingsProperties } = settingsProperties;
+
+// Id of the request, also sent as X-Request-Id; quote it to find the
+// request in the server logs
+const requestIdProperty = { type: "string" };
+
+const components = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      requestId: requestIdProperty,
+    },
+  },
+  ValidationError: {
+    type: "object",
+    required: ["error", "errors"],
+    properties: {
+      error: { type: "string", description: "Every problem, in one line" },
+      errors: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["field", "message"],
+          properties: {
+            field: {
+              type: "string",
+              description: 'Invalid field, e.g. "settings.quality"',
+            },
+            message: { type: "string" },
+          },
+        },
+      },
+      requestId: requestIdProperty,
+    },
+  },
+  Crop: {
+    type: "object",
+    required: ["mode"],
+    additionalProperties: false,
+    properties: {
+      mode: {
+        type: "string",
+        enum: ["cover", "aspect", "manual"],
+        description:
+          '"cover" fills resizeWidth x resizeHeight (both required; ' +
+          "responsive sets keep the box's proportions at each width)",
+      },
+      aspectRatio: {
+        anyOf: [
+          { type: "string", pattern: "^\\d+(\\.\\d+)?([:/x]\\d+(\\.\\d+)?)?$" },
+          { type: "number", minimum: 0, exclusiveMinimum: true },
+        ],
+        nullable: true,
+        description: 'For mode "aspect": "16:9", "16/9" or 1.7778',
+      },
+      position: { type: "string", enum: CROP_POSITIONS },
+      rect: {
+        type: "object",
+        required: ["width", "height"],
+        additionalProperties: false,
+        description: 'For mode "manual", in oriented image pixels',
+        properties: {
+          left: { type: "integer", minimum: 0 },
+          top: { type: "integer", minimum: 0 },
+          width: { type: "integer", minimum: 1 },
+          height: { type: "integer", minimum: 1 },
+        },
+      },
+    },
+  },
+  Watermark: {
+    type: "object",
+    required: ["type"],
+    additionalProperties: false,
+    properties: watermarkProperties,
+  },
+  TextWatermark: {
+    type: "object",
+    required: ["type", "text"],
+    additionalProperties: false,
+    properties: {
+      type: { type: "string", enum: ["text"] },
+      text: watermarkProperties.text,
+      fontSize: watermarkProperties.fontSize,
+      color: watermarkProperties.color,
+      opacity: watermarkProperties.opacity,
+      position: watermarkProperties.position,
+      margin: watermarkProperties.margin,
+    },
+  },
+  ResponsiveSettings: {
+    type: "object",
+    required: ["widths"],
+    additionalProperties: false,
+    properties: {
+      widths: {
+        type: "array",
+        minItems: 1,
+        maxItems: 20,
+        items: { type: "integer", minimum: 1, maximum: 10000 },
+      },
+      formats: {
+        type: "array",
+        items: { type: "string", enum: OUTPUT_FORMATS },
+      },
+      sizes: { type: "string", maxLength: 500, nullable: true },
+      pathPrefix: { type: "string", maxLength: 500, nullable: true },
+    },
+  },
+  CompressionSettings: {
+    type: "object",
+    additionalProperties: false,
+    properties: settingsProperties,
+  },
+  PresetSettings: {
+    type: "object",
+    additionalProperties: false,
+    description:
+      "Compression settings without a preset; watermarks can only be text",
+    properties: {
+      ...presetSettingsProperties,
+      watermark: nullableRef("TextWatermark"),
+    },
+  },
+  UploadedFile: {
+    type: "object",
+    required: ["id", "filename"],
+    additionalProperties: false,
+    properties: {
+      id: { type: "string", format: "uuid" },
+      originalName: { type: "string", maxLength: 255 },
+      filename: { type: "string", pattern: UPLOAD_FILENAME_PATTERN },
+      size: { type: "integer", minimum: 0 },
+      mimetype: { type: "string" },
+      expiresAt: {
+        type: "string",
+        format: "date-time",
+        description: "When the upload is deleted (see POST /api/retention)",
+      },
+    },
+  },
+  CompressionResult: {
+    type: "object",
+    required: ["success"],
+    properties: {
+      success: { type: "boolean" },
+      id: { type: "string" },
+      originalName: { type: "string" },
+      error: { type: "string", description: "Why it failed" },
+      compressedFilename: { type: "string" },
+      originalSize: { type: "integer" },
+      compressedSize: { type: "integer" },
+      savedBytes: { type: "integer" },
+      savingsPercent: { type: "number" },
+      outputFormat: { type: "string" },
+      quality: { type: "integer" },
+      ssim: { type: "number", nullable: true },
+      psnr: { type: "number", nullable: true },
+      dimensions: {
+        type: "object",
+        properties: {
+          width: { type: "integer" },
+          height: { type: "integer" },
+        },
+      },
+      frames: { type: "integer" },
+      cached: { type: "boolean" },
+      warning: { type: "string" },
+      autoQuality: { type: "boolean" },
+      ssimThreshold: { type: "number" },
+      thresholdMet: { type: "boolean" },
+      targetSizeKB: { type: "integer" },
+      targetMet: { type: "boolean" },
+      sourceUrl: { type: "string" },
+      responsive: { type: "boolean" },
+      folder: { type: "string" },
+      variants: {
+        type: "array",
+        items: { type: "object", additionalProperties: true },
+      },
+      totalVariantSize: { type: "integer" },
+      html: { type: "string" },
+      manifest: { type: "object", additionalProperties: true },
+      manifestFilename: { type: "string" },
+      htmlFilename: { type: "string" },
+    },
+  },
+  CompressResponse: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      results: { type: "array", items: ref("CompressionResult") },
+      totalOriginalSize: { type: "integer" },
+      totalCompressedSize: { type: "integer" },
+    },
+  },
+  Job: {
+    type: "object",
+    properties: {
+      id: { type: "string", format: "uuid" },
+      state: {
+        type: "string",
+        enum: ["queued", "running", "done", "failed", "cancelled"],
+      },
+      createdAt: { type: "string", format: "date-time" },
+      startedAt: { type: "string", format: "date-time", nullable: true },
+      finishedAt: { type: "string", format: "date-time", nullable: true },
+      durationMs: { type: "integer", nullable: true },
+      progress: {
+        type: "object",
+        properties: {
+          total: { type: "integer" },
+          queued: { type: "integer" },
+          running: { type: "integer" },
+          done: { type: "integer" },
+          failed: { type: "integer" },
+          cancelled: { type: "integer" },
+        },
+      },
+      totalOriginalSize: { type: "integer" },
+      totalCompressedSize: { type: "integer" },
+      files: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            index: { type: "integer" },
+            id: { type: "string" },
+            originalName: { type: "string" },
+            state: {
+              type: "string",
+              enum: ["queued", "running", "done", "failed", "cancelled"],
+            },
+            durationMs: { type: "integer", nullable: true },
+            result: nullableRef("CompressionResult"),
+          },
+        },
+      },
+    },
+  },
+  Preset: {
+    type: "object",
+    properties: {
+      name: { type: "string", pattern: PRESET_NAME_PATTERN },
+      description: { type: "string" },
+      shared: { type: "boolean" },
+      settings: ref("PresetSettings"),
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+};
+
+module.exports = {
+  OUTPUT_FORMATS,
+  CROP_POSITIONS,
+  FILENAME_PATTERN,
+  UPLOAD_FILENAME_PATTERN,
+  PRESET_NAME_PATTERN,
+  ref,
+  nullableRef,
+  components,
+};
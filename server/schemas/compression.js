@@ -0,0 +1,508 @@
+/**
+ * Compression Route Schemas
+ * What each route in server/routes/compression.js accepts and returns.
+ * Routes check requests against { params, query, body } with the validate
+ * middleware; the OpenAPI document is generated from the same declarations.
+ */
+
+const config = require("../config");
+const {
+  FILENAME_PATTERN,
+  UPLOAD_FILENAME_PATTERN,
+  ref,
+  nullableRef,
+  components,
+} = require("./common");
+
+const binary = { type: "string", format: "binary" };
+
+const filenameParams = {
+  type: "object",
+  required: ["filename"],
+  properties: {
+    filename: {
+      type: "string",
+      pattern: FILENAME_PATTERN,
+      description: "compressedFilename of a result",
+    },
+  },
+};
+
+const jobParams = {
+  type: "object",
+  required: ["id"],
+  properties: { id: { type: "string", format: "uuid" } },
+};
+
+// Body of /api/compress and /api/jobs
+const compressBody = {
+  type: "object",
+  required: ["files"],
+  additionalProperties: false,
+  properties: {
+    files: {
+      type: "array",
+      minItems: 1,
+      maxItems: config.maxFiles,
+      items: ref("UploadedFile"),
+      description: "Files as returned by POST /api/upload",
+    },
+    settings: nullableRef("CompressionSettings"),
+  },
+};
+
+const fileResponse = (description) => ({
+  description,
+  content: { "application/octet-stream": { schema: binary } },
+});
+
+const getConfig = {
+  method: "get",
+  path: "/config",
+  summary: "Limits and defaults for clients",
+  responses: {
+    200: {
+      description: "Public configuration",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          config: {
+            type: "object",
+            properties: {
+              maxFileSize: { type: "integer" },
+              maxFiles: { type: "integer" },
+              defaultQuality: { type: "integer" },
+              maxInputPixels: { type: "integer" },
+              maxInputDimension: { type: "integer" },
+              backgroundJobs: { type: "boolean" },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const uploadImages = {
+  method: "post",
+  path: "/upload",
+  summary: "Upload images for compression",
+  requestContent: {
+    "multipart/form-data": {
+      schema: {
+        type: "object",
+        required: ["images"],
+        properties: {
+          images: {
+            type: "array",
+            maxItems: config.maxFiles,
+            items: binary,
+          },
+        },
+      },
+    },
+  },
+  responses: {
+    200: {
+      description:
+        "Uploaded files; files whose content was rejected are listed in errors",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          files: { type: "array", items: ref("UploadedFile") },
+          errors: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                originalName: { type: "string" },
+                error: { type: "string" },
+              },
+            },
+          },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const uploadWatermark = {
+  method: "post",
+  path: "/watermark",
+  summary: "Upload a PNG logo for image watermarks",
+  requestContent: {
+    "multipart/form-data": {
+      schema: {
+        type: "object",
+        required: ["logo"],
+        properties: { logo: binary },
+      },
+    },
+  },
+  responses: {
+    200: {
+      description: "The logo; use logo.filename as settings.watermark.logo",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          logo: {
+            type: "object",
+            properties: {
+              id: { type: "string", format: "uuid" },
+              originalName: { type: "string" },
+              filename: { type: "string", pattern: UPLOAD_FILENAME_PATTERN },
+              size: { type: "integer" },
+              expiresAt: { type: "string", format: "date-time" },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const compress = {
+  method: "post",
+  path: "/compress",
+  summary: "Compress uploaded images",
+  description:
+    "With settings.responsive, each image becomes a responsive set instead. " +
+    'With "Accept: text/event-stream", the response streams progress as ' +
+    "the events of GET /api/jobs/{id}/events instead, for servers without " +
+    "background jobs.",
+  body: compressBody,
+  responses: {
+    200: {
+      description: "One result per file, or the event stream",
+      schema: ref("CompressResponse"),
+      content: { "text/event-stream": { schema: { type: "string" } } },
+    },
+  },
+};
+
+const compressDirect = {
+  method: "post",
+  path: "/compress/direct",
+  summary: "Compress one image in a single request",
+  description:
+    'Send the image as the raw body (or as the multipart field "image") ' +
+    "with settings in the query string, e.g. ?quality=70&crop[mode]=cover. " +
+    "Responds with the compressed bytes. Nothing is kept on the server.",
+  query: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      ...components.CompressionSettings.properties,
+      filename: {
+        type: "string",
+        maxLength: 255,
+        description: "Name of a raw body, used for the download name",
+      },
+    },
+  },
+  requestContent: {
+    "image/*": { schema: binary },
+    "application/octet-stream": { schema: binary },
+    "multipart/form-data": {
+      schema: {
+        type: "object",
+        required: ["image"],
+        properties: { image: binary },
+      },
+    },
+  },
+  responses: {
+    200: {
+      description:
+        "The compressed image. Sizes, dimensions, format, quality and " +
+        "scores are in the X-* headers.",
+      content: { "image/*": { schema: binary } },
+      headers: {
+        "X-Original-Size": { schema: { type: "integer" } },
+        "X-Compressed-Size": { schema: { type: "integer" } },
+        "X-Saved-Bytes": { schema: { type: "integer" } },
+        "X-Savings-Percent": { schema: { type: "number" } },
+        "X-Output-Format": { schema: { type: "string" } },
+        "X-Quality": { schema: { type: "integer" } },
+        "X-Image-Width": { schema: { type: "integer" } },
+        "X-Image-Height": { schema: { type: "integer" } },
+        "X-Frames": { schema: { type: "integer" } },
+        "X-SSIM": { schema: { type: "number" } },
+        "X-PSNR": { schema: { type: "number" } },
+        "X-Target-Met": { schema: { type: "boolean" } },
+      },
+    },
+  },
+};
+
+const compressUrl = {
+  method: "post",
+  path: "/compress-url",
+  summary: "Download images from URLs and compress them",
+  description: "Send urls (or a single url). Each URL gets a result.",
+  body: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      urls: {
+        type: "array",
+        maxItems: config.maxFiles,
+        items: { type: "string", minLength: 1, maxLength: 2048 },
+      },
+      url: { type: "string", minLength: 1, maxLength: 2048 },
+      settings: nullableRef("CompressionSettings"),
+    },
+  },
+  responses: {
+    200: {
+      description: "One result per URL, with its sourceUrl",
+      schema: ref("CompressResponse"),
+    },
+  },
+};
+
+const createJob = {
+  method: "post",
+  path: "/jobs",
+  summary: "Compress uploaded images in the background",
+  description: "Takes the same body as POST /api/compress.",
+  body: compressBody,
+  responses: {
+    202: {
+      description: "The job to poll",
+      schema: {
+        type: "object",
+        properties: { success: { type: "boolean" }, job: ref("Job") },
+      },
+    },
+    404: {
+      description: "Background jobs are off (BACKGROUND_JOBS=false)",
+      schema: ref("Error"),
+    },
+  },
+};
+
+const jobResponse = {
+  description: "The job",
+  schema: {
+    type: "object",
+    properties: { success: { type: "boolean" }, job: ref("Job") },
+  },
+};
+
+const getJob = {
+  method: "get",
+  path: "/jobs/:id",
+  summary: "Get a job's state, progress and results",
+  params: jobParams,
+  responses: {
+    200: jobResponse,
+    404: { description: "No such job", schema: ref("Error") },
+  },
+};
+
+const getJobEvents = {
+  method: "get",
+  path: "/jobs/:id/events",
+  summary: "Follow a job as server-sent events",
+  description:
+    'Events: "start", "finish" and "fail" per file, then a "summary", ' +
+    "after which the stream ends.",
+  params: jobParams,
+  responses: {
+    200: {
+      description: "Event stream",
+      content: { "text/event-stream": { schema: { type: "string" } } },
+    },
+    404: { description: "No such job", schema: ref("Error") },
+  },
+};
+
+const cancelJob = {
+  method: "delete",
+  path: "/jobs/:id",
+  summary: "Cancel a job",
+  params: jobParams,
+  responses: {
+    200: jobResponse,
+    404: { description: "No such job", schema: ref("Error") },
+  },
+};
+
+const downloadFile = {
+  method: "get",
+  path: "/download/:filename",
+  summary: "Download a compressed file",
+  params: filenameParams,
+  query: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        maxLength: 255,
+        description: "Name to save the file as",
+      },
+    },
+  },
+  responses: {
+    200: fileResponse("The file"),
+    302: { description: "Redirect to the file in object storage" },
+    404: { description: "No such file", schema: ref("Error") },
+  },
+};
+
+const downloadZip = {
+  method: "post",
+  path: "/download-zip",
+  summary: "Download compressed files as one ZIP",
+  body: {
+    type: "object",
+    required: ["files"],
+    additionalProperties: false,
+    properties: {
+      files: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["compressedFilename"],
+          additionalProperties: false,
+          properties: {
+            compressedFilename: { type: "string", pattern: FILENAME_PATTERN },
+            downloadName: { type: "string", maxLength: 255, nullable: true },
+            folder: {
+              type: "string",
+              maxLength: 255,
+              nullable: true,
+              description: "Folder in the ZIP, for responsive sets",
+            },
+          },
+        },
+      },
+    },
+  },
+  responses: {
+    200: {
+      description: "ZIP archive",
+      content: { "application/zip": { schema: binary } },
+    },
+  },
+};
+
+const previewFile = {
+  method: "get",
+  path: "/preview/:filename",
+  summary: "View a compressed file",
+  params: filenameParams,
+  responses: {
+    200: fileResponse("The file"),
+    302: { description: "Redirect to the file in object storage" },
+    404: { description: "No such file", schema: ref("Error") },
+  },
+};
+
+const keepFiles = {
+  method: "post",
+  path: "/retention",
+  summary: "Keep uploads and their outputs longer",
+  description:
+    "Moves the expiry of each upload, and of everything compressed from " +
+    "it, to keepFor seconds from now. Outputs compressed later are kept " +
+    "as long.",
+  body: {
+    type: "object",
+    required: ["fileIds", "keepFor"],
+    additionalProperties: false,
+    properties: {
+      fileIds: {
+        type: "array",
+        minItems: 1,
+        maxItems: config.maxFiles,
+        items: { type: "string", format: "uuid" },
+        description: "Upload ids (and watermark logo ids)",
+      },
+      keepFor: {
+        type: "integer",
+        minimum: 60,
+        maximum: config.maxRetention,
+        description: "Seconds from now",
+      },
+    },
+  },
+  responses: {
+    200: {
+      description: "New expiry of each file; null if there is no such upload",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          files: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string", format: "uuid" },
+                expiresAt: {
+                  type: "string",
+                  format: "date-time",
+                  nullable: true,
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const cleanupFiles = {
+  method: "delete",
+  path: "/cleanup",
+  summary: "Delete uploads and everything compressed from them",
+  body: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      fileIds: {
+        type: "array",
+        items: { type: "string", format: "uuid" },
+        description: "Upload ids (and watermark logo ids)",
+      },
+    },
+  },
+  responses: {
+    200: {
+      description: "Files deleted",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  getConfig,
+  uploadImages,
+  uploadWatermark,
+  compress,
+  compressDirect,
+  compressUrl,
+  createJob,
+  getJob,
+  getJobEvents,
+  cancelJob,
+  downloadFile,
+  downloadZip,
+  previewFile,
+  keepFiles,
+  cleanupFiles,
+};
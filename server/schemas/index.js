@@ -0,0 +1,121 @@
+/**
+ * API Schemas
+ * Every /api route's declaration, for the OpenAPI document
+ *
+ * A declaration is { method, path, summary, description, params, query,
+ * body, requestContent, responses }, exported under its operationId:
+ * params, query and body are checked by the validate middleware;
+ * requestContent documents bodies that aren't JSON (uploads); responses map
+ * status codes to { description, schema } for JSON, { description,
+ * content, headers } for anything else, or both.
+ */
+
+const compression = require("./compression");
+const presets = require("./presets");
+const { components } = require("./common");
+
+const health = {
+  method: "get",
+  path: "/health",
+  summary: "Health check",
+  responses: {
+    200: {
+      description: "The server is up",
+      schema: {
+        type: "object",
+        properties: {
+          status: { type: "string" },
+          timestamp: { type: "string", format: "date-time" },
+          version: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+const usage = {
+  method: "get",
+  path: "/usage",
+  summary: "The caller's API key limits and usage",
+  responses: {
+    200: {
+      description: "auth is false when API keys are off",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          auth: { type: "boolean" },
+          key: { type: "string", nullable: true },
+          limits: {
+            type: "object",
+            properties: {
+              requestsPerMinute: { type: "integer" },
+              bytesPerDay: { type: "integer" },
+              filesPerBatch: { type: "integer" },
+            },
+          },
+          usage: {
+            type: "object",
+            properties: {
+              requestsLastMinute: { type: "integer" },
+              bytesToday: { type: "integer" },
+              bytesResetIn: { type: "integer" },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+const openapi = {
+  method: "get",
+  path: "/openapi.json",
+  summary: "This document",
+  responses: {
+    200: {
+      description: "OpenAPI 3.0 document",
+      schema: { type: "object", additionalProperties: true },
+    },
+  },
+};
+
+const metrics = {
+  method: "get",
+  path: "/metrics",
+  summary: "Prometheus metrics",
+  description:
+    "Uploads, compressions, failures by type, bytes in and out, compression " +
+    "times, stored files and jobs in flight, in the Prometheus text format.",
+  responses: {
+    200: {
+      description: "Prometheus text format 0.0.4",
+      content: { "text/plain": { schema: { type: "string" } } },
+    },
+  },
+};
+
+/**
+ * Declarations of a group of routes, named by their operationId
+ */
+function group(tag, routes) {
+  return Object.entries(routes).map(([operationId, route]) => ({
+    operationId,
+    tags: [tag],
+    ...route,
+  }));
+}
+
+module.exports = {
+  routes: [
+    ...group("Server", {
+      getHealth: health,
+      getUsage: usage,
+      getOpenApi: openapi,
+      getMetrics: metrics,
+    }),
+    ...group("Compression", compression),
+    ...group("Presets", presets),
+  ],
+  components,
+};
@@ -0,0 +1,124 @@
+/**
+ * Preset Route Schemas
+ * What each route in server/routes/presets.js accepts and returns
+ */
+
+const { PRESET_NAME_PATTERN, ref } = require("./common");
+
+const nameParams = {
+  type: "object",
+  required: ["name"],
+  properties: { name: { type: "string", pattern: PRESET_NAME_PATTERN } },
+};
+
+const description = { type: "string", maxLength: 200 };
+
+const presetResponse = (text) => ({
+  description: text,
+  schema: {
+    type: "object",
+    properties: { success: { type: "boolean" }, preset: ref("Preset") },
+  },
+});
+
+const notFound = { description: "No such preset", schema: ref("Error") };
+const shared = {
+  description: "A shared preset, which can't be changed through the API",
+  schema: ref("Error"),
+};
+
+const listPresets = {
+  method: "get",
+  path: "/presets",
+  summary: "List the client's presets and the shared ones",
+  responses: {
+    200: {
+      description: "Presets, by name",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          presets: { type: "array", items: ref("Preset") },
+        },
+      },
+    },
+  },
+};
+
+const getPreset = {
+  method: "get",
+  path: "/presets/:name",
+  summary: "Get a preset",
+  params: nameParams,
+  responses: { 200: presetResponse("The preset"), 404: notFound },
+};
+
+const createPreset = {
+  method: "post",
+  path: "/presets",
+  summary: "Create a preset",
+  body: {
+    type: "object",
+    required: ["name", "settings"],
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", pattern: PRESET_NAME_PATTERN },
+      description,
+      settings: ref("PresetSettings"),
+    },
+  },
+  responses: {
+    201: presetResponse("The new preset"),
+    409: {
+      description: "The name is taken, or the client has MAX_PRESETS already",
+      schema: ref("Error"),
+    },
+  },
+};
+
+const updatePreset = {
+  method: "put",
+  path: "/presets/:name",
+  summary: "Replace a preset's settings and description",
+  params: nameParams,
+  body: {
+    type: "object",
+    required: ["settings"],
+    additionalProperties: false,
+    properties: { description, settings: ref("PresetSettings") },
+  },
+  responses: {
+    200: presetResponse("The preset"),
+    403: shared,
+    404: notFound,
+  },
+};
+
+const deletePreset = {
+  method: "delete",
+  path: "/presets/:name",
+  summary: "Delete a preset",
+  params: nameParams,
+  responses: {
+    200: {
+      description: "Preset deleted",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          message: { type: "string" },
+        },
+      },
+    },
+    403: shared,
+    404: notFound,
+  },
+};
+
+module.exports = {
+  listPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+};
@@ -12,17 +12,21 @@ const sharp = require("sharp");
 const path = require("path");
 const fs = require("fs").promises;
 const { v4: uuidv4 } = require("uuid");
-
-// Get compressed directory - use /tmp on Vercel/production (ephemeral filesystem)
-const isServerless =
-  process.env.VERCEL === "1" || process.env.NODE_ENV === "production";
-const compressedDir = isServerless
-  ? "/tmp/compressed"
-  : path.join(__dirname, "../../compressed");
-
-// Ensure directory exists
-const { existsSync, mkdirSync } = require("fs");
-if (!existsSync(compressedDir)) mkdirSync(compressedDir, { recursive: true });
+const { measureQuality, FLATTEN_BACKGROUND } = require("./qualityMetrics");
+const {
+  normalizeMetadataPolicy,
+  applyMetadataPolicy,
+  stripLocation,
+  resetOrientation,
+  resolveOrientation,
+} = require("./metadataPolicy");
+const { loadWatermark, createWatermarkLayer } = require("./watermark");
+const { MAX_INPUT_PIXELS, checkImageSize } = require("./imageValidation");
+const storage = require("./storage");
+const logger = require("./logger");
+const fileRegistry = require("./fileRegistry");
+const resultCache = require("./resultCache");
+const config = require("../config");
 
 // Compression settings by format
 const formatSettings = {
@@ -51,6 +55,12 @@ const formatSettings = {
     colors: 256,
     effort: 10,
   },
+  avif: {
+    // AVIF (AV1) is typically 20-50% smaller than WebP at equal quality
+    quality: 50,
+    effort: 4,
+    chromaSubsampling: "4:2:0",
+  },
 };
 
 /**
@@ -62,6 +72,7 @@ function getOutputFormat(mimetype, outputFormat) {
     "image/png": "png",
     "image/gif": "gif",
     "image/webp": "webp",
+    "image/avif": "avif",
   };
 
   if (outputFormat && outputFormat !== "original") {
@@ -80,6 +91,7 @@ function getExtension(format) {
     png: ".png",
     gif: ".gif",
     webp: ".webp",
+    avif: ".avif",
   };
   return extensions[format] || ".jpg";
 }
@@ -124,91 +136,584 @@ function getCompressionOptions(format, quality) {
         effort: 10,
       };
 
+    case "avif":
+      // AVIF's quality scale (CQ) is far more aggressive than JPEG's:
+      // CQ 50 looks roughly like JPEG 80, so map the slider onto 1-63
+      return {
+        quality: Math.max(1, Math.round(quality * 0.63)),
+        lossless: quality === 100,
+        effort: 4,
+        chromaSubsampling: quality > 90 ? "4:4:4" : "4:2:0",
+      };
+
     default:
       return { quality };
   }
 }
 
+// Output formats that can carry every frame of an animated input
+const ANIMATED_FORMATS = ["gif", "webp"];
+
+// Output formats without an alpha channel
+const OPAQUE_FORMATS = ["jpeg"];
+
 /**
- * Compress a single image
- * @param {Object} file - File info object
+ * Open the input, loading every frame when it is animated and the output
+ * format can keep them
+ */
+function openInput(input, options) {
+  return sharp(input, {
+    animated: Boolean(options.animation),
+    limitInputPixels: MAX_INPUT_PIXELS,
+  });
+}
+
+/**
+ * Size of a single frame of a rendered image ({ width, height, pages })
+ */
+function getFrameSize(info) {
+  return {
+    width: info.width,
+    height: info.pageHeight || info.height,
+    pages: info.pages || 1,
+  };
+}
+
+/**
+ * Get image dimensions after EXIF orientation and a manual rotation
+ */
+function getOrientedSize(metadata, rotate) {
+  const quarterTurns =
+    (metadata.orientation >= 5 ? 1 : 0) +
+    (rotate === 90 || rotate === 270 ? 1 : 0);
+  return quarterTurns % 2 === 1
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Clamp a manual crop rectangle to the oriented image bounds
+ */
+function clampCropRect(rect, size) {
+  const left = Math.min(Math.max(0, Math.round(rect.left)), size.width - 1);
+  const top = Math.min(Math.max(0, Math.round(rect.top)), size.height - 1);
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(Math.round(rect.width), size.width - left)),
+    height: Math.max(1, Math.min(Math.round(rect.height), size.height - top)),
+  };
+}
+
+/**
+ * Output size for cover/aspect crops: the requested box (or, for an aspect
+ * ratio, the largest box of that ratio), scaled down to never upscale
+ */
+function getCropTarget(crop, width, height, size) {
+  let targetWidth = width;
+  let targetHeight = height;
+
+  if (crop.mode === "aspect") {
+    const ratio = crop.aspectRatio;
+    if (width) {
+      targetHeight = Math.round(width / ratio);
+    } else if (height) {
+      targetWidth = Math.round(height * ratio);
+    } else if (size.width / size.height > ratio) {
+      targetHeight = size.height;
+      targetWidth = Math.round(size.height * ratio);
+    } else {
+      targetWidth = size.width;
+      targetHeight = Math.round(size.width / ratio);
+    }
+  }
+
+  const scale = Math.min(
+    1,
+    size.width / targetWidth,
+    size.height / targetHeight,
+  );
+  return {
+    width: Math.max(1, Math.round(targetWidth * scale)),
+    height: Math.max(1, Math.round(targetHeight * scale)),
+  };
+}
+
+/**
+ * Apply orientation, crop and resize to a Sharp pipeline
+ */
+function applyGeometry(pipeline, options) {
+  if (options.orientation) {
+    // Explicit operations combining EXIF orientation and manual rotate/flip
+    const { angle, flip, flop } = options.orientation;
+    if (flip) pipeline = pipeline.flip();
+    if (flop) pipeline = pipeline.flop();
+    if (angle) pipeline = pipeline.rotate(angle);
+  } else {
+    // Auto-orient from EXIF (also removes the orientation tag)
+    pipeline = pipeline.rotate();
+  }
+
+  const crop = options.crop;
+
+  if (crop && crop.mode === "manual") {
+    let { left, top, width, height } = crop.rect;
+    // Sharp extracts before a lone flip/flop (without rotation), so mirror
+    // the rectangle into the unflipped image's coordinates
+    if (options.orientation && !options.orientation.angle) {
+      if (options.orientation.flop) {
+        left = options.orientedSize.width - left - width;
+      }
+      if (options.orientation.flip) {
+        top = options.orientedSize.height - top - height;
+      }
+    }
+    pipeline = pipeline.extract({ left, top, width, height });
+  }
+
+  const coverBox =
+    crop &&
+    (crop.mode === "aspect" ||
+      (crop.mode === "cover" && options.width && options.height));
+
+  // Apply resize if specified - dimensions refer to the oriented image
+  if (coverBox) {
+    // Crop to the exact box, keeping the subject in frame via position
+    const target = getCropTarget(
+      crop,
+      options.width,
+      options.height,
+      options.orientedSize,
+    );
+    pipeline = pipeline.resize({
+      width: target.width,
+      height: target.height,
+      fit: "cover",
+      // libvips can't run smart crop strategies across several frames
+      position:
+        options.animation && ["attention", "entropy"].includes(crop.position)
+          ? "centre"
+          : crop.position,
+    });
+  } else if (options.width || options.height) {
+    const resizeOptions = {
+      fit: options.maintainAspectRatio ? "inside" : "fill",
+      withoutEnlargement: true,
+    };
+
+    if (options.width) resizeOptions.width = options.width;
+    if (options.height) resizeOptions.height = options.height;
+
+    pipeline = pipeline.resize(resizeOptions);
+  }
+
+  return pipeline;
+}
+
+/**
+ * Render the oriented, resized (and watermarked) source losslessly as raw
+ * pixels - the reference that quality metrics compare the encoded output
+ * against
+ */
+async function renderReference(input, options) {
+  const rendered = await applyGeometry(openInput(input, options), options)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  if (!options.watermark) return rendered;
+
+  const { width, height, channels } = rendered.info;
+  const frame = getFrameSize(rendered.info);
+  const composited = await sharp(rendered.data, {
+    raw: { width, height, channels },
+  })
+    .composite([
+      createWatermarkLayer(
+        options.watermark,
+        frame.width,
+        frame.height,
+        frame.pages,
+      ),
+    ])
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Raw input carries no frame layout, so restore it from the render
+  return {
+    data: composited.data,
+    info: {
+      ...composited.info,
+      pageHeight: rendered.info.pageHeight,
+      pages: rendered.info.pages,
+    },
+  };
+}
+
+/**
+ * Measure the output size of the given geometry, which the watermark layer
+ * has to match exactly
+ */
+async function getCanvasSize(input, options) {
+  const { info } = await applyGeometry(openInput(input, options), options)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return getFrameSize(info);
+}
+
+/**
+ * Build a Sharp pipeline for the given input, options and encoder settings
+ */
+function buildPipeline(input, format, quality, options) {
+  let pipeline = applyGeometry(openInput(input, options), options);
+
+  // Composited after resize, before the encoder
+  if (options.watermark) {
+    const { width, height, pages } = options.canvasSize;
+    pipeline = pipeline.composite([
+      createWatermarkLayer(options.watermark, width, height, pages),
+    ]);
+  }
+
+  // Flatten explicitly: left to the encoder, transparency turns black
+  if (OPAQUE_FORMATS.includes(format)) {
+    pipeline = pipeline.flatten({ background: FLATTEN_BACKGROUND });
+  }
+
+  // Apply format-specific compression
+  const compressionOptions = {
+    ...getCompressionOptions(format, quality),
+    ...options.animation,
+  };
+
+  switch (format) {
+    case "jpeg":
+      pipeline = pipeline.jpeg(compressionOptions);
+      break;
+    case "png":
+      pipeline = pipeline.png(compressionOptions);
+      break;
+    case "webp":
+      pipeline = pipeline.webp(compressionOptions);
+      break;
+    case "gif":
+      pipeline = pipeline.gif(compressionOptions);
+      break;
+    case "avif":
+      pipeline = pipeline.avif(compressionOptions);
+      break;
+  }
+
+  return applyMetadataPolicy(pipeline, options.metadata, options.convertToSrgb);
+}
+
+// Target size search limits
+const MIN_TARGET_QUALITY = 10;
+const MAX_DOWNSCALE_ATTEMPTS = 6;
+const MIN_TARGET_DIMENSION = 16;
+
+/**
+ * Find the highest quality (and, if needed, the largest dimensions) whose
+ * output fits within targetBytes. Quality is binary searched first; when even
+ * the lowest quality is too big, the image is scaled down and searched again.
+ * @returns {Object} { buffer, quality, targetMet }
+ */
+async function encodeToTargetSize(
+  input,
+  format,
+  maxQuality,
+  options,
+  targetBytes,
+) {
+  let currentOptions = options;
+  let best = null;
+
+  for (let attempt = 0; attempt <= MAX_DOWNSCALE_ATTEMPTS; attempt++) {
+    let low = Math.min(MIN_TARGET_QUALITY, maxQuality);
+    let high = maxQuality;
+    let fitting = null;
+    let smallest = null;
+
+    while (low <= high) {
+      const quality = Math.floor((low + high) / 2);
+      const { data, info } = await buildPipeline(
+        input,
+        format,
+        quality,
+        currentOptions,
+      ).toBuffer({ resolveWithObject: true });
+
+      if (!smallest || data.length < smallest.buffer.length) {
+        smallest = { buffer: data, quality, info };
+      }
+
+      if (data.length <= targetBytes) {
+        fitting = { buffer: data, quality };
+        low = quality + 1;
+      } else {
+        high = quality - 1;
+      }
+    }
+
+    if (fitting) {
+      return { ...fitting, targetMet: true };
+    }
+
+    if (!best || smallest.buffer.length < best.buffer.length) {
+      best = { buffer: smallest.buffer, quality: smallest.quality };
+    }
+
+    // Scale down proportionally to the overshoot, with some headroom
+    const scale = Math.min(
+      0.9,
+      Math.sqrt(targetBytes / smallest.buffer.length) * 0.95,
+    );
+    const frame = getFrameSize(smallest.info);
+    const width = Math.floor(frame.width * scale);
+    const height = Math.floor(frame.height * scale);
+
+    if (width < MIN_TARGET_DIMENSION || height < MIN_TARGET_DIMENSION) {
+      break;
+    }
+
+    currentOptions = { ...options, width, height };
+    if (options.watermark) {
+      currentOptions.canvasSize = await getCanvasSize(input, currentOptions);
+    }
+  }
+
+  return { ...best, targetMet: false };
+}
+
+// Auto quality search defaults
+const DEFAULT_SSIM_THRESHOLD = 0.98;
+const MIN_AUTO_QUALITY = 1;
+const MAX_AUTO_QUALITY = 100;
+
+/**
+ * Find the lowest quality whose output stays perceptually similar to the
+ * source, i.e. SSIM >= threshold. Falls back to maximum quality (with
+ * thresholdMet: false) when no quality reaches the threshold.
+ * @returns {Object} { buffer, quality, ssim, psnr, thresholdMet }
+ */
+async function encodeToSimilarity(
+  input,
+  reference,
+  format,
+  options,
+  threshold,
+) {
+  let low = MIN_AUTO_QUALITY;
+  let high = MAX_AUTO_QUALITY;
+  let best = null;
+
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const buffer = await buildPipeline(
+      input,
+      format,
+      quality,
+      options,
+    ).toBuffer();
+    const metrics = await measureQuality(reference, buffer);
+
+    if (metrics.ssim >= threshold) {
+      best = { buffer, quality, ...metrics };
+      high = quality - 1;
+    } else {
+      low = quality + 1;
+    }
+  }
+
+  if (best) {
+    return { ...best, thresholdMet: true };
+  }
+
+  const buffer = await buildPipeline(
+    input,
+    format,
+    MAX_AUTO_QUALITY,
+    options,
+  ).toBuffer();
+  const metrics = await measureQuality(reference, buffer);
+  return {
+    buffer,
+    quality: MAX_AUTO_QUALITY,
+    ...metrics,
+    thresholdMet: false,
+  };
+}
+
+/**
+ * Encode a single image, returning the output as result.buffer
+ * @param {Object} file - File info object, with the image at file.path or
+ *   in memory as file.buffer
  * @param {Object} settings - Compression settings
  * @returns {Object} Compression result
  */
-async function compressImage(file, settings) {
+async function renderImage(file, settings) {
   const {
     quality,
     outputFormat,
     resizeWidth,
     resizeHeight,
     maintainAspectRatio,
+    targetSizeKB,
+    convertToSrgb,
+    rotate,
+    flip,
+    flop,
+    crop,
   } = settings;
+  const manualOrientation = Boolean(rotate || flip || flop);
+  const autoQuality = quality === "auto";
+  const ssimThreshold = settings.ssimThreshold || DEFAULT_SSIM_THRESHOLD;
 
-  const inputPath = file.path;
+  const input = file.buffer || file.path;
   const format = getOutputFormat(file.mimetype, outputFormat);
-  const extension = getExtension(format);
-  const outputFilename = `${file.id}-compressed${extension}`;
-  const outputPath = path.join(compressedDir, outputFilename);
+  const options = {
+    width: resizeWidth,
+    height: resizeHeight,
+    maintainAspectRatio,
+    metadata: normalizeMetadataPolicy(settings.metadata),
+    convertToSrgb: convertToSrgb !== false,
+    crop: crop || null,
+  };
 
   try {
-    // Get original file stats
-    const originalStats = await fs.stat(inputPath);
-    const originalSize = originalStats.size;
+    // Get original file size
+    const originalSize = file.buffer
+      ? file.buffer.length
+      : (await fs.stat(file.path)).size;
 
-    // Initialize Sharp pipeline
-    let pipeline = sharp(inputPath);
+    // Get image metadata, refusing images too large to decode
+    const metadata = await sharp(input, {
+      limitInputPixels: false,
+    }).metadata();
+    checkImageSize(metadata);
+    options.orientedSize = getOrientedSize(metadata, rotate);
 
-    // Get image metadata
-    const metadata = await pipeline.metadata();
+    // Keep every frame (with its timing) when the output can be animated
+    const inputAnimated = metadata.pages > 1;
+    if (inputAnimated && ANIMATED_FORMATS.includes(format)) {
+      if (manualOrientation) {
+        throw new Error(
+          "Rotating or flipping animated images is not supported",
+        );
+      }
+      options.animation = {};
+      if (metadata.loop !== undefined) options.animation.loop = metadata.loop;
+      if (metadata.delay) options.animation.delay = metadata.delay;
+    }
 
-    // Apply resize if specified
-    if (resizeWidth || resizeHeight) {
-      const resizeOptions = {
-        fit: maintainAspectRatio ? "inside" : "fill",
-        withoutEnlargement: true,
+    // Manual crop rectangles are given in oriented image coordinates
+    if (crop && crop.mode === "manual") {
+      options.crop = {
+        ...crop,
+        rect: clampCropRect(crop.rect, options.orientedSize),
       };
+    }
 
-      if (resizeWidth) resizeOptions.width = resizeWidth;
-      if (resizeHeight) resizeOptions.height = resizeHeight;
+    let source = input;
 
-      pipeline = pipeline.resize(resizeOptions);
+    // Scrub GPS coordinates from the source so they never reach the output
+    if (options.metadata === "strip-location") {
+      source = stripLocation(
+        file.buffer || (await fs.readFile(file.path)),
+        metadata.exif,
+      );
     }
 
-    // Apply format-specific compression
-    const compressionOptions = getCompressionOptions(format, quality);
-
-    switch (format) {
-      case "jpeg":
-        pipeline = pipeline.jpeg(compressionOptions);
-        break;
-      case "png":
-        pipeline = pipeline.png(compressionOptions);
-        break;
-      case "webp":
-        pipeline = pipeline.webp(compressionOptions);
-        break;
-      case "gif":
-        pipeline = pipeline.gif(compressionOptions);
-        break;
+    // Manual rotate/flip: apply EXIF orientation explicitly alongside it,
+    // and mark the source upright so kept EXIF can't rotate it again
+    if (manualOrientation) {
+      options.orientation = resolveOrientation(metadata.orientation, {
+        rotate,
+        flip,
+        flop,
+      });
+      if (metadata.orientation > 1) {
+        source = resetOrientation(
+          typeof source === "string" ? await fs.readFile(source) : source,
+          metadata.exif,
+        );
+      }
     }
 
-    // Remove metadata to reduce file size (except for color profile)
-    pipeline = pipeline.withMetadata({
-      orientation: undefined, // Remove orientation, we've already applied it
-    });
+    if (settings.watermark) {
+      options.watermark = await loadWatermark(settings.watermark);
+    }
 
-    // Write output file
-    await pipeline.toFile(outputPath);
+    // Lossless render of the same geometry, for SSIM/PSNR scoring
+    const reference = await renderReference(source, options);
+    options.canvasSize = getFrameSize(reference.info);
 
-    // Get compressed file stats
-    const compressedStats = await fs.stat(outputPath);
-    const compressedSize = compressedStats.size;
+    let usedQuality = quality;
+    let targetMet;
+    let thresholdMet;
+    let outputBuffer;
+    let metrics;
+
+    if (autoQuality) {
+      // Pick the lowest quality that still looks like the source
+      const encoded = await encodeToSimilarity(
+        source,
+        reference,
+        format,
+        options,
+        ssimThreshold,
+      );
+      usedQuality = encoded.quality;
+      thresholdMet = encoded.thresholdMet;
+      outputBuffer = encoded.buffer;
+      metrics = { ssim: encoded.ssim, psnr: encoded.psnr };
+    }
+
+    if (
+      targetSizeKB &&
+      (!outputBuffer || outputBuffer.length > targetSizeKB * 1024)
+    ) {
+      // Search quality/dimensions until the output fits the budget
+      const encoded = await encodeToTargetSize(
+        source,
+        format,
+        autoQuality ? usedQuality : quality,
+        options,
+        targetSizeKB * 1024,
+      );
+      usedQuality = encoded.quality;
+      targetMet = encoded.targetMet;
+      outputBuffer = encoded.buffer;
+      metrics = null;
+    } else if (targetSizeKB) {
+      targetMet = true;
+    } else if (!outputBuffer) {
+      outputBuffer = await buildPipeline(
+        source,
+        format,
+        quality,
+        options,
+      ).toBuffer();
+    }
+
+    const compressedSize = outputBuffer.length;
+
+    // Score the output against the original on the same pixel grid.
+    // Measured from the buffer: libvips caches decoded files by path, so a
+    // re-compressed output at the same path could otherwise be read stale.
+    const { ssim, psnr } =
+      metrics || (await measureQuality(reference, outputBuffer));
+
+    // A size budget can push quality below what auto quality picked
+    if (autoQuality) thresholdMet = ssim >= ssimThreshold;
+
+    // Report the final, oriented output dimensions
+    const outputMetadata = await sharp(outputBuffer).metadata();
 
     // Calculate savings
     const savedBytes = originalSize - compressedSize;
     const savingsPercent = ((savedBytes / originalSize) * 100).toFixed(1);
 
-    return {
+    const result = {
       success: true,
       id: file.id,
       originalName: file.originalName,
@@ -216,15 +721,336 @@ async function compressImage(file, settings) {
       compressedSize,
       savedBytes,
       savingsPercent: parseFloat(savingsPercent),
-      compressedFilename: outputFilename,
       outputFormat: format,
+      quality: usedQuality,
+      ssim,
+      psnr,
       dimensions: {
-        width: metadata.width,
-        height: metadata.height,
+        width: outputMetadata.width,
+        height: outputMetadata.height,
+      },
+      frames: outputMetadata.pages || 1,
+    };
+
+    if (inputAnimated && !options.animation) {
+      result.warning = `Only the first of ${
+        metadata.pages
+      } frames was kept: ${format.toUpperCase()} does not support animation`;
+    }
+
+    if (autoQuality) {
+      result.autoQuality = true;
+      result.ssimThreshold = ssimThreshold;
+      result.thresholdMet = thresholdMet;
+    }
+
+    if (targetSizeKB) {
+      result.targetSizeKB = targetSizeKB;
+      result.targetMet = targetMet;
+    }
+
+    result.buffer = outputBuffer;
+    return result;
+  } catch (error) {
+    logger.error("Compression failed", {
+      fileId: file.id,
+      originalName: file.originalName,
+      error,
+    });
+    return {
+      success: false,
+      id: file.id,
+      originalName: file.originalName,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Compress a single image
+ * @param {Object} file - File info object, with the image at file.path or
+ *   in memory as file.buffer. Output is stored as "<file.owner>/<filename>".
+ * @param {Object} settings - Compression settings. With settings.inMemory,
+ *   nothing is stored and the output is returned as result.buffer instead.
+ * @returns {Object} Compression result; result.cached is true when the
+ *   output came from the result cache instead of being encoded again
+ */
+async function compressImage(file, settings) {
+  if (settings.inMemory) {
+    return renderImage(file, settings);
+  }
+
+  const format = getOutputFormat(file.mimetype, settings.outputFormat);
+  const extension = getExtension(format);
+  const outputFilename = settings.filenameSuffix
+    ? `${file.id}-${settings.filenameSuffix}-compressed${extension}`
+    : `${file.id}-compressed${extension}`;
+
+  let rendered;
+  let cached = false;
+  try {
+    if (config.resultCache) {
+      const input = file.buffer || (await fs.readFile(file.path));
+      const key = await resultCache.getCacheKey(input, format, {
+        ...settings,
+        metadata: normalizeMetadataPolicy(settings.metadata),
+      });
+      ({ result: rendered, cached } = await resultCache.getOrRender(key, () =>
+        renderImage({ ...file, buffer: input }, settings),
+      ));
+    } else {
+      rendered = await renderImage(file, settings);
+    }
+
+    if (!rendered.success) {
+      // Failures may be shared with a duplicate file: report them as ours
+      return { ...rendered, id: file.id, originalName: file.originalName };
+    }
+
+    const { buffer, ...result } = rendered;
+    await storage.write(
+      "compressed",
+      `${file.owner}/${outputFilename}`,
+      buffer,
+      {
+        contentType: MIME_TYPES[format],
       },
+    );
+    await fileRegistry.registerFile({
+      area: "compressed",
+      key: `${file.owner}/${outputFilename}`,
+      kind: "output",
+      owner: file.owner,
+      uploadId: file.id,
+    });
+
+    return {
+      ...result,
+      id: file.id,
+      originalName: file.originalName,
+      compressedFilename: outputFilename,
+      cached,
     };
   } catch (error) {
-    console.error(`Error compressing ${file.originalName}:`, error);
+    logger.error("Compression failed", {
+      fileId: file.id,
+      originalName: file.originalName,
+      error,
+    });
+    return {
+      success: false,
+      id: file.id,
+      originalName: file.originalName,
+      error: error.message,
+    };
+  }
+}
+
+// Preference order of <picture> sources: modern formats first
+const RESPONSIVE_FORMAT_ORDER = ["avif", "webp", "png", "gif", "jpeg"];
+const MIME_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+/**
+ * Escape a string for use inside an HTML attribute
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Build a ready-to-paste <picture> snippet for a set of variants.
+ * Every format but the last becomes a <source>; the last (most widely
+ * supported) one becomes the <img> fallback.
+ */
+function buildPictureHtml(variants, formats, options) {
+  const { sizes, pathPrefix, alt } = options;
+  const srcset = (format) =>
+    variants
+      .filter((v) => v.outputFormat === format)
+      .map((v) => `${pathPrefix}${v.downloadName} ${v.dimensions.width}w`)
+      .join(", ");
+
+  const fallbackFormat = formats[formats.length - 1];
+  const fallback = variants
+    .filter((v) => v.outputFormat === fallbackFormat)
+    .reduce((a, b) => (b.dimensions.width > a.dimensions.width ? b : a));
+
+  const lines = ["<picture>"];
+  for (const format of formats.slice(0, -1)) {
+    lines.push(
+      `  <source type="${MIME_TYPES[format]}" srcset="${escapeHtml(
+        srcset(format),
+      )}" sizes="${escapeHtml(sizes)}">`,
+    );
+  }
+  lines.push(
+    `  <img src="${escapeHtml(pathPrefix + fallback.downloadName)}" srcset="${escapeHtml(
+      srcset(fallbackFormat),
+    )}" sizes="${escapeHtml(sizes)}" width="${fallback.dimensions.width}" height="${
+      fallback.dimensions.height
+    }" alt="${escapeHtml(alt)}" loading="lazy" decoding="async">`,
+  );
+  lines.push("</picture>");
+
+  return lines.join("\n");
+}
+
+/**
+ * Compress one image into every width x format combination of a responsive
+ * set, and write a JSON manifest and <picture> snippet next to the variants
+ * @param {Object} file - File info object
+ * @param {Object} settings - Compression settings with settings.responsive:
+ *   { widths, formats, sizes, pathPrefix }
+ * @returns {Object} Result describing the largest fallback variant, plus
+ *   variants, html and manifest
+ */
+async function createResponsiveSet(file, settings) {
+  const { widths, sizes, pathPrefix } = settings.responsive;
+  const baseName =
+    path
+      .basename(file.originalName, path.extname(file.originalName))
+      .replace(/[^a-zA-Z0-9_-]+/g, "-") || "image";
+
+  try {
+    const originalSize = file.buffer
+      ? file.buffer.length
+      : (await fs.stat(file.path)).size;
+    const metadata = await sharp(file.buffer || file.path, {
+      limitInputPixels: false,
+    }).metadata();
+    checkImageSize(metadata);
+
+    // Width after EXIF orientation and manual rotation
+    const sourceWidth = getOrientedSize(metadata, settings.rotate).width;
+
+    // Never upscale: drop larger widths, but keep the source width instead
+    let setWidths = [...new Set(widths)]
+      .filter((w) => w <= sourceWidth)
+      .sort((a, b) => a - b);
+    if (widths.some((w) => w > sourceWidth)) {
+      setWidths = [...new Set([...setWidths, sourceWidth])];
+    }
+
+    // Resolve "original" and order formats by preference
+    const formats = [
+      ...new Set(
+        settings.responsive.formats.map((f) =>
+          getOutputFormat(file.mimetype, f),
+        ),
+      ),
+    ].sort(
+      (a, b) =>
+        RESPONSIVE_FORMAT_ORDER.indexOf(a) - RESPONSIVE_FORMAT_ORDER.indexOf(b),
+    );
+
+    // Cover crops keep the box's proportions at every width
+    const { crop, resizeWidth, resizeHeight } = settings;
+    const coverHeight = (width) =>
+      crop?.mode === "cover"
+        ? Math.max(1, Math.round((width * resizeHeight) / resizeWidth))
+        : null;
+
+    const variants = [];
+    for (const width of setWidths) {
+      for (const format of formats) {
+        const result = await compressImage(file, {
+          ...settings,
+          outputFormat: format,
+          resizeWidth: width,
+          resizeHeight: coverHeight(width),
+          filenameSuffix: `${width}w`,
+        });
+        if (!result.success) {
+          throw new Error(`${width}w ${format}: ${result.error}`);
+        }
+        variants.push({
+          ...result,
+          width,
+          downloadName: `${baseName}-${width}${getExtension(format)}`,
+        });
+      }
+    }
+
+    const html = buildPictureHtml(variants, formats, {
+      sizes: sizes || "100vw",
+      pathPrefix: pathPrefix || "",
+      alt: path.basename(file.originalName, path.extname(file.originalName)),
+    });
+    const manifest = {
+      source: file.originalName,
+      width: sourceWidth,
+      formats,
+      widths: setWidths,
+      variants: variants.map((v) => ({
+        file: v.downloadName,
+        format: v.outputFormat,
+        type: MIME_TYPES[v.outputFormat],
+        width: v.dimensions.width,
+        height: v.dimensions.height,
+        size: v.compressedSize,
+      })),
+      html,
+    };
+
+    const manifestFilename = `${file.id}-manifest.json`;
+    const htmlFilename = `${file.id}-picture.html`;
+    await storage.write(
+      "compressed",
+      `${file.owner}/${manifestFilename}`,
+      Buffer.from(JSON.stringify(manifest, null, 2)),
+      { contentType: "application/json" },
+    );
+    await storage.write(
+      "compressed",
+      `${file.owner}/${htmlFilename}`,
+      Buffer.from(html + "\n"),
+      { contentType: "text/html; charset=utf-8" },
+    );
+    for (const filename of [manifestFilename, htmlFilename]) {
+      await fileRegistry.registerFile({
+        area: "compressed",
+        key: `${file.owner}/${filename}`,
+        kind: "output",
+        owner: file.owner,
+        uploadId: file.id,
+      });
+    }
+
+    // Top-level fields describe the <img> fallback at its largest width
+    const fallbackFormat = formats[formats.length - 1];
+    const main = variants
+      .filter((v) => v.outputFormat === fallbackFormat)
+      .reduce((a, b) => (b.width > a.width ? b : a));
+
+    return {
+      ...main,
+      originalSize,
+      responsive: true,
+      folder: baseName,
+      variants,
+      totalVariantSize: variants.reduce((sum, v) => sum + v.compressedSize, 0),
+      cached: variants.every((v) => v.cached),
+      html,
+      manifest,
+      manifestFilename,
+      htmlFilename,
+    };
+  } catch (error) {
+    logger.error("Responsive set failed", {
+      fileId: file.id,
+      originalName: file.originalName,
+      error,
+    });
     return {
       success: false,
       id: file.id,
@@ -246,6 +1072,7 @@ async function getImageInfo(filePath) {
       format: metadata.format,
       space: metadata.space,
       hasAlpha: metadata.hasAlpha,
+      frames: metadata.pages || 1,
     };
   } catch (error) {
     throw new Error(`Failed to read image: ${error.message}`);
@@ -254,7 +1081,10 @@ async function getImageInfo(filePath) {
 
 module.exports = {
   compressImage,
+  createResponsiveSet,
   getImageInfo,
   getOutputFormat,
+  getExtension,
   getCompressionOptions,
+  MIME_TYPES,
 };
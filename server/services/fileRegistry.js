@@ -0,0 +1,469 @@
+/**
+ * File Registry
+ * Records every stored file - uploads, watermark logos, compressed outputs,
+ * result cache entries and a session's saved presets - with its owner, the upload it was made from
+ * and when it expires, so expired files and a session's cleanups can be
+ * found without knowing which server instance stored them
+ *
+ * Each kind of file has its own lifetime (UPLOAD_TTL, LOGO_TTL, OUTPUT_TTL,
+ * CACHE_MAX_AGE, SESSION_MAX_AGE for presets). Outputs live at least as long as their upload, and
+ * keepUpload() moves the expiry of an upload and its outputs, e.g. to keep
+ * files behind a share link for a day.
+ *
+ * The registry lives in the storage backend itself, in the "registry"
+ * area, so every instance sharing the storage sees the same registry:
+ * - one record per file of a session, listed by their upload's prefix:
+ *     "<owner>/<uploadId>.<area>.<filename>.json"
+ *     { "area": "uploads", "key": "<owner>/<filename>", "kind": "upload",
+ *       "owner": "<owner>", "uploadId": "<id>",
+ *       "createdAt": "...", "expiresAt": "..." }
+ * - an expiry index, bucketed by the hour files expire in, so a cleanup
+ *   only lists the buckets that have come due since the last one
+ *   ("cursor.json"):
+ *     "expiry/<hour>/<expiresAt>-<hash of area and key>.json"
+ *     { "area": "...", "key": "...", "recordKey": "..." | null,
+ *       "expiresAt": <ms> }
+ *   Cache entries have no record: their lifetime never changes.
+ * - the number of files kept in each area ("counts.json"), for metrics.
+ *   Instances updating it at the same moment can lose a change; the
+ *   migration below counts again.
+ *
+ * Files stored before the index existed are indexed once with
+ * `npm run migrate-registry` (migrateRegistry()), which is the only thing
+ * that lists whole storage areas.
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const config = require("../config");
+const storage = require("./storage");
+const logger = require("./logger");
+
+const REGISTRY_AREA = "registry";
+const INDEX_PREFIX = "expiry/";
+const CURSOR_KEY = "cursor.json";
+const COUNTS_KEY = "counts.json";
+const AREAS = ["uploads", "compressed", "cache"];
+
+// Lifetime of each kind of file, in seconds
+const TTLS = {
+  upload: config.uploadTtl,
+  logo: config.logoTtl,
+  output: config.outputTtl,
+  cache: config.cacheMaxAge,
+  preset: config.sessionMaxAge,
+};
+
+// Kind of the files found in each area without a record
+const AREA_KINDS = { uploads: "upload", compressed: "output", cache: "cache" };
+
+// How often expired files are deleted, by each server process
+const CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Span of expiry times sharing an index bucket
+const BUCKET_SIZE = 60 * 60 * 1000; // 1 hour
+
+let cleanupRunning = null;
+let lastCleanup = 0;
+let countsUpdate = Promise.resolve();
+
+/**
+ * Prefix of the records of an upload's files
+ */
+function getUploadPrefix(owner, uploadId) {
+  return `${owner}/${uploadId}.`;
+}
+
+/**
+ * Registry key of a file's record
+ */
+function getRecordKey({ area, key, owner, uploadId }) {
+  return `${getUploadPrefix(owner, uploadId)}${area}.${path.posix.basename(
+    key,
+  )}.json`;
+}
+
+/**
+ * Index bucket of an expiry time (ms)
+ */
+function getBucket(time) {
+  return Math.floor(time / BUCKET_SIZE);
+}
+
+/**
+ * Registry key of a file's index entry: the same file and expiry always
+ * get the same key
+ */
+function getIndexKey({ area, key, expiresAt }) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${area}/${key}`)
+    .digest("hex")
+    .slice(0, 16);
+  return `${INDEX_PREFIX}${getBucket(expiresAt)}/${expiresAt}-${hash}.json`;
+}
+
+/**
+ * Read a JSON object from the registry, or return null when it is gone
+ * (e.g. deleted by another instance's cleanup)
+ */
+async function readJson(key) {
+  try {
+    return JSON.parse(await storage.read(REGISTRY_AREA, key));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON object to the registry
+ */
+async function writeJson(key, data) {
+  await storage.write(REGISTRY_AREA, key, Buffer.from(JSON.stringify(data)), {
+    contentType: "application/json",
+  });
+}
+
+/**
+ * Read a record, or return null when it is gone
+ */
+async function readRecord(recordKey) {
+  const entry = await readJson(recordKey);
+  if (!entry) return null;
+  return {
+    ...entry,
+    createdAt: Date.parse(entry.createdAt),
+    expiresAt: Date.parse(entry.expiresAt),
+  };
+}
+
+/**
+ * Write a file's record (when it has one) and its index entry
+ */
+async function writeRecord(entry) {
+  const recordKey = entry.kind === "cache" ? null : getRecordKey(entry);
+  if (recordKey) {
+    await writeJson(recordKey, {
+      ...entry,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+    });
+  }
+  await writeJson(getIndexKey(entry), {
+    area: entry.area,
+    key: entry.key,
+    recordKey,
+    expiresAt: entry.expiresAt,
+  });
+}
+
+/**
+ * Records of an upload's files, as [recordKey, entry] pairs
+ */
+async function readUploadRecords(owner, uploadId) {
+  const records = [];
+  const prefix = getUploadPrefix(owner, uploadId);
+  for (const { key } of await storage.list(REGISTRY_AREA, prefix)) {
+    const entry = await readRecord(key);
+    if (entry) records.push([key, entry]);
+  }
+  return records;
+}
+
+/**
+ * Add to the number of files kept per area. Changes from this process are
+ * applied one at a time; a failure is logged, never thrown.
+ * @param {Object} changes - e.g. { uploads: 1 } or { compressed: -3 }
+ */
+function adjustCounts(changes) {
+  countsUpdate = countsUpdate
+    .then(async () => {
+      const counts = Object.fromEntries(AREAS.map((area) => [area, 0]));
+      Object.assign(counts, await readJson(COUNTS_KEY));
+      for (const [area, change] of Object.entries(changes)) {
+        counts[area] = Math.max(0, (counts[area] || 0) + change);
+      }
+      await writeJson(COUNTS_KEY, counts);
+    })
+    .catch((error) => {
+      logger.error("File counts not updated", { error });
+    });
+  return countsUpdate;
+}
+
+/**
+ * Record a file just written to storage
+ * @param {Object} file - { area, key, kind, owner, uploadId }: kind is
+ *   "upload", "logo", "output", "cache" or "preset"; owner and uploadId are
+ *   null for cache entries, and uploadId is the upload an output was made
+ *   from ("presets" for a session's presets)
+ * @returns {Object} The entry, with createdAt and expiresAt (ms)
+ */
+async function registerFile({
+  area,
+  key,
+  kind,
+  owner = null,
+  uploadId = null,
+}) {
+  const now = Date.now();
+  let expiresAt = now + TTLS[kind] * 1000;
+  const entry = { area, key, kind, owner, uploadId, createdAt: now, expiresAt };
+
+  // A file written again (e.g. an output re-compressed) is counted once
+  let isNew = true;
+  if (kind !== "cache") {
+    const recordKey = getRecordKey(entry);
+    for (const [existingKey, existing] of await readUploadRecords(
+      owner,
+      uploadId,
+    )) {
+      if (existingKey === recordKey) isNew = false;
+
+      // An output made from a kept upload is kept as long
+      if (kind === "output" && existing.kind !== "output") {
+        expiresAt = Math.max(expiresAt, existing.expiresAt);
+      }
+    }
+    entry.expiresAt = expiresAt;
+  }
+
+  await writeRecord(entry);
+  if (isNew) await adjustCounts({ [area]: 1 });
+  return entry;
+}
+
+/**
+ * Keep an upload and everything made from it until seconds from now. The
+ * index entries of the earlier expiry are left to the cleanup, which skips
+ * them.
+ * @returns {number|null} The new expiry (ms), or null if the owner has no
+ *   such upload
+ */
+async function keepUpload(owner, uploadId, seconds) {
+  const records = await readUploadRecords(owner, uploadId);
+  if (records.length === 0) return null;
+
+  const expiresAt = Date.now() + seconds * 1000;
+  for (const [, entry] of records) {
+    await writeRecord({ ...entry, expiresAt });
+  }
+  return expiresAt;
+}
+
+/**
+ * Delete an upload and everything made from it
+ * @returns {number} Number of files deleted
+ */
+async function releaseUpload(owner, uploadId) {
+  const records = await readUploadRecords(owner, uploadId);
+  const changes = {};
+  for (const [recordKey, { area, key }] of records) {
+    await storage.remove(area, key);
+    await storage.remove(REGISTRY_AREA, recordKey);
+    changes[area] = (changes[area] || 0) - 1;
+  }
+  if (records.length > 0) await adjustCounts(changes);
+  return records.length;
+}
+
+/**
+ * Delete the file of an index entry that has come due, with its record and
+ * the entry itself
+ * @returns {boolean} Whether a file was deleted - not when the upload was
+ *   released or kept longer since the entry was written
+ */
+async function removeIndexed(indexKey, entry) {
+  let removed = false;
+
+  if (entry.recordKey) {
+    const record = await readRecord(entry.recordKey);
+    if (record && record.expiresAt === entry.expiresAt) {
+      await storage.remove(entry.area, entry.key);
+      await storage.remove(REGISTRY_AREA, entry.recordKey);
+      removed = true;
+    }
+  } else if (await storage.exists(entry.area, entry.key)) {
+    await storage.remove(entry.area, entry.key);
+    removed = true;
+  }
+
+  await storage.remove(REGISTRY_AREA, indexKey);
+  return removed;
+}
+
+/**
+ * Delete every file past its expiry, whichever instance stored it. Only
+ * the index buckets due since the last cleanup are listed.
+ * @returns {Object} Files deleted per area
+ */
+async function removeExpired() {
+  const now = Date.now();
+  const removed = { uploads: 0, compressed: 0, cache: 0, presets: 0 };
+
+  // Without a cursor yet, look back as far as any file can live
+  const longest = Math.max(config.maxRetention, ...Object.values(TTLS));
+  const cursor = await readJson(CURSOR_KEY);
+  const first = cursor ? cursor.bucket : getBucket(now - longest * 1000);
+  const last = getBucket(now);
+  let retryFrom = null;
+
+  for (let bucket = first; bucket <= last; bucket++) {
+    const prefix = `${INDEX_PREFIX}${bucket}/`;
+    for (const { key: indexKey } of await storage.list(REGISTRY_AREA, prefix)) {
+      const expiresAt = parseInt(indexKey.slice(prefix.length));
+      if (expiresAt > now) continue;
+
+      let entry = null;
+      try {
+        entry = await readJson(indexKey);
+        if (entry && (await removeIndexed(indexKey, entry))) {
+          removed[entry.area]++;
+          logger.debug("Expired file removed", {
+            area: entry.area,
+            key: entry.key,
+          });
+        }
+      } catch (error) {
+        // The entry stays, and the cursor with it, so the next run tries
+        // again
+        if (retryFrom === null) retryFrom = bucket;
+        logger.error("Expired file not removed", {
+          area: entry?.area,
+          key: entry?.key,
+          error,
+        });
+      }
+    }
+  }
+
+  await writeJson(CURSOR_KEY, { bucket: retryFrom ?? last });
+
+  const changes = {};
+  for (const [area, count] of Object.entries(removed)) {
+    if (count > 0) changes[area] = -count;
+  }
+  if (Object.keys(changes).length > 0) await adjustCounts(changes);
+
+  return removed;
+}
+
+/**
+ * Delete expired files and log the outcome; never throws. Runs at most one
+ * at a time.
+ */
+function cleanupExpiredFiles() {
+  if (cleanupRunning) return cleanupRunning;
+
+  const startedAt = Date.now();
+  lastCleanup = startedAt;
+  cleanupRunning = removeExpired()
+    .then((removed) => {
+      logger.info("Cleanup finished", {
+        removed,
+        durationMs: Date.now() - startedAt,
+      });
+    })
+    .catch((error) => {
+      logger.error("Cleanup failed", { error });
+    })
+    .finally(() => {
+      cleanupRunning = null;
+    });
+  return cleanupRunning;
+}
+
+/**
+ * Express middleware for servers without timers between requests (e.g.
+ * serverless functions): start a cleanup in the background when this
+ * process hasn't run one for CLEANUP_INTERVAL
+ */
+function cleanupWhenDue(req, res, next) {
+  if (Date.now() - lastCleanup >= CLEANUP_INTERVAL) {
+    cleanupExpiredFiles();
+  }
+  next();
+}
+
+/**
+ * Number of files kept in a storage area, as counted by the registry
+ */
+async function countFiles(area) {
+  await countsUpdate;
+  const counts = await readJson(COUNTS_KEY);
+  return (counts && counts[area]) || 0;
+}
+
+/**
+ * One-off migration for files stored before the expiry index: index every
+ * record and every file without one (expiring by age, with the lifetime of
+ * its area's kind of file), and count the files of each area. Safe to run
+ * again; lists every storage area, so run it by hand rather than on a
+ * schedule.
+ * @returns {Object} { indexed, counts } - index entries written, and files
+ *   per area
+ */
+async function migrateRegistry() {
+  const recorded = new Set();
+  let indexed = 0;
+  let earliest = Infinity;
+
+  for (const { key } of await storage.list(REGISTRY_AREA)) {
+    if (key.startsWith(INDEX_PREFIX) || !key.endsWith(".json")) continue;
+    if (key === CURSOR_KEY || key === COUNTS_KEY) continue;
+
+    const entry = await readRecord(key);
+    if (!entry) continue;
+    recorded.add(`${entry.area}/${entry.key}`);
+    await writeRecord(entry);
+    earliest = Math.min(earliest, entry.expiresAt);
+    indexed++;
+  }
+
+  const counts = {};
+  for (const area of AREAS) {
+    const files = await storage.list(area);
+    counts[area] = files.length;
+
+    for (const file of files) {
+      if (recorded.has(`${area}/${file.key}`)) continue;
+      const kind = AREA_KINDS[area];
+      const expiresAt = Math.floor(file.lastModified) + TTLS[kind] * 1000;
+      await writeRecord({
+        area,
+        key: file.key,
+        kind: "cache",
+        createdAt: file.lastModified,
+        expiresAt,
+      });
+      earliest = Math.min(earliest, expiresAt);
+      indexed++;
+    }
+  }
+
+  await countsUpdate;
+  await writeJson(COUNTS_KEY, counts);
+
+  // Make sure the next cleanup reaches back to the earliest expiry
+  const cursor = await readJson(CURSOR_KEY);
+  if (cursor && earliest !== Infinity) {
+    await writeJson(CURSOR_KEY, {
+      bucket: Math.min(cursor.bucket, getBucket(earliest)),
+    });
+  }
+
+  return { indexed, counts };
+}
+
+module.exports = {
+  CLEANUP_INTERVAL,
+  registerFile,
+  keepUpload,
+  releaseUpload,
+  removeExpired,
+  cleanupExpiredFiles,
+  cleanupWhenDue,
+  countFiles,
+  migrateRegistry,
+};
@@ -0,0 +1,152 @@
+/**
+ * Image Validation
+ * Identifies images by their content rather than the client-supplied type,
+ * and refuses images too large to decode safely
+ *
+ * Sizes are read from the image header, so an oversized image is rejected
+ * before any of it is decoded - a small PNG can otherwise expand to
+ * gigabytes of pixels. Every decode also passes MAX_INPUT_PIXELS to Sharp
+ * as limitInputPixels, as a second line of defence.
+ */
+
+const sharp = require("sharp");
+const fs = require("fs").promises;
+
+const config = require("../config");
+
+// Largest image accepted, in pixels (all frames of an animation together)
+const MAX_INPUT_PIXELS = config.maxInputPixels;
+
+// Largest width or (frame) height accepted
+const MAX_INPUT_DIMENSION = config.maxInputDimension;
+
+// Bytes read to identify a file
+const HEADER_SIZE = 64;
+
+const FORMAT_NAMES = {
+  "image/jpeg": "JPEG",
+  "image/png": "PNG",
+  "image/gif": "GIF",
+  "image/webp": "WebP",
+  "image/avif": "AVIF",
+};
+
+/**
+ * Identify an image from its first bytes ("magic bytes")
+ * @param {Buffer} header - Start of the file
+ * @returns {string|null} MIME type, or null if not a supported image
+ */
+function detectMimeType(header) {
+  const ascii = (start, end) => header.toString("latin1", start, end);
+
+  if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8) {
+    return header[2] === 0xff ? "image/jpeg" : null;
+  }
+  if (
+    header.length >= 8 &&
+    header
+      .subarray(0, 8)
+      .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "image/png";
+  }
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") {
+    return "image/gif";
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+
+  // ISO-BMFF "ftyp" box: AVIF if the major or a compatible brand says so
+  if (header.length >= 12 && ascii(4, 8) === "ftyp") {
+    const boxEnd = Math.min(header.readUInt32BE(0), header.length);
+    for (let offset = 8; offset + 4 <= boxEnd; offset += 4) {
+      // Bytes 12-16 are the minor version, not a brand
+      if (offset === 12) continue;
+      const brand = ascii(offset, offset + 4);
+      if (brand === "avif" || brand === "avis") return "image/avif";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the first HEADER_SIZE bytes of a path or buffer
+ */
+async function readHeader(input) {
+  if (Buffer.isBuffer(input)) return input.subarray(0, HEADER_SIZE);
+
+  const handle = await fs.open(input, "r");
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Throw if an image is larger than MAX_INPUT_DIMENSION or MAX_INPUT_PIXELS
+ * @param {Object} metadata - Sharp metadata (header only, nothing decoded)
+ */
+function checkImageSize(metadata) {
+  const { width, pages = 1 } = metadata;
+  const height = metadata.pageHeight || metadata.height;
+
+  if (width > MAX_INPUT_DIMENSION || height > MAX_INPUT_DIMENSION) {
+    throw new Error(
+      `Image is ${width}×${height}; the maximum is ${MAX_INPUT_DIMENSION} pixels on each side`,
+    );
+  }
+
+  const megapixels = (width * height * pages) / 1e6;
+  if (width * height * pages > MAX_INPUT_PIXELS) {
+    throw new Error(
+      `Image is ${+megapixels.toPrecision(3)} megapixels${
+        pages > 1 ? ` across ${pages} frames` : ""
+      }; the maximum is ${MAX_INPUT_PIXELS / 1e6} megapixels`,
+    );
+  }
+}
+
+/**
+ * Check that a file is a supported image of the type it claims to be, and
+ * small enough to decode
+ * @param {string|Buffer} input - Path or buffer of the image
+ * @param {string} [declaredMimetype] - Type the client sent, if any
+ * @returns {Object} { mimetype, metadata } - detected type and Sharp metadata
+ */
+async function validateImage(input, declaredMimetype) {
+  const mimetype = detectMimeType(await readHeader(input));
+  if (!mimetype) {
+    throw new Error(
+      "File content is not a supported image. Only JPG, PNG, GIF, WebP, and AVIF are allowed.",
+    );
+  }
+  if (declaredMimetype && declaredMimetype !== mimetype) {
+    throw new Error(
+      `File content is ${FORMAT_NAMES[mimetype]}, but it was sent as ${declaredMimetype}`,
+    );
+  }
+
+  // Reading the header needs no pixel limit - checkImageSize applies ours
+  let metadata;
+  try {
+    metadata = await sharp(input, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw new Error(`Corrupt ${FORMAT_NAMES[mimetype]} image`);
+  }
+  checkImageSize(metadata);
+
+  return { mimetype, metadata };
+}
+
+module.exports = {
+  MAX_INPUT_PIXELS,
+  MAX_INPUT_DIMENSION,
+  detectMimeType,
+  checkImageSize,
+  validateImage,
+};
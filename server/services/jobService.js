@@ -0,0 +1,320 @@
+/**
+ * Compression Jobs
+ * Runs a batch of files in the background so clients can poll for progress
+ * instead of holding one HTTP request open for the whole batch
+ *
+ * Jobs live in memory: they are only visible to the process that created
+ * them and are forgotten JOB_TTL after they finish. A job belongs to its
+ * owner (the session that created it); to anyone else it doesn't exist.
+ *
+ * Subscribers receive an event as each file starts ("start"), finishes
+ * ("finish") or fails ("fail"), then a "summary" once the job is over.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const logger = require("./logger");
+
+// Files compressed at the same time within a job
+const JOB_CONCURRENCY = 2;
+
+// How long finished jobs stay available for polling
+const JOB_TTL = 30 * 60 * 1000; // 30 minutes
+
+const jobs = new Map();
+
+/**
+ * Forget jobs that finished more than JOB_TTL ago
+ */
+function pruneJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Get a job if it exists and belongs to the owner
+ */
+function findJob(id, owner) {
+  const job = jobs.get(id);
+  return job && job.owner === owner ? job : null;
+}
+
+/**
+ * Job state, progress counts and totals, without the per-file details
+ */
+function summarizeJob(job) {
+  const count = (state) => job.files.filter((f) => f.state === state).length;
+  const results = job.files.filter((f) => f.result && f.result.success);
+
+  return {
+    id: job.id,
+    state: job.state,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    durationMs:
+      job.startedAt && job.finishedAt ? job.finishedAt - job.startedAt : null,
+    progress: {
+      total: job.files.length,
+      queued: count("queued"),
+      running: count("running"),
+      done: count("done"),
+      failed: count("failed"),
+      cancelled: count("cancelled"),
+    },
+    totalOriginalSize: results.reduce(
+      (sum, f) => sum + f.result.originalSize,
+      0,
+    ),
+    totalCompressedSize: results.reduce(
+      (sum, f) => sum + f.result.compressedSize,
+      0,
+    ),
+  };
+}
+
+/**
+ * Public view of one file of a job
+ */
+function serializeFile(entry) {
+  return {
+    index: entry.index,
+    id: entry.file.id,
+    originalName: entry.file.originalName,
+    state: entry.state,
+    durationMs:
+      entry.startedAt && entry.finishedAt
+        ? entry.finishedAt - entry.startedAt
+        : null,
+    result: entry.result,
+  };
+}
+
+/**
+ * Public view of a job: state, per-file progress and totals
+ */
+function serializeJob(job) {
+  return { ...summarizeJob(job), files: job.files.map(serializeFile) };
+}
+
+/**
+ * Send an event to everyone subscribed to a job
+ */
+function emit(job, event, data) {
+  for (const listener of job.listeners) {
+    try {
+      listener(event, data);
+    } catch (error) {
+      logger.error("Job listener failed", { jobId: job.id, error });
+    }
+  }
+}
+
+/**
+ * Data of a file's "start" event: the file as it was when it started, also
+ * when replayed after it has finished
+ */
+function getStartData(entry) {
+  return {
+    ...serializeFile(entry),
+    state: "running",
+    durationMs: null,
+    result: undefined,
+  };
+}
+
+/**
+ * Event describing a file that has finished or failed
+ */
+function getFileEvent(entry) {
+  return entry.state === "done" ? "finish" : "fail";
+}
+
+/**
+ * Mark a job as over and send its summary
+ */
+function finishJob(job, state) {
+  // A cancelled job may already be over before its workers notice
+  if (job.finishedAt) return;
+
+  job.state = state;
+  job.finishedAt = Date.now();
+  logger.info("Job finished", {
+    jobId: job.id,
+    state,
+    durationMs: job.finishedAt - job.createdAt,
+  });
+  emit(job, "summary", summarizeJob(job));
+}
+
+/**
+ * Compress one file of a job, recording its state and timings
+ */
+async function runFile(job, entry, processFile) {
+  entry.state = "running";
+  entry.startedAt = Date.now();
+  emit(job, "start", getStartData(entry));
+
+  try {
+    entry.result = await processFile(entry.file);
+    entry.state = entry.result.success ? "done" : "failed";
+  } catch (error) {
+    entry.result = {
+      success: false,
+      id: entry.file.id,
+      originalName: entry.file.originalName,
+      error: error.message,
+    };
+    entry.state = "failed";
+  }
+
+  entry.finishedAt = Date.now();
+  emit(job, getFileEvent(entry), serializeFile(entry));
+}
+
+/**
+ * Work through a job's queue, JOB_CONCURRENCY files at a time
+ */
+async function runJob(job, processFile) {
+  if (job.cancelled) return;
+
+  job.state = "running";
+  job.startedAt = Date.now();
+
+  const worker = async () => {
+    let entry;
+    while (
+      !job.cancelled &&
+      (entry = job.files.find((f) => f.state === "queued"))
+    ) {
+      await runFile(job, entry, processFile);
+    }
+  };
+
+  await Promise.all(Array.from({ length: JOB_CONCURRENCY }, worker));
+
+  finishJob(job, job.cancelled ? "cancelled" : "done");
+}
+
+/**
+ * Create a job and start compressing its files in the background
+ * @param {Array} files - Uploaded file info objects
+ * @param {Function} processFile - async (file) => compression result
+ * @param {string|null} [owner] - Owner id of the session that created the job
+ * @returns {Object} Serialized job
+ */
+function createJob(files, processFile, owner = null) {
+  pruneJobs();
+
+  const job = {
+    id: uuidv4(),
+    owner,
+    state: "queued",
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    cancelled: false,
+    listeners: new Set(),
+    files: files.map((file, index) => ({
+      index,
+      file,
+      state: "queued",
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+    })),
+  };
+  jobs.set(job.id, job);
+  logger.info("Job created", {
+    jobId: job.id,
+    fileIds: files.map((file) => file.id),
+  });
+
+  setImmediate(() => {
+    runJob(job, processFile).catch((error) => {
+      logger.error("Job failed", { jobId: job.id, error });
+      finishJob(job, "failed");
+    });
+  });
+
+  return serializeJob(job);
+}
+
+/**
+ * Get a job's current state, or null if it doesn't exist (or has expired)
+ */
+function getJob(id, owner = null) {
+  pruneJobs();
+  const job = findJob(id, owner);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Cancel a job: files still queued are skipped, files already running are
+ * allowed to finish. Returns null if the job doesn't exist.
+ */
+function cancelJob(id, owner = null) {
+  const job = findJob(id, owner);
+  if (!job) return null;
+
+  if (!job.finishedAt) {
+    job.cancelled = true;
+    for (const entry of job.files) {
+      if (entry.state === "queued") entry.state = "cancelled";
+    }
+    // Nothing running means the workers have already stopped
+    if (!job.files.some((f) => f.state === "running")) {
+      finishJob(job, "cancelled");
+    }
+  }
+
+  return serializeJob(job);
+}
+
+/**
+ * Subscribe to a job's events. Progress so far is replayed first, so late
+ * subscribers see every file. Returns an unsubscribe function, or null if
+ * the job doesn't exist.
+ * @param {string} id - Job id
+ * @param {string|null} owner - Session token of the job's owner
+ * @param {Function} listener - (event, data) => void
+ */
+function subscribeJob(id, owner, listener) {
+  const job = findJob(id, owner);
+  if (!job) return null;
+
+  for (const entry of job.files) {
+    if (entry.startedAt) listener("start", getStartData(entry));
+    if (entry.finishedAt) listener(getFileEvent(entry), serializeFile(entry));
+  }
+
+  if (job.finishedAt) {
+    listener("summary", summarizeJob(job));
+    return () => {};
+  }
+
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+/**
+ * Number of jobs queued or running
+ */
+function countActiveJobs() {
+  let count = 0;
+  for (const job of jobs.values()) {
+    if (!job.finishedAt) count++;
+  }
+  return count;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  subscribeJob,
+  countActiveJobs,
+};
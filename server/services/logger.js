@@ -0,0 +1,64 @@
+/**
+ * Logger
+ * Writes one JSON object per line to stdout:
+ * { time, level, msg, requestId, method, route, ...fields }
+ *
+ * Lines written while handling a request carry its id, method and route
+ * without being passed around: the request logger middleware runs each
+ * request in a context that every log call (in routes, services and jobs
+ * started by the request) reads from.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("../config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Plain fields for an error: its message, stack and code
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+
+  const serialized = { message: error.message, stack: error.stack };
+  if (error.code) serialized.code = error.code;
+  return serialized;
+}
+
+/**
+ * Write a line at a level
+ * @param {Object} [fields] - Extra fields; an Error under "error" is written
+ *   with its stack
+ */
+function log(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[config.logLevel]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...requestContext.getStore(),
+    ...fields,
+  };
+  if (fields.error) entry.error = serializeError(fields.error);
+
+  process.stdout.write(JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Run a function with fields added to every line it (and anything it
+ * starts) writes
+ */
+function runWithContext(fields, fn) {
+  return requestContext.run(fields, fn);
+}
+
+module.exports = {
+  debug: (message, fields) => log("debug", message, fields),
+  info: (message, fields) => log("info", message, fields),
+  warn: (message, fields) => log("warn", message, fields),
+  error: (message, fields) => log("error", message, fields),
+  runWithContext,
+};
@@ -0,0 +1,344 @@
+/**
+ * Metadata Policy
+ * Controls which EXIF/XMP/IPTC/ICC metadata survives compression
+ *
+ * Policies:
+ * - strip-all:          remove everything (smallest output)
+ * - keep-color-profile: keep only the ICC colour profile
+ * - keep-all:           keep EXIF, XMP, IPTC and ICC
+ * - strip-location:     keep-all, minus GPS coordinates in EXIF and XMP
+ *
+ * The desktop app uses this module too: desktop/copy-shared.js copies it in
+ * before the app runs or is built, so it must not require other modules.
+ */
+
+const METADATA_POLICIES = [
+  "strip-all",
+  "keep-color-profile",
+  "keep-all",
+  "strip-location",
+];
+const DEFAULT_METADATA_POLICY = "keep-color-profile";
+
+// Byte sizes of the EXIF (TIFF) field types, indexed by type id
+const EXIF_TYPE_SIZES = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+const GPS_IFD_POINTER_TAG = 0x8825;
+const ORIENTATION_TAG = 0x0112;
+const EXIF_HEADER = Buffer.from("Exif\0\0", "latin1");
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+/**
+ * Normalize a user-supplied policy name, falling back to the default
+ */
+function normalizeMetadataPolicy(policy) {
+  return METADATA_POLICIES.includes(policy) ? policy : DEFAULT_METADATA_POLICY;
+}
+
+/**
+ * Apply a metadata policy to a Sharp pipeline
+ * @param {Sharp} pipeline - Sharp pipeline
+ * @param {string} policy - One of METADATA_POLICIES
+ * @param {boolean} convertToSrgb - Convert from the embedded ICC profile to sRGB
+ */
+function applyMetadataPolicy(pipeline, policy, convertToSrgb) {
+  switch (policy) {
+    case "strip-all":
+      // Sharp strips all metadata (and converts to sRGB) by default
+      return pipeline;
+
+    case "keep-color-profile":
+      return convertToSrgb
+        ? pipeline.withIccProfile("srgb")
+        : pipeline.keepIccProfile();
+
+    case "keep-all":
+    case "strip-location":
+      pipeline = pipeline.keepMetadata();
+      return convertToSrgb ? pipeline.withIccProfile("srgb") : pipeline;
+
+    default:
+      return pipeline;
+  }
+}
+
+/**
+ * Create helpers for reading/writing a TIFF (EXIF) block in place
+ * @param {Buffer} buffer - Buffer containing the EXIF block
+ * @param {number} tiffStart - Offset of the TIFF header ("II*\0" / "MM\0*")
+ */
+function createTiffAccessor(buffer, tiffStart) {
+  const littleEndian =
+    buffer.toString("latin1", tiffStart, tiffStart + 2) === "II";
+  const inBounds = (o, length) => o >= 0 && o + length <= buffer.length;
+  const read16 = (o) =>
+    littleEndian ? buffer.readUInt16LE(o) : buffer.readUInt16BE(o);
+  const read32 = (o) =>
+    littleEndian ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o);
+  const write16 = (o, value) =>
+    littleEndian
+      ? buffer.writeUInt16LE(value, o)
+      : buffer.writeUInt16BE(value, o);
+
+  /**
+   * Find the offset of an IFD0 entry by tag, or null
+   */
+  function findIfd0Entry(tag) {
+    if (!inBounds(tiffStart + 4, 4)) return null;
+    const ifd0 = tiffStart + read32(tiffStart + 4);
+    if (!inBounds(ifd0, 2)) return null;
+
+    const entries = read16(ifd0);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd0 + 2 + i * 12;
+      if (!inBounds(entry, 12)) return null;
+      if (read16(entry) === tag) return entry;
+    }
+    return null;
+  }
+
+  return { inBounds, read16, read32, write16, findIfd0Entry };
+}
+
+/**
+ * Locate the TIFF header of sharp's reported EXIF block inside the
+ * encoded image, or -1 when it cannot be found
+ */
+function locateTiff(buffer, exif) {
+  if (!exif || exif.length <= 8) return -1;
+
+  const tiff = exif.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER)
+    ? exif.subarray(EXIF_HEADER.length)
+    : exif;
+  // Locate the EXIF block inside the container by its leading bytes
+  return buffer.indexOf(tiff.subarray(0, Math.min(64, tiff.length)));
+}
+
+/**
+ * Empty the GPS IFD of a TIFF/EXIF block in place
+ * @returns {boolean} Whether any GPS data was removed
+ */
+function scrubExifGps(buffer, tiffStart) {
+  const tiff = createTiffAccessor(buffer, tiffStart);
+  const pointer = tiff.findIfd0Entry(GPS_IFD_POINTER_TAG);
+  if (pointer === null) return false;
+
+  const gpsIfd = tiffStart + tiff.read32(pointer + 8);
+  if (!tiff.inBounds(gpsIfd, 2)) return false;
+
+  const gpsEntries = tiff.read16(gpsIfd);
+  const entriesEnd = gpsIfd + 2 + gpsEntries * 12 + 4;
+  if (!tiff.inBounds(gpsIfd, entriesEnd - gpsIfd)) return false;
+
+  // Zero out-of-line values (rationals, strings) referenced by GPS entries
+  for (let i = 0; i < gpsEntries; i++) {
+    const entry = gpsIfd + 2 + i * 12;
+    const size =
+      (EXIF_TYPE_SIZES[tiff.read16(entry + 2)] || 0) * tiff.read32(entry + 4);
+    if (size > 4) {
+      const valueOffset = tiffStart + tiff.read32(entry + 8);
+      if (tiff.inBounds(valueOffset, size)) {
+        buffer.fill(0, valueOffset, valueOffset + size);
+      }
+    }
+  }
+
+  // Leave a valid, empty GPS IFD behind
+  buffer.fill(0, gpsIfd, entriesEnd);
+  return gpsEntries > 0;
+}
+
+/**
+ * Blank out GPS properties in an embedded XMP packet in place.
+ * Replacements keep the byte length, so container offsets stay valid.
+ */
+function scrubXmpGps(buffer) {
+  const text = buffer.toString("latin1");
+  const start = text.indexOf("<x:xmpmeta");
+  const end = text.indexOf("</x:xmpmeta>", start);
+  if (start === -1 || end === -1) return false;
+
+  const packet = text.slice(start, end);
+  const scrubbed = packet
+    .replace(/<exif:GPS(\w+)[^>]*>[\s\S]*?<\/exif:GPS\1>/g, (m) =>
+      " ".repeat(m.length),
+    )
+    .replace(/exif:GPS\w+="[^"]*"/g, (m) => " ".repeat(m.length));
+  if (scrubbed === packet) return false;
+
+  buffer.write(scrubbed, start, "latin1");
+  return true;
+}
+
+/**
+ * CRC-32 as used by PNG chunks
+ */
+let crcTable = null;
+function crc32(buffer, start, end) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Recompute the CRCs of PNG metadata chunks after in-place edits
+ */
+function fixPngChunkCrcs(buffer) {
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const dataEnd = offset + 8 + length;
+    if (dataEnd + 4 > buffer.length) break;
+
+    if (type === "eXIf" || type === "iTXt" || type === "tEXt") {
+      buffer.writeUInt32BE(crc32(buffer, offset + 4, dataEnd), dataEnd);
+    }
+    if (type === "IEND") break;
+    offset = dataEnd + 4;
+  }
+}
+
+/**
+ * Return a copy of an encoded image with GPS coordinates removed from its
+ * EXIF and XMP metadata. Everything else (copyright, IPTC, ICC) is untouched.
+ * @param {Buffer} input - Encoded image bytes
+ * @param {Buffer} [exif] - Raw EXIF block as reported by sharp's metadata()
+ * @returns {Buffer}
+ */
+function stripLocation(input, exif) {
+  const buffer = Buffer.from(input);
+  let changed = false;
+
+  const tiffStart = locateTiff(buffer, exif);
+  if (tiffStart !== -1) {
+    changed = scrubExifGps(buffer, tiffStart) || changed;
+  }
+
+  changed = scrubXmpGps(buffer) || changed;
+
+  if (changed && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    fixPngChunkCrcs(buffer);
+  }
+
+  return buffer;
+}
+
+/**
+ * Return a copy of an encoded image whose EXIF orientation tag reads 1
+ * (upright). Used when the pixels are re-oriented explicitly, so kept EXIF
+ * cannot make viewers rotate the output a second time.
+ * @param {Buffer} input - Encoded image bytes
+ * @param {Buffer} [exif] - Raw EXIF block as reported by sharp's metadata()
+ * @returns {Buffer}
+ */
+function resetOrientation(input, exif) {
+  const buffer = Buffer.from(input);
+  const tiffStart = locateTiff(buffer, exif);
+  if (tiffStart === -1) return buffer;
+
+  const tiff = createTiffAccessor(buffer, tiffStart);
+  const entry = tiff.findIfd0Entry(ORIENTATION_TAG);
+  if (entry === null) return buffer;
+
+  // Orientation is a single SHORT stored inline in the value field
+  tiff.write16(entry + 8, 1);
+
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    fixPngChunkCrcs(buffer);
+  }
+
+  return buffer;
+}
+
+// Dihedral transforms as 2x2 matrices on (x, y) screen coordinates
+const IDENTITY = [1, 0, 0, 1];
+const FLIP = [1, 0, 0, -1]; // Mirror vertically (up-down)
+const FLOP = [-1, 0, 0, 1]; // Mirror horizontally (left-right)
+const ROTATE_90 = [0, -1, 1, 0]; // Clockwise
+
+function multiply(a, b) {
+  return [
+    a[0] * b[0] + a[1] * b[2],
+    a[0] * b[1] + a[1] * b[3],
+    a[2] * b[0] + a[3] * b[2],
+    a[2] * b[1] + a[3] * b[3],
+  ];
+}
+
+function rotation(angle) {
+  let matrix = IDENTITY;
+  for (let i = 0; i < angle / 90; i++) matrix = multiply(ROTATE_90, matrix);
+  return matrix;
+}
+
+// Operations sharp applies for each EXIF orientation: rotate, then flip/flop
+const EXIF_ORIENTATIONS = {
+  1: { angle: 0, flip: false, flop: false },
+  2: { angle: 0, flip: false, flop: true },
+  3: { angle: 180, flip: false, flop: false },
+  4: { angle: 0, flip: true, flop: false },
+  5: { angle: 270, flip: true, flop: false },
+  6: { angle: 90, flip: false, flop: false },
+  7: { angle: 90, flip: true, flop: false },
+  8: { angle: 270, flip: false, flop: false },
+};
+
+/**
+ * Combine the EXIF orientation with a manual rotate/flip/flop into the
+ * explicit operations sharp should run (flip and flop, then rotate)
+ * @param {number} [orientation] - EXIF orientation (1-8)
+ * @param {Object} manual - { rotate: 0|90|180|270, flip, flop }
+ * @returns {Object} { angle, flip, flop }
+ */
+function resolveOrientation(orientation, manual) {
+  const auto = EXIF_ORIENTATIONS[orientation] || EXIF_ORIENTATIONS[1];
+  let autoMatrix = rotation(auto.angle);
+  if (auto.flip) autoMatrix = multiply(FLIP, autoMatrix);
+  if (auto.flop) autoMatrix = multiply(FLOP, autoMatrix);
+
+  // Manual operations run on the upright image: rotate, then flip/flop
+  let target = multiply(rotation(manual.rotate || 0), autoMatrix);
+  if (manual.flip) target = multiply(FLIP, target);
+  if (manual.flop) target = multiply(FLOP, target);
+
+  for (const angle of [0, 90, 180, 270]) {
+    for (const flip of [false, true]) {
+      for (const flop of [false, true]) {
+        let matrix = IDENTITY;
+        if (flip) matrix = multiply(FLIP, matrix);
+        if (flop) matrix = multiply(FLOP, matrix);
+        matrix = multiply(rotation(angle), matrix);
+        if (matrix.every((value, i) => value === target[i])) {
+          return { angle, flip, flop };
+        }
+      }
+    }
+  }
+
+  return { angle: 0, flip: false, flop: false };
+}
+
+module.exports = {
+  METADATA_POLICIES,
+  DEFAULT_METADATA_POLICY,
+  normalizeMetadataPolicy,
+  applyMetadataPolicy,
+  stripLocation,
+  resetOrientation,
+  resolveOrientation,
+};
@@ -0,0 +1,320 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms served at GET /api/metrics in the
+ * Prometheus text format (version 0.0.4)
+ *
+ * Counters and histograms count from process start and live in memory, so
+ * each process (or serverless instance) reports its own. Gauges are read
+ * when the metrics are scraped.
+ */
+
+const fileRegistry = require("./fileRegistry");
+const jobService = require("./jobService");
+
+const PREFIX = "compress_it_";
+
+// Seconds; compressions range from milliseconds (small PNGs) to a minute
+// (large AVIFs searching for a target size)
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// Upper bounds of the batch_size label groups; larger batches are "21+"
+const BATCH_SIZE_GROUPS = [1, 5, 10, 20];
+
+// Failure messages by type, checked in order; anything else is "processing"
+const FAILURE_TYPES = [
+  ["not_found", /not found/i],
+  ["too_large", /maximum is|exceeds .* limit/i],
+  ["unsupported_type", /not a supported image|was sent as|Invalid file type/i],
+  ["corrupt_image", /^Corrupt /],
+];
+
+const metrics = [];
+
+/**
+ * Escape a label value
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Format a label set as {a="1",b="2"}, or "" when there are none
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`,
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Format a sample value (Prometheus spells infinity +Inf)
+ */
+function formatValue(value) {
+  return value === Infinity ? "+Inf" : String(value);
+}
+
+/**
+ * Register a metric
+ * @param {string} type - "counter", "gauge" or "histogram"
+ * @param {Function} collect - async () => [{ suffix, labels, value }]
+ */
+function register(name, type, help, collect) {
+  metrics.push({ name, type, help, collect });
+}
+
+/**
+ * A counter with labels
+ * @returns {Object} { inc(labels, [value]) }
+ */
+function createCounter(name, help) {
+  const series = new Map();
+
+  register(PREFIX + name, "counter", help, () =>
+    [...series.values()].map(({ labels, value }) => ({ labels, value })),
+  );
+
+  return {
+    inc(labels = {}, value = 1) {
+      const key = formatLabels(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+  };
+}
+
+/**
+ * A gauge whose samples are read at scrape time
+ * @param {Function} read - async () => [{ labels, value }]
+ */
+function createGauge(name, help, read) {
+  register(PREFIX + name, "gauge", help, read);
+}
+
+/**
+ * A histogram with labels
+ * @param {number[]} buckets - Upper bounds, ascending
+ * @returns {Object} { observe(labels, value) }
+ */
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+  const bounds = [...buckets, Infinity];
+
+  register(PREFIX + name, "histogram", help, () =>
+    [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...bounds.map((bound, index) => ({
+        suffix: "_bucket",
+        labels: { ...labels, le: formatValue(bound) },
+        value: counts[index],
+      })),
+      { suffix: "_sum", labels, value: sum },
+      { suffix: "_count", labels, value: count },
+    ]),
+  );
+
+  return {
+    observe(labels, value) {
+      const key = formatLabels(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      // Bucket counts are cumulative
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+  };
+}
+
+const uploads = createCounter(
+  "uploads_total",
+  "Images accepted, by source (upload, url, direct or watermark)",
+);
+const receivedBytes = createCounter(
+  "received_bytes_total",
+  "Bytes of accepted images, by source",
+);
+const compressions = createCounter(
+  "compressions_total",
+  "Successful compressions, by input and output format",
+);
+const cacheHits = createCounter(
+  "cache_hits_total",
+  "Compressions answered from the result cache",
+);
+const inputBytes = createCounter(
+  "compression_input_bytes_total",
+  "Original bytes of successfully compressed images",
+);
+const outputBytes = createCounter(
+  "compression_output_bytes_total",
+  "Compressed bytes produced, by output format",
+);
+const failures = createCounter(
+  "failures_total",
+  "Files that failed to upload, download or compress, by error type",
+);
+const rejectedRequests = createCounter(
+  "rejected_requests_total",
+  "Requests rejected with a 400",
+);
+// Counters without labels report 0 until the first event
+for (const counter of [cacheHits, inputBytes, rejectedRequests]) {
+  counter.inc({}, 0);
+}
+
+const duration = createHistogram(
+  "compression_duration_seconds",
+  "Time to compress one file (cache hits excluded), by input format, " +
+    "output format and batch size",
+  DURATION_BUCKETS,
+);
+
+createGauge(
+  "stored_files",
+  "Files currently kept in storage, by area",
+  async () =>
+    Promise.all(
+      ["uploads", "compressed"].map(async (area) => ({
+        labels: { area },
+        value: await fileRegistry.countFiles(area),
+      })),
+    ),
+);
+
+createGauge("jobs_in_flight", "Jobs queued or running", async () => [
+  { labels: {}, value: jobService.countActiveJobs() },
+]);
+
+register("process_start_time_seconds", "gauge", "Process start time", () => [
+  {
+    labels: {},
+    value: Math.round(Date.now() / 1000 - process.uptime()),
+  },
+]);
+
+register(
+  "process_resident_memory_bytes",
+  "gauge",
+  "Resident memory of the process",
+  () => [{ labels: {}, value: process.memoryUsage().rss }],
+);
+
+/**
+ * The batch_size label of a batch: "1", "2-5", "6-10", "11-20" or "21+"
+ */
+function getBatchSizeGroup(size) {
+  let lower = 1;
+  for (const upper of BATCH_SIZE_GROUPS) {
+    if (size <= upper)
+      return lower === upper ? `${upper}` : `${lower}-${upper}`;
+    lower = upper + 1;
+  }
+  return `${lower}+`;
+}
+
+/**
+ * Type of a failure, from its error message
+ * @param {string} fallback - Type of messages no pattern matches
+ */
+function classifyFailure(message, fallback = "processing") {
+  const match = FAILURE_TYPES.find(([, pattern]) => pattern.test(message));
+  return match ? match[0] : fallback;
+}
+
+/**
+ * Count an accepted image
+ * @param {string} source - "upload", "url", "direct" or "watermark"
+ */
+function recordUpload(source, bytes) {
+  uploads.inc({ source });
+  receivedBytes.inc({ source }, bytes);
+}
+
+/**
+ * Count a failed file
+ * @param {string} type - From classifyFailure
+ */
+function recordFailure(type) {
+  failures.inc({ type });
+}
+
+/**
+ * Count a request rejected with a 400
+ */
+function recordRejectedRequest() {
+  rejectedRequests.inc();
+}
+
+/**
+ * Count a compression result and, unless it came from the cache, time it
+ * @param {Object} result - From compressImage or createResponsiveSet
+ * @param {Object} info - { inputFormat, batchSize, seconds }
+ */
+function recordCompression(result, { inputFormat, batchSize, seconds }) {
+  if (!result.success) {
+    recordFailure(classifyFailure(result.error));
+    return;
+  }
+
+  const outputFormat = result.responsive ? "responsive" : result.outputFormat;
+  compressions.inc({
+    input_format: inputFormat,
+    output_format: outputFormat,
+  });
+  inputBytes.inc({}, result.originalSize);
+  outputBytes.inc(
+    { output_format: outputFormat },
+    result.responsive ? result.totalVariantSize : result.compressedSize,
+  );
+
+  if (result.cached) {
+    cacheHits.inc();
+    return;
+  }
+  duration.observe(
+    {
+      input_format: inputFormat,
+      output_format: outputFormat,
+      batch_size: getBatchSizeGroup(batchSize),
+    },
+    seconds,
+  );
+}
+
+/**
+ * Every metric in the Prometheus text format
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+  const lines = [];
+
+  for (const { name, type, help, collect } of metrics) {
+    const samples = await collect();
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const { suffix = "", labels, value } of samples) {
+      lines.push(
+        `${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`,
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  classifyFailure,
+  recordUpload,
+  recordFailure,
+  recordRejectedRequest,
+  recordCompression,
+  renderMetrics,
+};
@@ -0,0 +1,183 @@
+/**
+ * OpenAPI Document
+ * Builds the OpenAPI 3.0 description of the API served at
+ * /api/openapi.json from the route declarations in server/schemas, so the
+ * document always matches what the routes accept
+ */
+
+const { version } = require("../../package.json");
+const { routes, components } = require("../schemas");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Sent by every route when API keys are configured
+const authResponses = {
+  401: { $ref: "#/components/responses/Unauthorized" },
+  429: { $ref: "#/components/responses/TooManyRequests" },
+};
+
+let document = null;
+
+/**
+ * Resolve a schema that may be a (nullable) reference
+ */
+function resolve(schema) {
+  if (schema.anyOf?.length === 1) return resolve(schema.anyOf[0]);
+  if (schema.$ref) {
+    return components[schema.$ref.replace("#/components/schemas/", "")];
+  }
+  return schema;
+}
+
+/**
+ * Path and query parameters of a route
+ */
+function getParameters(route) {
+  const parameters = [];
+
+  for (const [location, schema] of [
+    ["path", route.params],
+    ["query", route.query],
+  ]) {
+    if (!schema) continue;
+
+    for (const [name, property] of Object.entries(schema.properties)) {
+      const parameter = {
+        name,
+        in: location,
+        required: location === "path" || (schema.required || []).includes(name),
+        schema: property,
+      };
+      if (property.description) parameter.description = property.description;
+
+      // Nested settings use crop[mode]=cover syntax
+      if (resolve(property).type === "object") {
+        parameter.style = "deepObject";
+        parameter.explode = true;
+      }
+      parameters.push(parameter);
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * Responses of a route, with JSON schemas wrapped in content
+ */
+function getResponses(route) {
+  const responses = {};
+
+  for (const [status, response] of Object.entries(route.responses)) {
+    const { schema, ...rest } = response;
+    responses[status] = schema
+      ? {
+          ...rest,
+          content: { "application/json": { schema }, ...rest.content },
+        }
+      : rest;
+  }
+
+  if (route.params || route.query || route.body || route.requestContent) {
+    responses[400] = { $ref: "#/components/responses/BadRequest" };
+  }
+  return { ...responses, ...authResponses };
+}
+
+/**
+ * OpenAPI operation of a route
+ */
+function getOperation(route) {
+  const operation = {
+    operationId: route.operationId,
+    tags: route.tags,
+    summary: route.summary,
+  };
+  if (route.description) operation.description = route.description;
+
+  const parameters = getParameters(route);
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: route.body } },
+    };
+  } else if (route.requestContent) {
+    operation.requestBody = { required: true, content: route.requestContent };
+  }
+
+  operation.responses = getResponses(route);
+  return operation;
+}
+
+/**
+ * Build the document (once)
+ */
+function getOpenApiDocument() {
+  if (document) return document;
+
+  const paths = {};
+  for (const route of routes) {
+    // Express "/jobs/:id" is OpenAPI "/jobs/{id}"
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[path] = { ...paths[path], [route.method]: getOperation(route) };
+  }
+
+  document = {
+    openapi: "3.0.3",
+    info: {
+      title: "Compress-It API",
+      version,
+      description:
+        "Image compression API. Uploaded and compressed files belong to the " +
+        "session that uploaded them: send the X-Session-Token header " +
+        "returned by the first upload (or keep the session cookie). When " +
+        "API keys are configured, send one as X-API-Key or as a bearer token.",
+    },
+    servers: [{ url: "/api" }],
+    security: [
+      {},
+      { ApiKey: [] },
+      { BearerAuth: [] },
+      { SessionToken: [] },
+      { ApiKey: [], SessionToken: [] },
+      { BearerAuth: [], SessionToken: [] },
+    ],
+    paths,
+    components: {
+      schemas: components,
+      responses: {
+        BadRequest: {
+          description: "Invalid request, listing each invalid field",
+          content: {
+            "application/json": { schema: ref("ValidationError") },
+          },
+        },
+        Unauthorized: {
+          description: "API key missing or unknown (when API keys are on)",
+          content: { "application/json": { schema: ref("Error") } },
+        },
+        TooManyRequests: {
+          description: "Over the API key's limits; see Retry-After",
+          headers: { "Retry-After": { schema: { type: "integer" } } },
+          content: { "application/json": { schema: ref("Error") } },
+        },
+      },
+      securitySchemes: {
+        ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        BearerAuth: { type: "http", scheme: "bearer" },
+        SessionToken: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Session-Token",
+        },
+      },
+    },
+  };
+  return document;
+}
+
+module.exports = {
+  getOpenApiDocument,
+};
@@ -0,0 +1,289 @@
+/**
+ * Compression Presets
+ * Named bundles of compression settings ("blog-hero", "product-thumb", ...)
+ *
+ * Presets saved through the API belong to whoever saved them: the API key
+ * the request was made with, or else its session. Each client sees its own
+ * presets plus the shared ones - presets in the presets file
+ * (config.presetsFile - data/presets.json by default), which are added by
+ * hand (e.g. a team's house rules) and can't be changed through the API. A
+ * client's own preset hides a shared one of that name.
+ *
+ * Shared presets are read once from the file:
+ * { "presets": [{ "name": "blog-hero", "description": "...",
+ *                 "settings": { "quality": 75, "outputFormat": "webp" } }] }
+ *
+ * Saved presets live in the storage backend, in the "presets" area, one
+ * object per owner, so every instance sharing the storage sees them:
+ *   "<hash of owner>.json"
+ *   { "owner": "key:team-a",
+ *     "presets": [{ "name": "...", "description": "...", "settings": {...},
+ *                   "createdAt": "...", "updatedAt": "..." }] }
+ * Each owner can save up to config.maxPresets. A session's presets are
+ * recorded in the file registry and expire SESSION_MAX_AGE after the
+ * session last listed or changed them, like the session cookie; an API
+ * key's presets are kept until deleted. Names and settings are checked by
+ * the routes, against server/schemas/presets.js.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const config = require("../config");
+const storage = require("./storage");
+const fileRegistry = require("./fileRegistry");
+
+const PRESETS_AREA = "presets";
+
+// Registry upload id a session's presets are recorded under
+const REGISTRY_ID = "presets";
+
+// Shared presets by name, once loaded
+let sharedPresets = null;
+
+// Changes to an owner's presets are written one at a time, in order
+const writeQueues = new Map();
+
+/**
+ * Public view of a preset: whether it is shared, not who owns it
+ */
+function serializePreset({ owner, ...preset }, shared) {
+  return { ...preset, shared };
+}
+
+/**
+ * Owner of the presets a request saves: its API key if it was made with
+ * one, else its session (null without a session)
+ * @param {Object|null} apiClient - req.apiClient
+ * @param {Object|null} session - req.session
+ */
+function getPresetOwner(apiClient, session) {
+  if (apiClient && apiClient.id.startsWith("key:")) return apiClient.id;
+  return session ? session.owner : null;
+}
+
+/**
+ * Whether an owner is a session, whose presets expire
+ */
+function isSessionOwner(owner) {
+  return !owner.startsWith("key:");
+}
+
+/**
+ * Storage key of an owner's presets
+ */
+function getStorageKey(owner) {
+  const hash = crypto.createHash("sha256").update(owner).digest("hex");
+  return `${hash.slice(0, 32)}.json`;
+}
+
+/**
+ * Load the shared presets (once)
+ * @returns {Map} Shared presets by name
+ */
+async function loadSharedPresets() {
+  if (sharedPresets) return sharedPresets;
+
+  let data = { presets: [] };
+  try {
+    data = JSON.parse(await fs.readFile(config.presetsFile, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  // Presets with an owner were saved by an older version: never share them
+  sharedPresets = new Map(
+    (data.presets || []).filter((p) => !p.owner).map((p) => [p.name, p]),
+  );
+  return sharedPresets;
+}
+
+/**
+ * Read an owner's saved presets
+ * @returns {Array} Presets, in the order they were saved
+ */
+async function readOwnPresets(owner) {
+  if (!owner) return [];
+  try {
+    const data = await storage.read(PRESETS_AREA, getStorageKey(owner));
+    return JSON.parse(data).presets;
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+/**
+ * Keep a session's presets for another SESSION_MAX_AGE
+ */
+async function registerPresets(owner) {
+  if (!isSessionOwner(owner)) return;
+  await fileRegistry.registerFile({
+    area: PRESETS_AREA,
+    key: getStorageKey(owner),
+    kind: "preset",
+    owner,
+    uploadId: REGISTRY_ID,
+  });
+}
+
+/**
+ * Change an owner's saved presets: change(presets) returns the new list
+ * and a result, or null to leave them as they are
+ * @returns {*} The result of change, or null
+ */
+function changeOwnPresets(owner, change) {
+  const previous = writeQueues.get(owner) || Promise.resolve();
+
+  // A failed change must not block the ones after it
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const changed = change(await readOwnPresets(owner));
+      if (!changed) return null;
+
+      const key = getStorageKey(owner);
+      if (changed.presets.length === 0) {
+        if (isSessionOwner(owner)) {
+          await fileRegistry.releaseUpload(owner, REGISTRY_ID);
+        } else {
+          await storage.remove(PRESETS_AREA, key);
+        }
+        return changed.result;
+      }
+
+      const data = JSON.stringify({ owner, presets: changed.presets });
+      await storage.write(PRESETS_AREA, key, Buffer.from(data), {
+        contentType: "application/json",
+      });
+      await registerPresets(owner);
+      return changed.result;
+    });
+
+  writeQueues.set(owner, next);
+  next
+    .finally(() => {
+      if (writeQueues.get(owner) === next) writeQueues.delete(owner);
+    })
+    .catch(() => {});
+  return next;
+}
+
+/**
+ * The presets an owner can use - its own and the shared ones - sorted by
+ * name
+ */
+async function listPresets(owner) {
+  const visible = new Map();
+  for (const preset of (await loadSharedPresets()).values()) {
+    visible.set(preset.name, serializePreset(preset, true));
+  }
+  for (const preset of await readOwnPresets(owner)) {
+    visible.set(preset.name, serializePreset(preset, false));
+  }
+  return [...visible.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Keep a session's saved presets for another SESSION_MAX_AGE, if it has
+ * any
+ */
+async function keepPresets(owner) {
+  if (!owner || !isSessionOwner(owner)) return;
+  if (await storage.exists(PRESETS_AREA, getStorageKey(owner))) {
+    await registerPresets(owner);
+  }
+}
+
+/**
+ * Get a preset by name - the owner's own, else a shared one - or null
+ */
+async function getPreset(name, owner) {
+  const own = (await readOwnPresets(owner)).find((p) => p.name === name);
+  if (own) return serializePreset(own, false);
+
+  const shared = (await loadSharedPresets()).get(name);
+  return shared ? serializePreset(shared, true) : null;
+}
+
+/**
+ * Create one of an owner's presets
+ * @returns {Object|null} The preset, or null if the owner has one of that
+ *   name
+ * @throws {Error} With code "PRESET_LIMIT" if the owner has
+ *   config.maxPresets already
+ */
+async function createPreset(owner, { name, description, settings }) {
+  return changeOwnPresets(owner, (presets) => {
+    if (presets.some((p) => p.name === name)) return null;
+    if (presets.length >= config.maxPresets) {
+      const error = new Error(
+        `No more than ${config.maxPresets} presets can be saved`,
+      );
+      error.code = "PRESET_LIMIT";
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const preset = {
+      name,
+      description: description || "",
+      settings,
+      createdAt: now,
+      updatedAt: now,
+    };
+    return {
+      presets: [...presets, preset],
+      result: serializePreset(preset, false),
+    };
+  });
+}
+
+/**
+ * Replace the description and settings of one of an owner's presets
+ * @returns {Object|null} The preset, or null if the owner has none of that
+ *   name
+ */
+async function updatePreset(owner, name, { description, settings }) {
+  if (!owner) return null;
+  return changeOwnPresets(owner, (presets) => {
+    const existing = presets.find((p) => p.name === name);
+    if (!existing) return null;
+
+    const preset = {
+      ...existing,
+      description: description ?? existing.description,
+      settings,
+      updatedAt: new Date().toISOString(),
+    };
+    return {
+      presets: presets.map((p) => (p === existing ? preset : p)),
+      result: serializePreset(preset, false),
+    };
+  });
+}
+
+/**
+ * Delete one of an owner's presets
+ * @returns {boolean} Whether it existed
+ */
+async function deletePreset(owner, name) {
+  if (!owner) return false;
+  const deleted = await changeOwnPresets(owner, (presets) => {
+    if (!presets.some((p) => p.name === name)) return null;
+    return {
+      presets: presets.filter((p) => p.name !== name),
+      result: true,
+    };
+  });
+  return deleted === true;
+}
+
+module.exports = {
+  getPresetOwner,
+  listPresets,
+  keepPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset,
+};
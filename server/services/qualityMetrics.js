@@ -0,0 +1,179 @@
+/**
+ * Perceptual Quality Metrics
+ * Computes SSIM and PSNR between an original and a compressed image
+ *
+ * Both images are decoded to greyscale (luma) and resampled onto the same
+ * pixel grid, so scores stay comparable across formats and resizes.
+ * Animated images are compared frame by frame, as one tall strip of frames.
+ */
+
+const sharp = require("sharp");
+const { MAX_INPUT_PIXELS } = require("./imageValidation");
+
+// Largest side of a frame on the comparison grid, and the most pixels of
+// the whole grid - keeps scoring fast on huge or long animated images
+const MAX_GRID_DIMENSION = 1024;
+const MAX_GRID_PIXELS = 4 * 1024 * 1024;
+
+// SSIM window size and stride (in pixels)
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+
+// SSIM stabilisation constants for 8-bit data
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// PSNR reported for identical images instead of Infinity
+const MAX_PSNR = 100;
+
+// Transparent pixels are scored as if shown on this background. Encoders
+// without alpha must flatten onto the same colour, or the scores drop.
+const FLATTEN_BACKGROUND = "#ffffff";
+
+/**
+ * Open an image given as a path, an encoded buffer or raw pixels
+ * ({ data, info } as returned by sharp's toBuffer({ resolveWithObject })),
+ * with all of its frames
+ */
+function openImage(input) {
+  if (input && input.data && input.info) {
+    const { width, height, channels } = input.info;
+    return sharp(input.data, { raw: { width, height, channels } });
+  }
+  return sharp(input, { animated: true, limitInputPixels: MAX_INPUT_PIXELS });
+}
+
+/**
+ * Decode an image into a greyscale pixel grid. Animated images are first
+ * decoded to a single strip: resizing them directly would scale every frame,
+ * rather than the whole strip, to the grid height.
+ */
+async function toLumaGrid(input, width, height) {
+  let image = openImage(input);
+  const { pages } = await image.metadata();
+
+  if (pages > 1) {
+    image = openImage(await image.raw().toBuffer({ resolveWithObject: true }));
+  } else {
+    image = image.rotate();
+  }
+
+  return image
+    .flatten({ background: FLATTEN_BACKGROUND })
+    .resize(width, height, { fit: "fill" })
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Mean SSIM over sliding windows of two equally sized luma grids
+ */
+function computeSSIM(a, b, width, height) {
+  const windowSize = Math.min(SSIM_WINDOW, width, height);
+  const count = windowSize * windowSize;
+  let total = 0;
+  let windows = 0;
+
+  for (let y = 0; y + windowSize <= height; y += SSIM_STRIDE) {
+    for (let x = 0; x + windowSize <= width; x += SSIM_STRIDE) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+
+      for (let wy = 0; wy < windowSize; wy++) {
+        let i = (y + wy) * width + x;
+        for (let wx = 0; wx < windowSize; wx++, i++) {
+          const pa = a[i];
+          const pb = b[i];
+          sumA += pa;
+          sumB += pb;
+          sumAA += pa * pa;
+          sumBB += pb * pb;
+          sumAB += pa * pb;
+        }
+      }
+
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varA = sumAA / count - meanA * meanA;
+      const varB = sumBB / count - meanB * meanB;
+      const covAB = sumAB / count - meanA * meanB;
+
+      total +=
+        ((2 * meanA * meanB + C1) * (2 * covAB + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+
+  return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * Peak signal-to-noise ratio (dB) of two equally sized luma grids
+ */
+function computePSNR(a, b) {
+  let squaredError = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    squaredError += diff * diff;
+  }
+
+  const mse = squaredError / a.length;
+  if (mse === 0) return MAX_PSNR;
+
+  return Math.min(MAX_PSNR, 10 * Math.log10((255 * 255) / mse));
+}
+
+/**
+ * Get the comparison grid size for an image of the given frame dimensions
+ */
+function getGridSize(width, height, pages = 1) {
+  const scale = Math.min(
+    1,
+    MAX_GRID_DIMENSION / Math.max(width, height),
+    Math.sqrt(MAX_GRID_PIXELS / (width * height * pages)),
+  );
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)) * pages,
+  };
+}
+
+/**
+ * Measure how closely a compressed image matches its original
+ * @param {string|Buffer|Object} original - Original image path, buffer or
+ *   raw pixels ({ data, info })
+ * @param {string|Buffer} compressed - Compressed image path or buffer
+ * @returns {Object} { ssim, psnr }
+ */
+async function measureQuality(original, compressed) {
+  const metadata = await sharp(compressed).metadata();
+  // EXIF orientations 5-8 swap width and height once rotated
+  const swapped = metadata.orientation >= 5;
+  const grid = getGridSize(
+    swapped ? metadata.height : metadata.width,
+    swapped ? metadata.width : metadata.height,
+    metadata.pages || 1,
+  );
+
+  const [a, b] = await Promise.all([
+    toLumaGrid(original, grid.width, grid.height),
+    toLumaGrid(compressed, grid.width, grid.height),
+  ]);
+
+  return {
+    ssim: parseFloat(computeSSIM(a, b, grid.width, grid.height).toFixed(4)),
+    psnr: parseFloat(computePSNR(a, b).toFixed(2)),
+  };
+}
+
+module.exports = {
+  measureQuality,
+  computeSSIM,
+  computePSNR,
+  FLATTEN_BACKGROUND,
+};
@@ -0,0 +1,181 @@
+/**
+ * Result Cache
+ * Remembers compressed outputs by a hash of the input bytes and the
+ * settings that shape the output, so compressing the same image the same
+ * way again skips sharp entirely
+ *
+ * Entries live in the "cache" storage area as two objects: the output bytes
+ * ("<hash>.bin") and the result describing them ("<hash>.json", written
+ * last, so a readable entry is always complete). They expire CACHE_MAX_AGE
+ * after they were written (see fileRegistry).
+ *
+ * Identical work that is already running (e.g. duplicate files in one
+ * batch) is shared rather than started twice.
+ */
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const storage = require("./storage");
+const fileRegistry = require("./fileRegistry");
+const logger = require("./logger");
+
+// Bump when a change to the encoders makes earlier outputs stale
+const CACHE_VERSION = 1;
+
+// Settings that affect the output image
+const CACHED_SETTINGS = [
+  "quality",
+  "ssimThreshold",
+  "resizeWidth",
+  "resizeHeight",
+  "maintainAspectRatio",
+  "rotate",
+  "flip",
+  "flop",
+  "metadata",
+  "convertToSrgb",
+  "targetSizeKB",
+  "crop",
+  "watermark",
+];
+
+// Result fields that describe the input, not the output
+const PER_FILE_FIELDS = ["id", "originalName", "compressedFilename", "buffer"];
+
+// Renders in progress, by cache key
+const pending = new Map();
+
+/**
+ * JSON with object keys in a fixed order, so equal settings hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cache key of an input image compressed to a format with some settings
+ * @param {Buffer} input - Image bytes
+ * @param {string} format - Resolved output format
+ * @param {Object} settings - Compression settings
+ */
+async function getCacheKey(input, format, settings) {
+  const normalized = { format };
+  for (const name of CACHED_SETTINGS) {
+    normalized[name] = settings[name] ?? null;
+  }
+
+  // Logos are stored per session: key the cache on their content instead
+  if (settings.watermark?.type === "image") {
+    const { key, ...watermark } = settings.watermark;
+    const logo = await storage.read("uploads", key);
+    watermark.logo = crypto.createHash("sha256").update(logo).digest("hex");
+    normalized.watermark = watermark;
+  }
+
+  return crypto
+    .createHash("sha256")
+    .update(`${CACHE_VERSION}\n${sharp.versions.vips}\n`)
+    .update(stableStringify(normalized))
+    .update("\n")
+    .update(input)
+    .digest("hex");
+}
+
+/**
+ * Read a cache entry, or null on a miss
+ * @returns {Object|null} Result with the output as result.buffer
+ */
+async function readEntry(key) {
+  try {
+    const result = JSON.parse(await storage.read("cache", `${key}.json`));
+    return { ...result, buffer: await storage.read("cache", `${key}.bin`) };
+  } catch (error) {
+    // Missing, expired half-way or unreadable: render again
+    return null;
+  }
+}
+
+/**
+ * Save a successful result and its output bytes
+ */
+async function writeEntry(key, result) {
+  const entry = { ...result };
+  for (const field of PER_FILE_FIELDS) {
+    delete entry[field];
+  }
+
+  await storage.write("cache", `${key}.bin`, result.buffer);
+  await storage.write(
+    "cache",
+    `${key}.json`,
+    Buffer.from(JSON.stringify(entry)),
+    {
+      contentType: "application/json",
+    },
+  );
+
+  for (const suffix of [".bin", ".json"]) {
+    await fileRegistry.registerFile({
+      area: "cache",
+      key: key + suffix,
+      kind: "cache",
+    });
+  }
+}
+
+/**
+ * Read a result from the cache, or render and cache it
+ * @returns {Object} { result, rendered }
+ */
+async function loadOrRender(key, render) {
+  const cachedResult = await readEntry(key);
+  if (cachedResult) return { result: cachedResult, rendered: false };
+
+  const result = await render();
+  if (result.success) {
+    try {
+      await writeEntry(key, result);
+    } catch (error) {
+      logger.error("Result cache write failed", { key, error });
+    }
+  }
+  return { result, rendered: true };
+}
+
+/**
+ * Get the result for a cache key, rendering it only if it is neither cached
+ * nor already being rendered
+ * @param {string} key - Key from getCacheKey()
+ * @param {Function} render - async () => result with the output as
+ *   result.buffer
+ * @returns {Object} { result, cached } - cached is false only for the call
+ *   that rendered it
+ */
+async function getOrRender(key, render) {
+  const shared = pending.get(key);
+  if (shared) {
+    const { result } = await shared;
+    return { result, cached: result.success };
+  }
+
+  const work = loadOrRender(key, render).finally(() => pending.delete(key));
+  pending.set(key, work);
+
+  const { result, rendered } = await work;
+  return { result, cached: !rendered };
+}
+
+module.exports = {
+  getCacheKey,
+  getOrRender,
+};
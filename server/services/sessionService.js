@@ -0,0 +1,78 @@
+/**
+ * Sessions
+ * Binds uploaded and compressed files to the session that created them, so
+ * only that session can compress, preview, download or clean them up
+ *
+ * Each session is identified by a random token. Its files are stored under
+ * an owner id derived from the token ("<owner>/<filename>" in both storage
+ * areas), so ownership is checked against storage itself and nothing is
+ * kept in memory - any server instance sharing the storage can serve the
+ * session. The owner id is a hash, so storage keys never reveal the token.
+ */
+
+const crypto = require("crypto");
+const storage = require("./storage");
+const fileRegistry = require("./fileRegistry");
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Session for a token
+ */
+function toSession(token) {
+  return {
+    token,
+    owner: crypto.createHash("sha256").update(token).digest("hex").slice(0, 32),
+  };
+}
+
+/**
+ * Start a new session
+ * @returns {Object} Session: { token, owner }
+ */
+function createSession() {
+  return toSession(crypto.randomBytes(32).toString("hex"));
+}
+
+/**
+ * Get the session for a token, or null if the token is malformed
+ */
+function getSession(token) {
+  if (typeof token !== "string" || !TOKEN_PATTERN.test(token)) return null;
+  return toSession(token);
+}
+
+/**
+ * Storage key of one of a session's files
+ */
+function getFileKey(session, filename) {
+  return `${session.owner}/${filename}`;
+}
+
+/**
+ * Check whether a session has a file in a storage area
+ * @param {Object|null} session - Session of the request
+ * @param {string} area - "uploads" or "compressed"
+ * @param {string} filename - Already validated filename
+ */
+async function ownsFile(session, area, filename) {
+  if (!session) return false;
+  return storage.exists(area, getFileKey(session, filename));
+}
+
+/**
+ * Delete one of a session's uploads and everything compressed from it
+ * @returns {number} Number of files deleted
+ */
+async function releaseFiles(session, id) {
+  if (!session) return 0;
+  return fileRegistry.releaseUpload(session.owner, id);
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  getFileKey,
+  ownsFile,
+  releaseFiles,
+};
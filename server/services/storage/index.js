@@ -0,0 +1,49 @@
+/**
+ * File Storage
+ * Uploaded and compressed files live in two areas, "uploads" and
+ * "compressed" (plus "cache" for the result cache, "registry" for the file
+ * registry and "presets" for saved presets), kept by the driver chosen with
+ * STORAGE_DRIVER:
+ * - local: directories on this server's disk (UPLOADS_DIR, COMPRESSED_DIR,
+ *   CACHE_DIR, REGISTRY_DIR, PRESETS_DIR)
+ * - s3: an S3-compatible bucket (AWS S3, MinIO, ...), shared by every
+ *   server instance - needed when requests can land on different instances,
+ *   as on Vercel
+ *
+ * Every driver provides, with keys such as "<owner>/<filename>":
+ * - write(area, key, buffer, { contentType })
+ * - writeFile(area, key, sourcePath, { contentType }) - moves a local file in
+ * - read(area, key) - Buffer
+ * - exists(area, key)
+ * - remove(area, key)
+ * - list(area, prefix) - [{ key, size, lastModified }]
+ * - createReadStream(area, key) - resolves once the file is readable
+ * - getDownloadUrl(area, key, { downloadName }) - a URL clients can fetch
+ *   the file from directly, or null if the server has to send it itself
+ */
+
+const config = require("../../config");
+const { createLocalStorage } = require("./localStorage");
+const { createS3Storage } = require("./s3Storage");
+
+const storage =
+  config.storageDriver === "s3"
+    ? createS3Storage({
+        endpoint: config.s3Endpoint,
+        region: config.s3Region,
+        bucket: config.s3Bucket,
+        accessKeyId: config.s3AccessKeyId,
+        secretAccessKey: config.s3SecretAccessKey,
+        prefix: config.s3Prefix,
+        forcePathStyle: config.s3ForcePathStyle,
+        urlExpiry: config.downloadUrlExpiry,
+      })
+    : createLocalStorage({
+        uploads: config.uploadsDir,
+        compressed: config.compressedDir,
+        cache: config.cacheDir,
+        registry: config.registryDir,
+        presets: config.presetsDir,
+      });
+
+module.exports = storage;
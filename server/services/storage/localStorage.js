@@ -0,0 +1,133 @@
+/**
+ * Local Disk Storage
+ * Keeps each storage area in a directory on this server's disk
+ */
+
+const path = require("path");
+const fs = require("fs").promises;
+const { createReadStream } = require("fs");
+const { once } = require("events");
+
+/**
+ * Create a storage driver for the given area directories
+ * @param {Object} directories - Directory per area: { uploads, compressed,
+ *   cache, registry, presets }
+ */
+function createLocalStorage(directories) {
+  /**
+   * Path of a key, refusing keys that would escape the area's directory
+   */
+  function resolve(area, key) {
+    const dir = directories[area];
+    if (!dir) throw new Error(`Unknown storage area: ${area}`);
+
+    const filePath = path.resolve(dir, key);
+    if (!filePath.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Every file below a directory, as keys relative to the area's directory
+   */
+  async function walk(dir, root) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await walk(entryPath, root)));
+      } else if (entry.isFile()) {
+        const stats = await fs.stat(entryPath);
+        files.push({
+          key: path.relative(root, entryPath).split(path.sep).join("/"),
+          size: stats.size,
+          lastModified: stats.mtimeMs,
+        });
+      }
+    }
+    return files;
+  }
+
+  return {
+    async write(area, key, buffer) {
+      const filePath = resolve(area, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async writeFile(area, key, sourcePath) {
+      const filePath = resolve(area, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await fs.rename(sourcePath, filePath);
+      } catch (error) {
+        // The temp directory may be on another filesystem
+        if (error.code !== "EXDEV") throw error;
+        await fs.copyFile(sourcePath, filePath);
+        await fs.unlink(sourcePath);
+      }
+    },
+
+    read(area, key) {
+      return fs.readFile(resolve(area, key));
+    },
+
+    async exists(area, key) {
+      try {
+        return (await fs.stat(resolve(area, key))).isFile();
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async remove(area, key) {
+      const filePath = resolve(area, key);
+      try {
+        await fs.unlink(filePath);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+
+      // Drop the owner's directory once it is empty
+      const dir = path.dirname(filePath);
+      if (dir !== path.resolve(directories[area])) {
+        await fs.rmdir(dir).catch(() => {});
+      }
+    },
+
+    async list(area, prefix = "") {
+      const root = path.resolve(directories[area]);
+
+      // Only walk the directory the prefix points into
+      const slash = prefix.lastIndexOf("/");
+      const dir = slash === -1 ? root : resolve(area, prefix.slice(0, slash));
+
+      const files = await walk(dir, root);
+      return files.filter((file) => file.key.startsWith(prefix));
+    },
+
+    async createReadStream(area, key) {
+      const stream = createReadStream(resolve(area, key));
+      await once(stream, "open");
+      return stream;
+    },
+
+    // Local files are always sent by the server itself
+    async getDownloadUrl() {
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  createLocalStorage,
+};
@@ -0,0 +1,336 @@
+/**
+ * S3-Compatible Storage
+ * Keeps each storage area under a key prefix in an S3 bucket. Works with
+ * AWS S3 and S3-compatible servers such as MinIO (S3_ENDPOINT, usually
+ * with S3_FORCE_PATH_STYLE=true).
+ *
+ * Requests are signed with AWS Signature Version 4. Downloads are served
+ * as presigned URLs, so file contents don't pass through this server.
+ */
+
+const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const fs = require("fs").promises;
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+/**
+ * SHA-256 hex digest
+ */
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * HMAC-SHA256 digest
+ */
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * URI-encode per RFC 3986, as Signature Version 4 requires
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+}
+
+/**
+ * Timestamp in the ISO 8601 basic format S3 expects: 20130524T000000Z
+ */
+function getAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+/**
+ * Decode the entities S3 uses in XML text
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Text of the first <tag> element in an XML string
+ */
+function getXmlTag(xml, tag) {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Content-Disposition header for a download, safe for any filename
+ */
+function getAttachmentHeader(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeRfc3986(
+    filename,
+  )}`;
+}
+
+/**
+ * Create a storage driver for an S3 bucket
+ * @param {Object} options - { endpoint, region, bucket, accessKeyId,
+ *   secretAccessKey, prefix, forcePathStyle, urlExpiry }
+ */
+function createS3Storage(options) {
+  const { region, bucket, accessKeyId, secretAccessKey, urlExpiry } = options;
+  const endpoint = new URL(
+    options.endpoint || `https://s3.${region}.amazonaws.com`,
+  );
+  const basePath = endpoint.pathname.replace(/\/$/, "");
+  const prefix = options.prefix ? `${options.prefix.replace(/\/$/, "")}/` : "";
+
+  // Path-style: endpoint/bucket/key; virtual-hosted: bucket.endpoint/key
+  const host = options.forcePathStyle
+    ? endpoint.host
+    : `${bucket}.${endpoint.host}`;
+  const bucketPath = options.forcePathStyle ? `${basePath}/${bucket}` : "";
+
+  /**
+   * Object key of a storage key in an area
+   */
+  function getObjectKey(area, key) {
+    return `${prefix}${area}/${key}`;
+  }
+
+  /**
+   * Path part of an object's URL
+   */
+  function getObjectPath(objectKey) {
+    return `${bucketPath}/${objectKey.split("/").map(encodeRfc3986).join("/")}`;
+  }
+
+  /**
+   * Sign a request: returns the scope, signature and signed header names
+   */
+  function sign(method, urlPath, query, headers, payloadHash, date) {
+    const amzDate = getAmzDate(date);
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join("&");
+    const headerNames = Object.keys(headers).sort();
+    const canonicalHeaders = headerNames
+      .map((name) => `${name}:${String(headers[name]).trim()}\n`)
+      .join("");
+    const signedHeaders = headerNames.join(";");
+
+    const canonicalRequest = [
+      method,
+      urlPath,
+      canonicalQuery,
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash,
+    ].join("\n");
+    const stringToSign = [
+      ALGORITHM,
+      amzDate,
+      scope,
+      sha256(canonicalRequest),
+    ].join("\n");
+
+    const signingKey = hmac(
+      hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), "s3"),
+      "aws4_request",
+    );
+    const signature = hmac(signingKey, stringToSign).toString("hex");
+
+    return { scope, signature, signedHeaders, canonicalQuery };
+  }
+
+  /**
+   * Send a signed request to the bucket
+   * @returns {Promise<http.IncomingMessage>} Response, with its body unread
+   */
+  function request(method, urlPath, { query = {}, body, contentType } = {}) {
+    const date = new Date();
+    const payloadHash = sha256(body || "");
+    const headers = {
+      host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": getAmzDate(date),
+    };
+    if (contentType) headers["content-type"] = contentType;
+
+    const { scope, signature, signedHeaders, canonicalQuery } = sign(
+      method,
+      urlPath,
+      query,
+      headers,
+      payloadHash,
+      date,
+    );
+
+    const url = `${endpoint.protocol}//${host}${urlPath}${
+      canonicalQuery ? `?${canonicalQuery}` : ""
+    }`;
+    const client = endpoint.protocol === "https:" ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, {
+        method,
+        headers: {
+          ...headers,
+          authorization: `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+          ...(body ? { "content-length": body.length } : {}),
+        },
+      });
+      req.on("response", resolve);
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+
+  /**
+   * Read a whole response body
+   */
+  function readBody(response) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      response.on("data", (chunk) => chunks.push(chunk));
+      response.on("end", () => resolve(Buffer.concat(chunks)));
+      response.on("error", reject);
+    });
+  }
+
+  /**
+   * Send a request for an object and check its status
+   */
+  async function objectRequest(method, area, key, options) {
+    const response = await request(
+      method,
+      getObjectPath(getObjectKey(area, key)),
+      options,
+    );
+    if (response.statusCode >= 300) {
+      response.resume();
+      const error = new Error(
+        `S3 ${method} ${key} failed with HTTP ${response.statusCode}`,
+      );
+      if (response.statusCode === 404) error.code = "ENOENT";
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Upload an object
+   */
+  async function write(area, key, buffer, { contentType } = {}) {
+    const response = await objectRequest("PUT", area, key, {
+      body: buffer,
+      contentType: contentType || "application/octet-stream",
+    });
+    response.resume();
+  }
+
+  return {
+    write,
+
+    async writeFile(area, key, sourcePath, writeOptions) {
+      await write(area, key, await fs.readFile(sourcePath), writeOptions);
+      await fs.unlink(sourcePath);
+    },
+
+    async read(area, key) {
+      return readBody(await objectRequest("GET", area, key));
+    },
+
+    async exists(area, key) {
+      try {
+        (await objectRequest("HEAD", area, key)).resume();
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+
+    async remove(area, key) {
+      (await objectRequest("DELETE", area, key)).resume();
+    },
+
+    async list(area, listPrefix = "") {
+      const areaPrefix = getObjectKey(area, "");
+      const files = [];
+      let continuationToken = null;
+
+      do {
+        const query = { "list-type": "2", prefix: areaPrefix + listPrefix };
+        if (continuationToken) query["continuation-token"] = continuationToken;
+
+        const response = await request("GET", `${bucketPath}/`, { query });
+        const xml = (await readBody(response)).toString("utf8");
+        if (response.statusCode !== 200) {
+          throw new Error(`S3 list failed with HTTP ${response.statusCode}`);
+        }
+
+        for (const [, entry] of xml.matchAll(
+          /<Contents>([\s\S]*?)<\/Contents>/g,
+        )) {
+          files.push({
+            key: getXmlTag(entry, "Key").slice(areaPrefix.length),
+            size: parseInt(getXmlTag(entry, "Size")) || 0,
+            lastModified: Date.parse(getXmlTag(entry, "LastModified")),
+          });
+        }
+
+        continuationToken =
+          getXmlTag(xml, "IsTruncated") === "true"
+            ? getXmlTag(xml, "NextContinuationToken")
+            : null;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    async createReadStream(area, key) {
+      return objectRequest("GET", area, key);
+    },
+
+    async getDownloadUrl(area, key, { downloadName } = {}) {
+      const date = new Date();
+      const amzDate = getAmzDate(date);
+      const urlPath = getObjectPath(getObjectKey(area, key));
+      const query = {
+        "X-Amz-Algorithm": ALGORITHM,
+        "X-Amz-Credential": `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(urlExpiry),
+        "X-Amz-SignedHeaders": "host",
+      };
+      if (downloadName) {
+        query["response-content-disposition"] =
+          getAttachmentHeader(downloadName);
+      }
+
+      const { signature, canonicalQuery } = sign(
+        "GET",
+        urlPath,
+        query,
+        { host },
+        UNSIGNED_PAYLOAD,
+        date,
+      );
+      return `${endpoint.protocol}//${host}${urlPath}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+    },
+  };
+}
+
+module.exports = {
+  createS3Storage,
+};
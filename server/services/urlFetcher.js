@@ -0,0 +1,198 @@
+/**
+ * Remote Image Fetcher
+ * Downloads images from HTTP(S) URLs for compression, with size, time and
+ * redirect limits
+ *
+ * Requests to private, loopback and link-local addresses are refused (SSRF
+ * protection). Every connection is checked against the address it actually
+ * connects to - including each redirect hop - so DNS tricks can't slip a
+ * private address past the check.
+ */
+
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+const config = require("../config");
+
+const MAX_DOWNLOAD_SIZE = config.maxFileSize; // same as uploads
+const DOWNLOAD_TIMEOUT = 15 * 1000; // 15 seconds per URL, redirects included
+const MAX_REDIRECTS = 3;
+
+// Address ranges that must never be fetched
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  blockedAddresses.addSubnet(network, prefix, "ipv4"),
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  blockedAddresses.addSubnet(network, prefix, "ipv6"),
+);
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise
+ * not on the public internet
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) address = mapped[1];
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * dns.lookup replacement that refuses hostnames resolving to a private
+ * address
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Request a single URL (no redirect handling)
+ */
+function request(url, signal) {
+  return new Promise((resolve, reject) => {
+    // IP literals skip DNS lookup, so they're checked here
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(`${url.hostname} is a private address`));
+    }
+
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(
+      url,
+      {
+        lookup: safeLookup,
+        signal,
+        headers: { Accept: "image/*" },
+      },
+      resolve,
+    );
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Read a response body, giving up once it grows past MAX_DOWNLOAD_SIZE
+ */
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const declared = parseInt(response.headers["content-length"]);
+    if (declared > MAX_DOWNLOAD_SIZE) {
+      response.destroy();
+      return reject(
+        new Error(
+          `Image exceeds ${config.formatSize(MAX_DOWNLOAD_SIZE)} limit`,
+        ),
+      );
+    }
+
+    const chunks = [];
+    let size = 0;
+    response.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_DOWNLOAD_SIZE) {
+        response.destroy();
+        reject(
+          new Error(
+            `Image exceeds ${config.formatSize(MAX_DOWNLOAD_SIZE)} limit`,
+          ),
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on("end", () => resolve(Buffer.concat(chunks)));
+    response.on("error", reject);
+  });
+}
+
+/**
+ * Download an image from an HTTP(S) URL
+ * @param {string} address - URL to download
+ * @returns {Object} { buffer, url } - body and final URL after redirects
+ */
+async function fetchImage(address) {
+  let url;
+  try {
+    url = new URL(address);
+  } catch (e) {
+    throw new Error("Invalid URL");
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new Error("Only HTTP and HTTPS URLs are supported");
+      }
+
+      const response = await request(url, controller.signal);
+      const { statusCode } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`Too many redirects (max ${MAX_REDIRECTS})`);
+        }
+        url = new URL(response.headers.location, url);
+        continue;
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        throw new Error(`Download failed with HTTP ${statusCode}`);
+      }
+
+      return { buffer: await readBody(response), url: url.href };
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(
+        `Download timed out after ${DOWNLOAD_TIMEOUT / 1000} seconds`,
+      );
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  fetchImage,
+  isPrivateAddress,
+};
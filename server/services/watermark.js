@@ -0,0 +1,163 @@
+/**
+ * Watermarking
+ * Builds text or PNG logo overlays that are composited onto the resized
+ * image before it is encoded
+ *
+ * Overlays are rendered as SVG the exact size of the output image, so the
+ * same layer works for every output format and needs no second encode.
+ */
+
+const sharp = require("sharp");
+const storage = require("./storage");
+
+const WATERMARK_POSITIONS = [
+  "top-left",
+  "top-right",
+  "bottom-left",
+  "bottom-right",
+  "center",
+];
+
+// Approximate ascent/descent of a line of text, relative to font size
+const TEXT_ASCENT = 0.8;
+const TEXT_DESCENT = 0.2;
+
+/**
+ * Escape a string for use as SVG text or attribute content
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Read the logo of an image watermark once, so every encode of a file can
+ * reuse it
+ * @param {Object} watermark - Parsed watermark settings
+ * @returns {Object} Watermark settings, with the logo as { data, width, height }
+ */
+async function loadWatermark(watermark) {
+  if (watermark.type !== "image") return watermark;
+
+  const data = await storage.read("uploads", watermark.key);
+  const metadata = await sharp(data).metadata();
+  if (metadata.format !== "png") {
+    throw new Error("Watermark logo must be a PNG image");
+  }
+
+  return {
+    ...watermark,
+    logo: {
+      data: data.toString("base64"),
+      width: metadata.width,
+      height: metadata.height,
+    },
+  };
+}
+
+/**
+ * Horizontal anchor of an element of the given width
+ */
+function getLeft(position, elementWidth, canvasWidth, margin) {
+  if (position.endsWith("left")) return margin;
+  if (position.endsWith("right")) return canvasWidth - margin - elementWidth;
+  return (canvasWidth - elementWidth) / 2;
+}
+
+/**
+ * Vertical anchor of an element of the given height
+ */
+function getTop(position, elementHeight, canvasHeight, margin) {
+  if (position.startsWith("top")) return margin;
+  if (position.startsWith("bottom")) {
+    return canvasHeight - margin - elementHeight;
+  }
+  return (canvasHeight - elementHeight) / 2;
+}
+
+/**
+ * SVG element for a text watermark
+ */
+function createTextElement(watermark, width, height) {
+  const { text, fontSize, color, opacity, position, margin } = watermark;
+
+  let x = width / 2;
+  let anchor = "middle";
+  if (position.endsWith("left")) {
+    x = margin;
+    anchor = "start";
+  } else if (position.endsWith("right")) {
+    x = width - margin;
+    anchor = "end";
+  }
+
+  const lineHeight = fontSize * (TEXT_ASCENT + TEXT_DESCENT);
+  const y =
+    getTop(position, lineHeight, height, margin) + fontSize * TEXT_ASCENT;
+
+  return `<text x="${x}" y="${y}" text-anchor="${anchor}" font-family="sans-serif" font-size="${fontSize}" fill="${escapeXml(
+    color,
+  )}" fill-opacity="${opacity}">${escapeXml(text)}</text>`;
+}
+
+/**
+ * SVG element for a logo watermark, scaled relative to the image width
+ */
+function createLogoElement(watermark, width, height) {
+  const { logo, scale, opacity, position, margin } = watermark;
+
+  // Scale to a fraction of the image width, but always fit inside the margins
+  const fit = Math.min(
+    (width * scale) / logo.width,
+    Math.max(1, width - 2 * margin) / logo.width,
+    Math.max(1, height - 2 * margin) / logo.height,
+  );
+  const logoWidth = Math.max(1, Math.round(logo.width * fit));
+  const logoHeight = Math.max(1, Math.round(logo.height * fit));
+
+  const x = getLeft(position, logoWidth, width, margin);
+  const y = getTop(position, logoHeight, height, margin);
+
+  return `<image x="${x}" y="${y}" width="${logoWidth}" height="${logoHeight}" opacity="${opacity}" preserveAspectRatio="none" href="data:image/png;base64,${logo.data}"/>`;
+}
+
+/**
+ * Build the composite layer for a watermark on an image of the given size.
+ * Animated images are composited as one tall strip of frames, so the
+ * watermark is repeated on every frame.
+ * @param {Object} watermark - Watermark settings from loadWatermark()
+ * @param {number} width - Output frame width
+ * @param {number} height - Output frame height
+ * @param {number} [pages=1] - Number of frames
+ * @returns {Object} Sharp composite options ({ input, top, left })
+ */
+function createWatermarkLayer(watermark, width, height, pages = 1) {
+  const element =
+    watermark.type === "image"
+      ? createLogoElement(watermark, width, height)
+      : createTextElement(watermark, width, height);
+
+  const frames = [];
+  for (let page = 0; page < pages; page++) {
+    frames.push(
+      page === 0
+        ? element
+        : `<g transform="translate(0 ${page * height})">${element}</g>`,
+    );
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${
+    height * pages
+  }">${frames.join("")}</svg>`;
+
+  return { input: Buffer.from(svg), top: 0, left: 0 };
+}
+
+module.exports = {
+  WATERMARK_POSITIONS,
+  loadWatermark,
+  createWatermarkLayer,
+};
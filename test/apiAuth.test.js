@@ -0,0 +1,148 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The key store is read when the middleware loads
+const keysFile = path.join(
+  fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-")),
+  "api-keys.json",
+);
+fs.writeFileSync(
+  keysFile,
+  JSON.stringify({
+    keys: [{ key: "secret", name: "test", limits: { bytesPerDay: 1000 } }],
+  }),
+);
+process.env.API_KEYS_FILE = keysFile;
+
+const { apiAuth, meterUpload } = require("../server/middleware/apiAuth");
+
+function request(headers = {}) {
+  return {
+    path: "/upload",
+    ip: "127.0.0.1",
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+/**
+ * Run apiAuth then meterUpload for an upload of the given size, without a
+ * Content-Length header (as for a chunked body)
+ */
+async function chunkedUpload(size) {
+  const req = request({ "x-api-key": "secret" });
+  const res = response();
+  let passed = false;
+
+  apiAuth(req, res, () => {
+    passed = true;
+  });
+  if (!passed) return res;
+
+  passed = false;
+  req.file = { size };
+  await meterUpload(req, res, () => {
+    passed = true;
+  });
+  return passed ? null : res;
+}
+
+test("chunked uploads are charged against the daily byte limit", async () => {
+  assert.strictEqual(await chunkedUpload(600), null);
+
+  const over = await chunkedUpload(600);
+  assert.strictEqual(over.statusCode, 429);
+  assert.match(over.body.error, /Daily limit of 1000 bytes/);
+  assert.ok(over.headers["Retry-After"]);
+
+  // Once over, every metered request is turned away up front
+  const next = await chunkedUpload(1);
+  assert.strictEqual(next.statusCode, 429);
+});
+
+test("a declared body too big for the remaining quota is refused", () => {
+  const req = request({ "x-api-key": "secret", "content-length": "5000" });
+  const res = response();
+  apiAuth(req, res, () => assert.fail("should not pass"));
+  assert.strictEqual(res.statusCode, 429);
+});
+
+test("a key store with a duplicate key name is refused", () => {
+  const original = fs.readFileSync(keysFile);
+  fs.writeFileSync(
+    keysFile,
+    JSON.stringify({
+      keys: [
+        { key: "first", name: "partner" },
+        { key: "second", name: "partner" },
+      ],
+    }),
+  );
+  const modulePath = require.resolve("../server/middleware/apiAuth");
+  delete require.cache[modulePath];
+
+  try {
+    assert.throws(
+      () => require(modulePath),
+      /Duplicate API key name "partner"/,
+    );
+  } finally {
+    fs.writeFileSync(keysFile, original);
+    delete require.cache[modulePath];
+  }
+});
+
+test("unnamed keys with a common prefix are counted apart", async () => {
+  const original = fs.readFileSync(keysFile);
+  fs.writeFileSync(
+    keysFile,
+    JSON.stringify({
+      keys: [
+        { key: "sharedprefix-1", limits: { requestsPerMinute: 1 } },
+        { key: "sharedprefix-2", limits: { requestsPerMinute: 1 } },
+      ],
+    }),
+  );
+  const modulePath = require.resolve("../server/middleware/apiAuth");
+  delete require.cache[modulePath];
+
+  try {
+    const { apiAuth: freshAuth } = require(modulePath);
+    const ids = [];
+    for (const key of ["sharedprefix-1", "sharedprefix-2"]) {
+      const req = request({ "x-api-key": key });
+      const res = response();
+      let passed = false;
+      freshAuth(req, res, () => {
+        passed = true;
+      });
+      assert.strictEqual(passed, true, key);
+      ids.push(req.apiClient.id);
+    }
+    assert.notStrictEqual(ids[0], ids[1]);
+    assert.doesNotMatch(ids.join(), /sharedprefix/);
+  } finally {
+    fs.writeFileSync(keysFile, original);
+    delete require.cache[modulePath];
+  }
+});
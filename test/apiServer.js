@@ -0,0 +1,84 @@
+/**
+ * The API on an ephemeral port, for route tests. Storage, presets and the
+ * key store live in a fresh directory; require this before anything under
+ * server/, since the config reads them when it loads.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "api-server-"));
+for (const area of [
+  "uploads",
+  "compressed",
+  "cache",
+  "registry",
+  "presets",
+  "temp",
+]) {
+  process.env[`${area.toUpperCase()}_DIR`] = path.join(root, area);
+}
+process.env.API_KEYS_FILE = path.join(root, "api-keys.json");
+process.env.PRESETS_FILE = path.join(root, "presets.json");
+process.env.LOG_LEVEL = "error";
+
+/**
+ * Start the API
+ * @returns {Object} { url, close } - url of /api
+ */
+async function startServer() {
+  const app = require("../api");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/api`,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * A client of the API with a session of its own, started by its first
+ * upload
+ */
+function createClient(url) {
+  let token = null;
+
+  async function request(method, route, { json, body, headers = {} } = {}) {
+    if (token) headers["X-Session-Token"] = token;
+    if (json !== undefined) {
+      headers["Content-Type"] = "application/json";
+      body = JSON.stringify(json);
+    }
+
+    const response = await fetch(url + route, { method, headers, body });
+    token = response.headers.get("X-Session-Token") || token;
+    return response;
+  }
+
+  /**
+   * Upload images as { name, buffer, type }
+   * @returns {Object} The response body
+   */
+  async function upload(images) {
+    const form = new FormData();
+    for (const { name, buffer, type = "image/png" } of images) {
+      form.append("images", new Blob([buffer], { type }), name);
+    }
+    const response = await request("POST", "/upload", { body: form });
+    return response.json();
+  }
+
+  return { request, upload };
+}
+
+module.exports = {
+  root,
+  startServer,
+  createClient,
+};
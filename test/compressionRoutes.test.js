@@ -0,0 +1,279 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startServer, createClient } = require("./apiServer");
+const sharp = require("sharp");
+const storage = require("../server/services/storage");
+const { transparentPng } = require("./fixtures");
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+/**
+ * Upload two PNGs with a fresh client
+ * @returns {Object} { client, files }
+ */
+async function uploadTwo() {
+  const client = createClient(server.url);
+  const buffer = await transparentPng();
+  const { files } = await client.upload([
+    { name: "a.png", buffer },
+    { name: "b.png", buffer },
+  ]);
+  assert.strictEqual(files.length, 2);
+  return { client, files };
+}
+
+test("a missing upload fails on its own, not the whole batch", async () => {
+  const { client, files } = await uploadTwo();
+  const [kept, missing] = files;
+  const [stored] = (await storage.list("uploads")).filter((entry) =>
+    entry.key.endsWith(`/${missing.filename}`),
+  );
+  await storage.remove("uploads", stored.key);
+
+  const response = await client.request("POST", "/compress", {
+    json: { files, settings: { outputFormat: "webp" } },
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.results[0].success, true);
+  assert.strictEqual(body.results[0].id, kept.id);
+  assert.deepStrictEqual(body.results[1], {
+    success: false,
+    id: missing.id,
+    originalName: "b.png",
+    error: "File not found",
+  });
+});
+
+test("an upload that can't be read fails on its own, not the whole batch", async (t) => {
+  const { client, files } = await uploadTwo();
+  const read = storage.read;
+  t.mock.method(storage, "read", (area, key) =>
+    key.endsWith(files[1].filename)
+      ? Promise.reject(new Error("Service unavailable"))
+      : read.call(storage, area, key),
+  );
+
+  const response = await client.request("POST", "/compress", {
+    json: { files },
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(body.results[0].success, true);
+  assert.strictEqual(body.results[1].success, false);
+  assert.strictEqual(body.results[1].error, "Could not read the uploaded file");
+});
+
+/**
+ * Upload and compress one PNG with a fresh client
+ * @returns {Object} { client, file, result }
+ */
+async function compressOne(name) {
+  const client = createClient(server.url);
+  const { files } = await client.upload([
+    { name, buffer: await transparentPng() },
+  ]);
+  const response = await client.request("POST", "/compress", {
+    json: { files, settings: { outputFormat: "webp" } },
+  });
+  const { results } = await response.json();
+  assert.strictEqual(results[0].success, true);
+  return { client, file: files[0], result: results[0] };
+}
+
+test("other sessions can't download or preview a session's outputs", async () => {
+  const alice = await compressOne("alice.png");
+  const bob = await compressOne("bob.png");
+  const anonymous = createClient(server.url);
+  const filename = alice.result.compressedFilename;
+
+  for (const route of [`/download/${filename}`, `/preview/${filename}`]) {
+    assert.strictEqual((await alice.client.request("GET", route)).status, 200);
+    assert.strictEqual((await bob.client.request("GET", route)).status, 404);
+    assert.strictEqual((await anonymous.request("GET", route)).status, 404);
+  }
+});
+
+test("other sessions can't compress a session's uploads", async () => {
+  const alice = await compressOne("alice.png");
+  const bob = await compressOne("bob.png");
+
+  const response = await bob.client.request("POST", "/compress", {
+    json: { files: [alice.file] },
+  });
+  const { results } = await response.json();
+
+  assert.strictEqual(results[0].success, false);
+  assert.strictEqual(results[0].error, "File not found");
+});
+
+test("other sessions can't see, follow or cancel a session's jobs", async () => {
+  const alice = await compressOne("alice.png");
+  const bob = await compressOne("bob.png");
+
+  const created = await alice.client.request("POST", "/jobs", {
+    json: { files: [alice.file] },
+  });
+  assert.strictEqual(created.status, 202);
+  const { job } = await created.json();
+
+  for (const [method, route] of [
+    ["GET", `/jobs/${job.id}`],
+    ["GET", `/jobs/${job.id}/events`],
+    ["DELETE", `/jobs/${job.id}`],
+  ]) {
+    const response = await bob.client.request(method, route);
+    assert.strictEqual(response.status, 404, `${method} ${route}`);
+  }
+
+  // The owner still sees it, through to the end
+  let state = job.state;
+  while (state === "queued" || state === "running") {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const response = await alice.client.request("GET", `/jobs/${job.id}`);
+    assert.strictEqual(response.status, 200);
+    ({ state } = (await response.json()).job);
+  }
+  assert.strictEqual(state, "done");
+});
+
+test("ZIP downloads leave out other sessions' outputs", async () => {
+  const alice = await compressOne("alice.png");
+  const bob = await compressOne("bob.png");
+
+  const response = await bob.client.request("POST", "/download-zip", {
+    json: {
+      files: [
+        {
+          compressedFilename: bob.result.compressedFilename,
+          downloadName: "mine.webp",
+        },
+        {
+          compressedFilename: alice.result.compressedFilename,
+          downloadName: "theirs.webp",
+        },
+      ],
+    },
+  });
+  const zip = Buffer.from(await response.arrayBuffer()).toString("latin1");
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(zip.includes("mine.webp"));
+  assert.ok(!zip.includes("theirs.webp"));
+});
+
+test("uploads are checked by content, and the valid ones kept", async () => {
+  const client = createClient(server.url);
+  const jpeg = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#336699" },
+  })
+    .jpeg()
+    .toBuffer();
+
+  const body = await client.upload([
+    { name: "good.png", buffer: await transparentPng() },
+    { name: "notes.png", buffer: Buffer.from("not an image") },
+    { name: "photo.png", buffer: jpeg },
+  ]);
+
+  assert.deepStrictEqual(
+    body.files.map((file) => file.originalName),
+    ["good.png"],
+  );
+  assert.deepStrictEqual(body.errors, [
+    {
+      originalName: "notes.png",
+      error:
+        "File content is not a supported image. Only JPG, PNG, GIF, WebP, and AVIF are allowed.",
+    },
+    {
+      originalName: "photo.png",
+      error: "File content is JPEG, but it was sent as image/png",
+    },
+  ]);
+});
+
+test("compress streams per-file progress when asked for events", async () => {
+  const { client, files } = await uploadTwo();
+
+  const response = await client.request("POST", "/compress", {
+    json: { files, settings: { outputFormat: "webp" } },
+    headers: { Accept: "text/event-stream" },
+  });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = (await response.text())
+    .trim()
+    .split("\n\n")
+    .map((message) => {
+      const [, event, data] = /^event: (.*)\ndata: (.*)$/.exec(message);
+      return { event, data: JSON.parse(data) };
+    });
+
+  assert.deepStrictEqual(events.map((e) => e.event).sort(), [
+    "finish",
+    "finish",
+    "start",
+    "start",
+    "summary",
+  ]);
+  const summary = events.at(-1);
+  assert.strictEqual(summary.event, "summary");
+  assert.strictEqual(summary.data.state, "done");
+  assert.strictEqual(summary.data.progress.done, 2);
+
+  const finished = events.filter((e) => e.event === "finish");
+  assert.deepStrictEqual(
+    finished.map((e) => e.data.id).sort(),
+    files.map((file) => file.id).sort(),
+  );
+  assert.ok(finished.every((e) => e.data.result.success));
+});
+
+test("cover crops need a width and a height", async () => {
+  const { client, files } = await uploadTwo();
+  const response = await client.request("POST", "/compress", {
+    json: {
+      files,
+      settings: { resizeWidth: 32, crop: { mode: "cover" } },
+    },
+  });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(body.errors[0].field, "settings.crop.mode");
+});
+
+test("responsive cover crops keep the box's proportions at every width", async () => {
+  const { client, files } = await uploadTwo();
+  const response = await client.request("POST", "/compress", {
+    json: {
+      files: files.slice(0, 1),
+      settings: {
+        resizeWidth: 60,
+        resizeHeight: 30,
+        crop: { mode: "cover" },
+        responsive: { widths: [40, 20], formats: ["png"] },
+      },
+    },
+  });
+  const [result] = (await response.json()).results;
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(
+    result.variants.map((v) => [v.dimensions.width, v.dimensions.height]),
+    [
+      [20, 10],
+      [40, 20],
+    ],
+  );
+});
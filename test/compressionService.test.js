@@ -0,0 +1,167 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { compressImage } = require("../server/services/compressionService");
+const { transparentPng, noisyPng } = require("./fixtures");
+
+/**
+ * Compress an in-memory PNG with some settings (quality 80 unless given)
+ */
+async function compress(buffer, settings) {
+  return compressImage(
+    { id: "t", originalName: "t.png", mimetype: "image/png", buffer },
+    { inMemory: true, quality: 80, ...settings },
+  );
+}
+
+test("auto quality settles below 100 for a transparent PNG converted to JPEG", async () => {
+  const result = await compress(await transparentPng(), {
+    quality: "auto",
+    outputFormat: "jpeg",
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.thresholdMet, true);
+  assert.ok(result.quality < 100, `quality ${result.quality}`);
+  assert.ok(result.ssim >= result.ssimThreshold);
+});
+
+test("auto quality reports the threshold missed when a size budget overrides it", async () => {
+  const result = await compress(await noisyPng(), {
+    quality: "auto",
+    outputFormat: "webp",
+    targetSizeKB: 4,
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.autoQuality, true);
+  assert.ok(result.compressedSize <= 4 * 1024);
+  assert.ok(result.ssim < result.ssimThreshold, `ssim ${result.ssim}`);
+  assert.strictEqual(result.thresholdMet, false);
+});
+
+test("auto quality keeps its pick when it already fits the size budget", async () => {
+  const result = await compress(await transparentPng(), {
+    quality: "auto",
+    outputFormat: "jpeg",
+    targetSizeKB: 500,
+  });
+
+  assert.strictEqual(result.targetMet, true);
+  assert.strictEqual(result.thresholdMet, true);
+  assert.ok(result.ssim >= result.ssimThreshold);
+});
+
+test("a size budget keeps the highest quality that fits", async () => {
+  const generous = await compress(await noisyPng(), {
+    quality: 90,
+    outputFormat: "jpeg",
+    targetSizeKB: 100,
+  });
+  assert.strictEqual(generous.targetMet, true);
+  assert.strictEqual(generous.quality, 90);
+
+  const tight = await compress(await noisyPng(), {
+    quality: 90,
+    outputFormat: "jpeg",
+    targetSizeKB: 8,
+  });
+  assert.strictEqual(tight.targetMet, true);
+  assert.ok(tight.compressedSize <= 8 * 1024);
+  assert.ok(
+    tight.quality < 90 && tight.quality >= 10,
+    `quality ${tight.quality}`,
+  );
+  assert.deepStrictEqual(tight.dimensions, { width: 128, height: 128 });
+
+  // One step up no longer fits
+  const above = await compress(await noisyPng(), {
+    quality: tight.quality + 1,
+    outputFormat: "jpeg",
+  });
+  assert.ok(above.compressedSize > 8 * 1024);
+});
+
+test("a size budget too small for the lowest quality scales the image down", async () => {
+  const result = await compress(await noisyPng(), {
+    quality: 90,
+    outputFormat: "jpeg",
+    targetSizeKB: 1,
+  });
+
+  assert.strictEqual(result.targetMet, true);
+  assert.ok(result.compressedSize <= 1024);
+  assert.ok(result.dimensions.width < 128, `width ${result.dimensions.width}`);
+  assert.strictEqual(result.dimensions.width, result.dimensions.height);
+});
+
+test("a size budget it can't meet above 16 pixels returns its smallest output", async () => {
+  const result = await compress(await noisyPng(), {
+    quality: 90,
+    outputFormat: "png",
+    targetSizeKB: 1,
+    resizeWidth: 20,
+    resizeHeight: 128,
+    maintainAspectRatio: false,
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.targetMet, false);
+  assert.ok(result.compressedSize > 1024);
+  assert.ok(result.dimensions.width >= 16, `width ${result.dimensions.width}`);
+});
+
+test("cover crops fill the box, without upscaling", async () => {
+  const crop = { mode: "cover", position: "centre" };
+  const box = await compress(await noisyPng(), {
+    outputFormat: "png",
+    resizeWidth: 64,
+    resizeHeight: 32,
+    crop,
+  });
+  assert.deepStrictEqual(box.dimensions, { width: 64, height: 32 });
+
+  // Twice the source's width: the box is scaled down to fit, not stretched
+  const large = await compress(await noisyPng(), {
+    outputFormat: "png",
+    resizeWidth: 256,
+    resizeHeight: 64,
+    crop,
+  });
+  assert.deepStrictEqual(large.dimensions, { width: 128, height: 32 });
+});
+
+test("aspect crops take the largest box of the ratio, or the size asked for", async () => {
+  const crop = { mode: "aspect", aspectRatio: 16 / 9, position: "centre" };
+  const largest = await compress(await noisyPng(), {
+    outputFormat: "png",
+    crop,
+  });
+  assert.deepStrictEqual(largest.dimensions, { width: 128, height: 72 });
+
+  const sized = await compress(await noisyPng(), {
+    outputFormat: "png",
+    resizeWidth: 64,
+    crop,
+  });
+  assert.deepStrictEqual(sized.dimensions, { width: 64, height: 36 });
+});
+
+test("manual crops cut the rectangle, clamped to the image", async () => {
+  const inside = await compress(await noisyPng(), {
+    outputFormat: "png",
+    crop: {
+      mode: "manual",
+      rect: { left: 10, top: 20, width: 50, height: 30 },
+    },
+  });
+  assert.deepStrictEqual(inside.dimensions, { width: 50, height: 30 });
+
+  const overhanging = await compress(await noisyPng(), {
+    outputFormat: "png",
+    crop: {
+      mode: "manual",
+      rect: { left: 100, top: 120, width: 100, height: 100 },
+    },
+  });
+  assert.deepStrictEqual(overhanging.dimensions, { width: 28, height: 8 });
+});
@@ -0,0 +1,101 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Directories the config creates when it loads, in a fresh directory
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+const DIRECTORY_VARIABLES = {
+  TEMP_DIR: "temp",
+  UPLOADS_DIR: "uploads",
+  COMPRESSED_DIR: "compressed",
+  CACHE_DIR: "cache",
+  REGISTRY_DIR: "registry",
+  PRESETS_DIR: "presets",
+};
+const configPath = require.resolve("../server/config");
+const savedEnv = { ...process.env };
+
+/**
+ * Load the config afresh, with the given environment variables and config
+ * file contents (none when null)
+ */
+function loadConfig(env = {}, fileValues = null) {
+  for (const [name, dir] of Object.entries(DIRECTORY_VARIABLES)) {
+    process.env[name] = path.join(root, dir);
+  }
+  delete process.env.CONFIG_FILE;
+  if (fileValues) {
+    const file = path.join(root, "compress-it.config.json");
+    fs.writeFileSync(file, JSON.stringify(fileValues));
+    process.env.CONFIG_FILE = file;
+  }
+  Object.assign(process.env, env);
+
+  delete require.cache[configPath];
+  return require(configPath);
+}
+
+afterEach(() => {
+  for (const name of Object.keys(process.env)) {
+    if (!(name in savedEnv)) delete process.env[name];
+  }
+  Object.assign(process.env, savedEnv);
+  delete require.cache[configPath];
+});
+
+test("settings fall back to their defaults", () => {
+  delete process.env.MAX_FILES;
+  delete process.env.DEFAULT_QUALITY;
+  const config = loadConfig();
+
+  assert.strictEqual(config.maxFiles, 20);
+  assert.strictEqual(config.defaultQuality, 80);
+});
+
+test("the config file overrides defaults, and the environment the file", () => {
+  delete process.env.MAX_FILES;
+  delete process.env.DEFAULT_QUALITY;
+  const fileValues = { maxFiles: 5, defaultQuality: 70, resultCache: false };
+
+  const fromFile = loadConfig({}, fileValues);
+  assert.strictEqual(fromFile.maxFiles, 5);
+  assert.strictEqual(fromFile.defaultQuality, 70);
+  assert.strictEqual(fromFile.resultCache, false);
+
+  const fromEnv = loadConfig(
+    { MAX_FILES: "7", RESULT_CACHE: "true" },
+    fileValues,
+  );
+  assert.strictEqual(fromEnv.maxFiles, 7);
+  assert.strictEqual(fromEnv.defaultQuality, 70);
+  assert.strictEqual(fromEnv.resultCache, true);
+});
+
+test("paths are resolved from the project root", () => {
+  const config = loadConfig({}, { apiKeysFile: "data/keys.json" });
+  assert.strictEqual(
+    config.apiKeysFile,
+    path.join(__dirname, "..", "data", "keys.json"),
+  );
+});
+
+test("invalid settings stop the config from loading, naming their source", () => {
+  assert.throws(
+    () => loadConfig({ MAX_FILES: "0" }),
+    /MAX_FILES must be an integer, at least 1 \(got "0"\)/,
+  );
+  assert.throws(
+    () => loadConfig({}, { defaultQuality: 101 }),
+    /defaultQuality must be an integer, 1-100 \(got 101\)/,
+  );
+  assert.throws(
+    () => loadConfig({}, { maxFile: 5 }),
+    /Unknown setting\(s\) in .*: maxFile/,
+  );
+  assert.throws(
+    () => loadConfig({ CONFIG_FILE: path.join(root, "missing.json") }),
+    /Config file not found/,
+  );
+});
@@ -0,0 +1,159 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Local storage in a fresh directory, read when the config loads
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "file-registry-"));
+for (const area of ["uploads", "compressed", "cache", "registry"]) {
+  process.env[`${area.toUpperCase()}_DIR`] = path.join(root, area);
+}
+
+const storage = require("../server/services/storage");
+const fileRegistry = require("../server/services/fileRegistry");
+
+const owner = "0123456789abcdef0123456789abcdef";
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Store an upload and one output made from it
+ */
+async function storeUpload(uploadId) {
+  const upload = { area: "uploads", key: `${owner}/${uploadId}.png` };
+  const output = {
+    area: "compressed",
+    key: `${owner}/${uploadId}_compressed.jpg`,
+  };
+  for (const file of [upload, output]) {
+    await storage.write(file.area, file.key, Buffer.from("image"));
+  }
+  await fileRegistry.registerFile({
+    ...upload,
+    kind: "upload",
+    owner,
+    uploadId,
+  });
+  await fileRegistry.registerFile({
+    ...output,
+    kind: "output",
+    owner,
+    uploadId,
+  });
+  return { upload, output };
+}
+
+function exists({ area, key }) {
+  return storage.exists(area, key);
+}
+
+// Each test starts with an empty registry, and so with no cleanup cursor
+beforeEach(() => {
+  fs.rmSync(path.join(root, "registry"), { recursive: true, force: true });
+});
+
+test("kept uploads and their outputs outlive the default lifetime", async (t) => {
+  const { upload, output } = await storeUpload("kept");
+  const expiresAt = await fileRegistry.keepUpload(owner, "kept", 24 * 3600);
+  assert.ok(expiresAt > Date.now() + 23 * HOUR);
+  assert.strictEqual(await fileRegistry.keepUpload(owner, "missing", 60), null);
+
+  // Two hours on, past the 30 minute default
+  const now = Date.now() + 2 * HOUR;
+  t.mock.method(Date, "now", () => now);
+  await fileRegistry.removeExpired();
+
+  assert.strictEqual(await exists(upload), true);
+  assert.strictEqual(await exists(output), true);
+
+  await fileRegistry.releaseUpload(owner, "kept");
+});
+
+test("expired files are removed with their records", async (t) => {
+  const { upload, output } = await storeUpload("expired");
+
+  const now = Date.now() + 2 * HOUR;
+  t.mock.method(Date, "now", () => now);
+  const removed = await fileRegistry.removeExpired();
+
+  assert.deepStrictEqual(removed, {
+    uploads: 1,
+    compressed: 1,
+    cache: 0,
+    presets: 0,
+  });
+  assert.strictEqual(await exists(upload), false);
+  assert.strictEqual(await exists(output), false);
+  assert.deepStrictEqual(await storage.list("registry", `${owner}/`), []);
+  assert.deepStrictEqual(await storage.list("registry", "expiry/"), []);
+});
+
+test("a cleanup lists only the index buckets that have come due", async (t) => {
+  await fileRegistry.removeExpired();
+  await storeUpload("listed");
+
+  const listed = [];
+  const list = storage.list;
+  t.mock.method(storage, "list", (area, prefix) => {
+    listed.push(`${area}:${prefix}`);
+    return list.call(storage, area, prefix);
+  });
+  const now = Date.now() + 2 * HOUR;
+  t.mock.method(Date, "now", () => now);
+  await fileRegistry.removeExpired();
+
+  // From the bucket of the last cleanup to the current one
+  assert.ok(listed.length >= 2 && listed.length <= 4, listed.join(", "));
+  for (const entry of listed) {
+    assert.match(entry, /^registry:expiry\/\d+\/$/);
+  }
+});
+
+test("stored files are counted once and uncounted when they go", async (t) => {
+  const { output } = await storeUpload("counted");
+  await fileRegistry.registerFile({
+    ...output,
+    kind: "output",
+    owner,
+    uploadId: "counted",
+  });
+  assert.strictEqual(await fileRegistry.countFiles("uploads"), 1);
+  assert.strictEqual(await fileRegistry.countFiles("compressed"), 1);
+
+  const now = Date.now() + 2 * HOUR;
+  t.mock.method(Date, "now", () => now);
+  await fileRegistry.removeExpired();
+
+  assert.strictEqual(await fileRegistry.countFiles("uploads"), 0);
+  assert.strictEqual(await fileRegistry.countFiles("compressed"), 0);
+});
+
+test("the migration indexes and counts files stored without a record", async () => {
+  const file = { area: "cache", key: "abc.bin" };
+  await storage.write(file.area, file.key, Buffer.from("cached"));
+  await storeUpload("migrated");
+
+  // Written two days ago, past the 24 hour cache lifetime
+  const writtenAt = new Date(Date.now() - 48 * HOUR);
+  fs.utimesSync(path.join(root, "cache", file.key), writtenAt, writtenAt);
+
+  const { counts } = await fileRegistry.migrateRegistry();
+  assert.strictEqual(counts.cache, 1);
+  assert.strictEqual(await fileRegistry.countFiles("cache"), 1);
+
+  const removed = await fileRegistry.removeExpired();
+  assert.strictEqual(removed.cache, 1);
+  assert.strictEqual(await exists(file), false);
+  assert.strictEqual(await fileRegistry.countFiles("cache"), 0);
+
+  await fileRegistry.releaseUpload(owner, "migrated");
+});
+
+test("releasing an upload deletes everything made from it", async () => {
+  const { upload, output } = await storeUpload("released");
+
+  assert.strictEqual(await fileRegistry.releaseUpload(owner, "released"), 2);
+  assert.strictEqual(await exists(upload), false);
+  assert.strictEqual(await exists(output), false);
+  assert.strictEqual(await fileRegistry.countFiles("uploads"), 0);
+});
@@ -0,0 +1,48 @@
+/**
+ * Images generated on the fly for tests
+ */
+
+const sharp = require("sharp");
+
+/**
+ * A 64x64 gradient PNG whose left half is fully transparent
+ */
+async function transparentPng() {
+  const width = 64;
+  const height = 64;
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = x * 4;
+      data[i + 1] = y * 4;
+      data[i + 2] = 128;
+      data[i + 3] = x < width / 2 ? 0 : 255;
+    }
+  }
+  return sharp(data, { raw: { width, height, channels: 4 } })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * A 128x128 PNG of seeded noise, which no encoder squeezes far
+ */
+async function noisyPng() {
+  const width = 128;
+  const height = 128;
+  const data = Buffer.alloc(width * height * 3);
+  let seed = 42;
+  for (let i = 0; i < data.length; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    data[i] = seed >> 16;
+  }
+  return sharp(data, { raw: { width, height, channels: 3 } })
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  transparentPng,
+  noisyPng,
+};
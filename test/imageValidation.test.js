@@ -0,0 +1,152 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const sharp = require("sharp");
+const {
+  MAX_INPUT_PIXELS,
+  MAX_INPUT_DIMENSION,
+  detectMimeType,
+  checkImageSize,
+  validateImage,
+} = require("../server/services/imageValidation");
+
+/**
+ * An 8x8 image encoded as format
+ */
+function encode(format) {
+  return sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#336699" },
+  })
+    .toFormat(format)
+    .toBuffer();
+}
+
+/**
+ * A valid PNG whose header claims other dimensions - nothing to decode
+ * behind it, like a decompression bomb's header
+ */
+async function pngClaiming(width, height) {
+  const png = Buffer.from(await encode("png"));
+  // IHDR data starts after the signature (8), length (4) and type (4)
+  png.writeUInt32BE(width, 16);
+  png.writeUInt32BE(height, 20);
+  png.writeUInt32BE(zlib.crc32(png.subarray(12, 29)), 29);
+  return png;
+}
+
+test("detectMimeType recognises each supported signature", async () => {
+  for (const [format, mimetype] of [
+    ["jpeg", "image/jpeg"],
+    ["png", "image/png"],
+    ["gif", "image/gif"],
+    ["webp", "image/webp"],
+    ["avif", "image/avif"],
+  ]) {
+    assert.strictEqual(detectMimeType(await encode(format)), mimetype, format);
+  }
+});
+
+test("detectMimeType refuses unsupported formats and other files", async () => {
+  assert.strictEqual(detectMimeType(await encode("tiff")), null);
+  assert.strictEqual(detectMimeType(Buffer.from("<svg></svg>")), null);
+  assert.strictEqual(detectMimeType(Buffer.from("%PDF-1.7\n")), null);
+  assert.strictEqual(detectMimeType(Buffer.alloc(0)), null);
+
+  // HEIC shares AVIF's container, not its brand
+  const heic = Buffer.alloc(24);
+  heic.writeUInt32BE(24, 0);
+  heic.write("ftypheic\0\0\0\0mif1heic", 4, "latin1");
+  assert.strictEqual(detectMimeType(heic), null);
+});
+
+test("detectMimeType refuses headers cut inside the signature", async () => {
+  for (const [format, signatureLength] of [
+    ["jpeg", 3],
+    ["png", 8],
+    ["gif", 6],
+    ["webp", 12],
+    ["avif", 12],
+  ]) {
+    const image = await encode(format);
+    for (let length = 0; length < signatureLength; length++) {
+      assert.strictEqual(
+        detectMimeType(image.subarray(0, length)),
+        null,
+        `${format} cut to ${length} bytes`,
+      );
+    }
+    assert.strictEqual(
+      detectMimeType(image.subarray(0, signatureLength)),
+      `image/${format}`,
+    );
+  }
+});
+
+test("validateImage refuses content sent as another type", async () => {
+  await assert.rejects(validateImage(await encode("png"), "image/jpeg"), {
+    message: "File content is PNG, but it was sent as image/jpeg",
+  });
+  await assert.rejects(validateImage(Buffer.from("hello"), "image/png"), {
+    message: /File content is not a supported image/,
+  });
+});
+
+test("validateImage refuses an image cut short after its signature", async () => {
+  const jpeg = await encode("jpeg");
+  await assert.rejects(validateImage(jpeg.subarray(0, 16), "image/jpeg"), {
+    message: "Corrupt JPEG image",
+  });
+});
+
+test("validateImage returns the detected type and metadata", async () => {
+  const { mimetype, metadata } = await validateImage(
+    await encode("webp"),
+    "image/webp",
+  );
+  assert.strictEqual(mimetype, "image/webp");
+  assert.strictEqual(metadata.width, 8);
+});
+
+test("validateImage refuses oversized images from their header alone", async () => {
+  await assert.rejects(validateImage(await pngClaiming(17000, 2000)), {
+    message: `Image is 17000×2000; the maximum is ${MAX_INPUT_DIMENSION} pixels on each side`,
+  });
+});
+
+test("checkImageSize allows images up to the limits", () => {
+  const side = Math.floor(Math.sqrt(MAX_INPUT_PIXELS));
+  assert.doesNotThrow(() => checkImageSize({ width: side, height: side }));
+  assert.doesNotThrow(() =>
+    checkImageSize({ width: MAX_INPUT_DIMENSION, height: 1 }),
+  );
+});
+
+test("checkImageSize refuses a side just over the limit", () => {
+  assert.throws(
+    () => checkImageSize({ width: MAX_INPUT_DIMENSION + 1, height: 1 }),
+    /the maximum is \d+ pixels on each side/,
+  );
+  assert.throws(
+    () => checkImageSize({ width: 1, height: MAX_INPUT_DIMENSION + 1 }),
+    /the maximum is \d+ pixels on each side/,
+  );
+});
+
+test("checkImageSize refuses a pixel count just over the limit", () => {
+  const side = Math.floor(Math.sqrt(MAX_INPUT_PIXELS));
+  assert.throws(
+    () => checkImageSize({ width: side + 1, height: side }),
+    /megapixels; the maximum is/,
+  );
+});
+
+test("checkImageSize counts every frame of an animation", () => {
+  const side = Math.floor(Math.sqrt(MAX_INPUT_PIXELS / 4));
+  const frames = { width: side, height: side * 5, pageHeight: side };
+
+  assert.doesNotThrow(() => checkImageSize({ ...frames, pages: 4 }));
+  assert.throws(
+    () => checkImageSize({ ...frames, pages: 5 }),
+    /megapixels across 5 frames/,
+  );
+});
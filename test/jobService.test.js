@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const jobService = require("../server/services/jobService");
+
+const owner = "0123456789abcdef0123456789abcdef";
+
+/**
+ * Run a job over the given files to the end, compressing nothing
+ */
+function runJob(files) {
+  const job = jobService.createJob(
+    files,
+    async (file) => ({ success: true, id: file.id, originalSize: 1 }),
+    owner,
+  );
+  return new Promise((resolve) => {
+    const events = [];
+    jobService.subscribeJob(job.id, owner, (event, data) => {
+      events.push([event, data]);
+      if (event === "summary") resolve({ job, events });
+    });
+  });
+}
+
+test("late subscribers get start events as they were sent", async () => {
+  const files = [
+    { id: "a", originalName: "a.png" },
+    { id: "b", originalName: "b.png" },
+  ];
+  const { job, events: live } = await runJob(files);
+
+  const replayed = [];
+  jobService.subscribeJob(job.id, owner, (event, data) =>
+    replayed.push([event, data]),
+  );
+
+  const starts = replayed.filter(([event]) => event === "start");
+  assert.strictEqual(starts.length, 2);
+  for (const [, data] of starts) {
+    assert.strictEqual(data.state, "running");
+    assert.strictEqual(data.result, undefined);
+    assert.strictEqual(data.durationMs, null);
+  }
+
+  // The same events, in JSON as they go over the wire
+  const wire = (events) =>
+    events
+      .filter(([event]) => event !== "summary")
+      .map((event) => JSON.stringify(event))
+      .sort();
+  assert.deepStrictEqual(wire(replayed), wire(live));
+});
+
+test("subscribing to an unknown job returns null", () => {
+  assert.strictEqual(
+    jobService.subscribeJob("missing", owner, () => {}),
+    null,
+  );
+});
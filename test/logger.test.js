@@ -0,0 +1,126 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { once } = require("events");
+const { setTimeout: delay } = require("timers/promises");
+
+process.env.LOG_LEVEL = "debug";
+
+const express = require("express");
+const logger = require("../server/services/logger");
+const { requestLogger } = require("../server/middleware/requestLogger");
+
+let server;
+let url;
+
+/**
+ * Log lines written while running fn, parsed
+ */
+async function captureLines(t, fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  t.mock.method(process.stdout, "write", (chunk, ...rest) => {
+    const text = String(chunk);
+    if (!text.startsWith('{"time"'))
+      return write.call(process.stdout, chunk, ...rest);
+    lines.push(JSON.parse(text));
+    return true;
+  });
+  await fn();
+  return lines;
+}
+
+before(async () => {
+  const app = express();
+  app.use("/api", requestLogger);
+  app.get("/api/things/:id", async (req, res) => {
+    await delay(Number(req.query.wait) || 0);
+    logger.info("Thing read", { id: req.params.id });
+
+    // Work the request leaves running after it responds
+    setTimeout(() => logger.info("Background work done"), 5);
+    res.json({ id: req.params.id });
+  });
+  app.get("/api/broken", (req, res) => {
+    res.status(500).json({ error: "Broken" });
+  });
+
+  server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  url = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test("lines written while handling a request carry its id, method and route", async (t) => {
+  let response;
+  const lines = await captureLines(t, async () => {
+    response = await fetch(`${url}/things/7`);
+    await delay(30);
+  });
+  const id = response.headers.get("x-request-id");
+
+  const byMessage = Object.fromEntries(lines.map((line) => [line.msg, line]));
+  for (const msg of [
+    "Thing read",
+    "Background work done",
+    "Request completed",
+  ]) {
+    assert.strictEqual(byMessage[msg].requestId, id, msg);
+    assert.strictEqual(byMessage[msg].method, "GET", msg);
+    assert.strictEqual(byMessage[msg].route, "/api/things/:id", msg);
+  }
+  assert.strictEqual(byMessage["Thing read"].id, "7");
+  assert.strictEqual(byMessage["Request completed"].status, 200);
+});
+
+test("concurrent requests keep their own ids", async (t) => {
+  const lines = await captureLines(t, async () => {
+    await Promise.all([
+      fetch(`${url}/things/slow?wait=20`, {
+        headers: { "X-Request-Id": "req-slow" },
+      }),
+      fetch(`${url}/things/fast`, { headers: { "X-Request-Id": "req-fast" } }),
+    ]);
+    await delay(30);
+  });
+
+  const reads = lines.filter((line) => line.msg === "Thing read");
+  assert.deepStrictEqual(
+    reads.map((line) => [line.id, line.requestId]),
+    [
+      ["fast", "req-fast"],
+      ["slow", "req-slow"],
+    ],
+  );
+});
+
+test("a malformed incoming id is replaced, and error bodies carry the id", async (t) => {
+  let response;
+  await captureLines(t, async () => {
+    response = await fetch(`${url}/broken`, {
+      headers: { "X-Request-Id": "not a valid id" },
+    });
+  });
+  const id = response.headers.get("x-request-id");
+
+  assert.notStrictEqual(id, "not a valid id");
+  assert.match(id, /^[0-9a-f-]{36}$/);
+  assert.deepStrictEqual(await response.json(), {
+    error: "Broken",
+    requestId: id,
+  });
+});
+
+test("lines outside a request have no request fields, and errors keep their stack", async (t) => {
+  const error = new Error("Disk full");
+  error.code = "ENOSPC";
+  const lines = await captureLines(t, async () => {
+    logger.error("Write failed", { error });
+  });
+
+  assert.strictEqual(lines.length, 1);
+  assert.strictEqual(lines[0].requestId, undefined);
+  assert.strictEqual(lines[0].error.message, "Disk full");
+  assert.strictEqual(lines[0].error.code, "ENOSPC");
+  assert.match(lines[0].error.stack, /Disk full\n\s+at /);
+});
@@ -0,0 +1,165 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const sharp = require("sharp");
+const {
+  stripLocation,
+  resolveOrientation,
+} = require("../server/services/metadataPolicy");
+
+const GPS_IFD_POINTER_TAG = 0x8825;
+
+/**
+ * A small JPEG whose EXIF has a copyright notice and GPS coordinates
+ */
+function jpegWithLocation() {
+  return sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#808080" },
+  })
+    .jpeg()
+    .withExif({
+      IFD0: { Copyright: "Jane Photographer" },
+      IFD3: {
+        GPSLatitudeRef: "N",
+        GPSLatitude: "48/1 51/1 2455/100",
+        GPSLongitudeRef: "E",
+        GPSLongitude: "2/1 21/1 785/100",
+      },
+    })
+    .toBuffer();
+}
+
+/**
+ * Number of entries in the GPS IFD of sharp's raw EXIF block (little-endian
+ * only, as sharp writes it), or 0 when there is none
+ */
+function countGpsEntries(exif) {
+  const tiff = exif.subarray(6); // "Exif\0\0"
+  const ifd0 = tiff.readUInt32LE(4);
+  for (let i = 0; i < tiff.readUInt16LE(ifd0); i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (tiff.readUInt16LE(entry) === GPS_IFD_POINTER_TAG) {
+      return tiff.readUInt16LE(tiff.readUInt32LE(entry + 8));
+    }
+  }
+  return 0;
+}
+
+test("stripLocation removes EXIF GPS data and keeps the copyright", async () => {
+  const input = await jpegWithLocation();
+  const { exif } = await sharp(input).metadata();
+  assert.strictEqual(countGpsEntries(exif), 4);
+
+  const output = stripLocation(input, exif);
+  const metadata = await sharp(output).metadata();
+
+  assert.strictEqual(output.length, input.length);
+  assert.strictEqual(countGpsEntries(metadata.exif), 0);
+  assert.match(metadata.exif.toString("latin1"), /Jane Photographer/);
+  assert.strictEqual(metadata.width, 8);
+});
+
+test("stripLocation blanks XMP GPS properties without moving bytes", () => {
+  const xmp =
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:Description ' +
+    'exif:GPSLongitude="2,21.13E">' +
+    "<exif:GPSLatitude>48,51.41N</exif:GPSLatitude>" +
+    "<dc:rights>Jane Photographer</dc:rights>" +
+    "</rdf:Description></x:xmpmeta>";
+  const input = Buffer.from(`header${xmp}trailer`, "latin1");
+
+  const output = stripLocation(input).toString("latin1");
+
+  assert.strictEqual(output.length, input.length);
+  assert.doesNotMatch(output, /GPS|48,51|2,21/);
+  assert.match(output, /<dc:rights>Jane Photographer<\/dc:rights>/);
+  assert.match(output, /^header<x:xmpmeta.*<\/x:xmpmeta>trailer$/);
+});
+
+test("stripLocation leaves images without location untouched", async () => {
+  const input = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: "#808080" },
+  })
+    .jpeg()
+    .withExif({ IFD0: { Copyright: "Jane Photographer" } })
+    .toBuffer();
+  const { exif } = await sharp(input).metadata();
+
+  assert.deepStrictEqual(stripLocation(input, exif), input);
+});
+
+// A 3x2 image with six distinct pixels, so every transform is told apart
+const PIXELS = {
+  data: Buffer.from([
+    255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 0, 0, 255, 255, 255, 0, 255,
+  ]),
+  info: { width: 3, height: 2, channels: 3 },
+};
+
+/**
+ * Raw pixels of a sharp pipeline's output
+ */
+async function toPixels(image) {
+  const { data, info } = await image
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return {
+    data,
+    info: { width: info.width, height: info.height, channels: info.channels },
+  };
+}
+
+/**
+ * Run one transform on raw pixels
+ */
+function transform({ data, info }, apply) {
+  return toPixels(apply(sharp(data, { raw: info })));
+}
+
+test("resolveOrientation matches orienting upright, then rotating and mirroring", async () => {
+  for (let orientation = 1; orientation <= 8; orientation++) {
+    const tagged = await sharp(PIXELS.data, { raw: PIXELS.info })
+      .png()
+      .withMetadata({ orientation })
+      .toBuffer();
+    const upright = await toPixels(sharp(tagged).rotate());
+
+    for (const rotate of [0, 90, 180, 270]) {
+      for (const flip of [false, true]) {
+        for (const flop of [false, true]) {
+          let expected = await transform(upright, (image) =>
+            image.rotate(rotate),
+          );
+          if (flip) expected = await transform(expected, (i) => i.flip());
+          if (flop) expected = await transform(expected, (i) => i.flop());
+
+          // As compressImage runs it, on the pixels as stored
+          const ops = resolveOrientation(orientation, { rotate, flip, flop });
+          const actual = await transform(PIXELS, (image) => {
+            if (ops.flip) image = image.flip();
+            if (ops.flop) image = image.flop();
+            return ops.angle ? image.rotate(ops.angle) : image;
+          });
+
+          assert.deepStrictEqual(
+            actual,
+            expected,
+            `orientation ${orientation}, ${JSON.stringify({ rotate, flip, flop })}`,
+          );
+        }
+      }
+    }
+  }
+});
+
+test("resolveOrientation treats a missing orientation as upright and cancels opposite turns", () => {
+  assert.deepStrictEqual(resolveOrientation(undefined, { rotate: 90 }), {
+    angle: 90,
+    flip: false,
+    flop: false,
+  });
+  assert.deepStrictEqual(resolveOrientation(6, { rotate: 270 }), {
+    angle: 0,
+    flip: false,
+    flop: false,
+  });
+});
@@ -0,0 +1,168 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Local storage in a fresh directory, read when the config loads
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "metrics-"));
+for (const area of ["uploads", "compressed", "cache", "registry"]) {
+  process.env[`${area.toUpperCase()}_DIR`] = path.join(root, area);
+}
+
+const metrics = require("../server/services/metrics");
+const fileRegistry = require("../server/services/fileRegistry");
+
+/**
+ * Value of one sample ("name{labels}") in the exposition, or undefined
+ */
+async function getSample(series) {
+  const text = await metrics.renderMetrics();
+  const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+  return line === undefined ? undefined : line.slice(series.length + 1);
+}
+
+function result(fields) {
+  return {
+    success: true,
+    outputFormat: "webp",
+    originalSize: 1000,
+    compressedSize: 400,
+    ...fields,
+  };
+}
+
+test("compressions are counted and timed by format and batch size", async () => {
+  metrics.recordCompression(result(), {
+    inputFormat: "png",
+    batchSize: 1,
+    seconds: 0.2,
+  });
+  metrics.recordCompression(result(), {
+    inputFormat: "png",
+    batchSize: 3,
+    seconds: 4,
+  });
+  metrics.recordCompression(result(), {
+    inputFormat: "png",
+    batchSize: 30,
+    seconds: 100,
+  });
+
+  const name = "compress_it_compression_duration_seconds";
+  const labels = 'input_format="png",output_format="webp"';
+  assert.strictEqual(
+    await getSample(`compress_it_compressions_total{${labels}}`),
+    "3",
+  );
+  assert.strictEqual(
+    await getSample(
+      `compress_it_compression_output_bytes_total{output_format="webp"}`,
+    ),
+    "1200",
+  );
+
+  // Buckets are cumulative, and +Inf holds everything
+  const one = `${labels},batch_size="1"`;
+  assert.strictEqual(await getSample(`${name}_bucket{${one},le="0.1"}`), "0");
+  assert.strictEqual(await getSample(`${name}_bucket{${one},le="0.25"}`), "1");
+  assert.strictEqual(await getSample(`${name}_bucket{${one},le="+Inf"}`), "1");
+  assert.strictEqual(await getSample(`${name}_sum{${one}}`), "0.2");
+  assert.strictEqual(await getSample(`${name}_count{${one}}`), "1");
+
+  const few = `${labels},batch_size="2-5"`;
+  assert.strictEqual(await getSample(`${name}_bucket{${few},le="2.5"}`), "0");
+  assert.strictEqual(await getSample(`${name}_bucket{${few},le="5"}`), "1");
+
+  const many = `${labels},batch_size="21+"`;
+  assert.strictEqual(await getSample(`${name}_bucket{${many},le="60"}`), "0");
+  assert.strictEqual(await getSample(`${name}_bucket{${many},le="+Inf"}`), "1");
+});
+
+test("cache hits are counted but not timed", async () => {
+  const before = Number(await getSample("compress_it_cache_hits_total"));
+  metrics.recordCompression(result({ cached: true, outputFormat: "avif" }), {
+    inputFormat: "jpeg",
+    batchSize: 1,
+    seconds: 0.01,
+  });
+
+  assert.strictEqual(
+    Number(await getSample("compress_it_cache_hits_total")),
+    before + 1,
+  );
+  const text = await metrics.renderMetrics();
+  assert.doesNotMatch(
+    text,
+    /duration_seconds_count\{[^}]*output_format="avif"/,
+  );
+});
+
+test("failures are counted by type, from their message", async () => {
+  for (const error of ["File not found", "Corrupt JPEG image", "Boom"]) {
+    metrics.recordCompression(
+      { success: false, error },
+      { inputFormat: "png", batchSize: 1, seconds: 0 },
+    );
+  }
+
+  for (const type of ["not_found", "corrupt_image", "processing"]) {
+    assert.strictEqual(
+      await getSample(`compress_it_failures_total{type="${type}"}`),
+      "1",
+    );
+  }
+});
+
+test("label values are escaped", async () => {
+  metrics.recordUpload('a"b\\c\nd', 10);
+  assert.strictEqual(
+    await getSample('compress_it_uploads_total{source="a\\"b\\\\c\\nd"}'),
+    "1",
+  );
+});
+
+test("stored files are read from the file registry's counts", async () => {
+  await fileRegistry.registerFile({
+    area: "uploads",
+    key: "0123456789abcdef0123456789abcdef/a.png",
+    kind: "upload",
+    owner: "0123456789abcdef0123456789abcdef",
+    uploadId: "a",
+  });
+
+  assert.strictEqual(
+    await getSample('compress_it_stored_files{area="uploads"}'),
+    "1",
+  );
+  assert.strictEqual(
+    await getSample('compress_it_stored_files{area="compressed"}'),
+    "0",
+  );
+});
+
+test("every metric has HELP and TYPE lines, then well-formed samples", async () => {
+  const text = await metrics.renderMetrics();
+  assert.ok(text.endsWith("\n"));
+
+  let current = null;
+  for (const line of text.trimEnd().split("\n")) {
+    const help = /^# HELP (compress_it_\w+|process_\w+) .+$/.exec(line);
+    if (help) {
+      current = help[1];
+      continue;
+    }
+    if (line.startsWith("# TYPE ")) {
+      assert.match(
+        line,
+        new RegExp(`^# TYPE ${current} (counter|gauge|histogram)$`),
+      );
+      continue;
+    }
+    assert.match(
+      line,
+      /^[a-z_]+(\{([a-z_]+="([^"\\]|\\.)*",?)*\})? (-?\d+(\.\d+)?(e[+-]?\d+)?|\+Inf)$/,
+    );
+    assert.ok(line.startsWith(current), `${line} after # HELP ${current}`);
+  }
+});
@@ -0,0 +1,164 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// A presets file with one shared preset, and local storage in the same
+// fresh directory, read when the config loads
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "presets-"));
+const presetsFile = path.join(root, "presets.json");
+fs.writeFileSync(
+  presetsFile,
+  JSON.stringify({
+    presets: [
+      { name: "blog-hero", settings: { quality: 75 } },
+      { name: "saved", owner: "key:old", settings: { quality: 50 } },
+    ],
+  }),
+);
+process.env.PRESETS_FILE = presetsFile;
+for (const area of ["uploads", "compressed", "cache", "registry", "presets"]) {
+  process.env[`${area.toUpperCase()}_DIR`] = path.join(root, area);
+}
+process.env.MAX_PRESETS = "3";
+
+const storage = require("../server/services/storage");
+const fileRegistry = require("../server/services/fileRegistry");
+const presetService = require("../server/services/presetService");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The object an owner's presets are saved in, read from storage
+ */
+async function savedPresets(owner) {
+  for (const { key } of await storage.list("presets")) {
+    const saved = JSON.parse(await storage.read("presets", key));
+    if (saved.owner === owner) return saved;
+  }
+}
+
+test("presets belong to the API key, or else the session", () => {
+  const session = { owner: "0123456789abcdef0123456789abcdef" };
+  const keyClient = { id: "key:team-a" };
+  const anonymous = { id: "ip:127.0.0.1" };
+
+  assert.strictEqual(
+    presetService.getPresetOwner(keyClient, session),
+    "key:team-a",
+  );
+  assert.strictEqual(
+    presetService.getPresetOwner(anonymous, session),
+    session.owner,
+  );
+  assert.strictEqual(presetService.getPresetOwner(anonymous, null), null);
+});
+
+test("clients see their own presets and the shared ones", async () => {
+  await presetService.createPreset("key:team-a", {
+    name: "product-thumb",
+    settings: { quality: 60 },
+  });
+
+  const names = async (owner) =>
+    (await presetService.listPresets(owner)).map((p) => [p.name, p.shared]);
+  assert.deepStrictEqual(await names("key:team-a"), [
+    ["blog-hero", true],
+    ["product-thumb", false],
+  ]);
+  assert.deepStrictEqual(await names("key:team-b"), [["blog-hero", true]]);
+  assert.deepStrictEqual(await names(null), [["blog-hero", true]]);
+
+  assert.strictEqual(
+    await presetService.getPreset("product-thumb", "key:team-b"),
+    null,
+  );
+});
+
+test("a client's own preset hides a shared one of the same name", async () => {
+  const own = await presetService.createPreset("key:team-a", {
+    name: "blog-hero",
+    settings: { quality: 90 },
+  });
+  assert.strictEqual(own.shared, false);
+
+  const preset = await presetService.getPreset("blog-hero", "key:team-a");
+  assert.deepStrictEqual(preset.settings, { quality: 90 });
+
+  const shared = await presetService.getPreset("blog-hero", "key:team-b");
+  assert.deepStrictEqual(shared.settings, { quality: 75 });
+});
+
+test("shared and other clients' presets can't be changed", async () => {
+  const update = { settings: { quality: 10 } };
+  assert.strictEqual(
+    await presetService.updatePreset("key:team-b", "blog-hero", update),
+    null,
+  );
+  assert.strictEqual(
+    await presetService.updatePreset(null, "blog-hero", update),
+    null,
+  );
+  assert.strictEqual(
+    await presetService.deletePreset("key:team-b", "product-thumb"),
+    false,
+  );
+
+  const shared = await presetService.getPreset("blog-hero", "key:team-b");
+  assert.deepStrictEqual(shared.settings, { quality: 75 });
+});
+
+test("presets with an owner in the presets file are not shared", async () => {
+  assert.strictEqual(
+    await presetService.getPreset("saved", "key:team-b"),
+    null,
+  );
+});
+
+test("saved presets are kept in storage, up to the limit per owner", async () => {
+  const owner = "key:team-c";
+  for (const name of ["one", "two", "three"]) {
+    await presetService.createPreset(owner, { name, settings: {} });
+  }
+  await assert.rejects(
+    presetService.createPreset(owner, { name: "four", settings: {} }),
+    { code: "PRESET_LIMIT" },
+  );
+
+  const saved = await savedPresets(owner);
+  assert.deepStrictEqual(
+    saved.presets.map((p) => p.name),
+    ["one", "two", "three"],
+  );
+
+  for (const name of ["one", "two", "three"]) {
+    assert.strictEqual(await presetService.deletePreset(owner, name), true);
+  }
+  assert.strictEqual(await savedPresets(owner), undefined);
+});
+
+test("a session's presets expire with the session", async (t) => {
+  const session = "fedcba9876543210fedcba9876543210";
+  await presetService.createPreset(session, {
+    name: "mine",
+    settings: { quality: 40 },
+  });
+
+  // Listed 20 days on, then 20 more: kept, as the session was used
+  let now = Date.now() + 20 * DAY;
+  t.mock.method(Date, "now", () => now);
+  await presetService.keepPresets(session);
+  now += 20 * DAY;
+  await fileRegistry.removeExpired();
+  assert.ok(await presetService.getPreset("mine", session));
+
+  // Unused for longer than SESSION_MAX_AGE
+  now += 31 * DAY;
+  const removed = await fileRegistry.removeExpired();
+  assert.strictEqual(removed.presets, 1);
+  assert.strictEqual(await presetService.getPreset("mine", session), null);
+
+  // API keys' presets don't expire
+  assert.ok(await presetService.getPreset("product-thumb", "key:team-a"));
+});
@@ -0,0 +1,25 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { measureQuality } = require("../server/services/qualityMetrics");
+const { compressImage } = require("../server/services/compressionService");
+const { transparentPng } = require("./fixtures");
+
+test("identical images score the maximum", async () => {
+  const png = await transparentPng();
+  assert.deepStrictEqual(await measureQuality(png, png), {
+    ssim: 1,
+    psnr: 100,
+  });
+});
+
+test("transparent source converted to JPEG scores as near-lossless", async () => {
+  const buffer = await transparentPng();
+  const result = await compressImage(
+    { id: "t", originalName: "t.png", mimetype: "image/png", buffer },
+    { inMemory: true, quality: 100, outputFormat: "jpeg" },
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.ok(result.ssim > 0.98, `ssim ${result.ssim}`);
+  assert.ok(result.psnr > 35, `psnr ${result.psnr}`);
+});
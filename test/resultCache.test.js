@@ -0,0 +1,123 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Local storage in a fresh directory, read when the config loads
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "result-cache-"));
+for (const area of ["uploads", "compressed", "cache", "registry"]) {
+  process.env[`${area.toUpperCase()}_DIR`] = path.join(root, area);
+}
+
+const resultCache = require("../server/services/resultCache");
+
+const INPUT = Buffer.from("image bytes");
+
+/**
+ * A render function that counts its calls and resolves when released
+ */
+function deferredRender(result) {
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+  const render = async () => {
+    render.calls++;
+    await released;
+    return result;
+  };
+  render.calls = 0;
+  render.release = release;
+  return render;
+}
+
+function success(bytes) {
+  return {
+    success: true,
+    id: "file-1",
+    originalName: "a.png",
+    compressedSize: bytes.length,
+    buffer: Buffer.from(bytes),
+  };
+}
+
+test("cache keys depend on the input and the output settings only", async () => {
+  const key = (input, format, settings) =>
+    resultCache.getCacheKey(input, format, settings);
+  const base = await key(INPUT, "webp", { quality: 80, resizeWidth: 100 });
+
+  assert.strictEqual(
+    await key(INPUT, "webp", {
+      resizeWidth: 100,
+      quality: 80,
+      filenameSuffix: "100w",
+    }),
+    base,
+  );
+  assert.notStrictEqual(
+    await key(INPUT, "webp", { quality: 81, resizeWidth: 100 }),
+    base,
+  );
+  assert.notStrictEqual(
+    await key(INPUT, "avif", { quality: 80, resizeWidth: 100 }),
+    base,
+  );
+  assert.notStrictEqual(
+    await key(Buffer.from("other bytes"), "webp", {
+      quality: 80,
+      resizeWidth: 100,
+    }),
+    base,
+  );
+});
+
+test("a cached result is reused without rendering, minus per-file fields", async () => {
+  const key = await resultCache.getCacheKey(INPUT, "webp", { quality: 1 });
+  const render = deferredRender(success("output"));
+  render.release();
+
+  const first = await resultCache.getOrRender(key, render);
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(first.result.id, "file-1");
+
+  const second = await resultCache.getOrRender(key, render);
+  assert.strictEqual(render.calls, 1);
+  assert.strictEqual(second.cached, true);
+  assert.strictEqual(second.result.buffer.toString(), "output");
+  assert.strictEqual(second.result.compressedSize, 6);
+  assert.strictEqual(second.result.id, undefined);
+  assert.strictEqual(second.result.originalName, undefined);
+});
+
+test("identical work in flight is rendered once and shared", async () => {
+  const key = await resultCache.getCacheKey(INPUT, "webp", { quality: 2 });
+  const render = deferredRender(success("shared"));
+
+  const first = resultCache.getOrRender(key, render);
+  const second = resultCache.getOrRender(key, render);
+  render.release();
+  const [a, b] = await Promise.all([first, second]);
+
+  assert.strictEqual(render.calls, 1);
+  assert.strictEqual(a.cached, false);
+  assert.strictEqual(b.cached, true);
+  assert.strictEqual(b.result.buffer.toString(), "shared");
+});
+
+test("failures are shared while in flight but never cached", async () => {
+  const key = await resultCache.getCacheKey(INPUT, "webp", { quality: 3 });
+  const render = deferredRender({ success: false, error: "Corrupt image" });
+
+  const first = resultCache.getOrRender(key, render);
+  const second = resultCache.getOrRender(key, render);
+  render.release();
+  const [a, b] = await Promise.all([first, second]);
+
+  assert.strictEqual(render.calls, 1);
+  assert.strictEqual(a.result.success, false);
+  assert.strictEqual(b.cached, false);
+
+  await resultCache.getOrRender(key, render);
+  assert.strictEqual(render.calls, 2);
+});
@@ -0,0 +1,110 @@
+/**
+ * Integration test of the S3 driver against a real S3-compatible server.
+ * Skipped unless S3_TEST_ENDPOINT is set, e.g. with MinIO:
+ *
+ *   docker run -p 9000:9000 -e MINIO_ROOT_USER=minio \
+ *     -e MINIO_ROOT_PASSWORD=minio123 minio/minio server /data
+ *   # create the bucket "compress-it-test", then:
+ *   S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=compress-it-test \
+ *     S3_TEST_ACCESS_KEY_ID=minio S3_TEST_SECRET_ACCESS_KEY=minio123 npm test
+ *
+ * Everything is written under a fresh key prefix and deleted afterwards.
+ */
+
+const { describe, test, after } = require("node:test");
+const assert = require("node:assert");
+const { createS3Storage } = require("../server/services/storage/s3Storage");
+
+const endpoint = process.env.S3_TEST_ENDPOINT;
+
+/**
+ * Read a whole stream into a Buffer
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe(
+  "S3 storage",
+  { skip: !endpoint && "S3_TEST_ENDPOINT is not set" },
+  () => {
+    const storage = createS3Storage({
+      endpoint,
+      region: process.env.S3_TEST_REGION || "us-east-1",
+      bucket: process.env.S3_TEST_BUCKET || "compress-it-test",
+      accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY,
+      prefix: `test-${Date.now()}`,
+      forcePathStyle: true,
+      urlExpiry: 60,
+    });
+
+    const owner = "0123456789abcdef0123456789abcdef";
+    const key = `${owner}/photo 1 (é).jpg`;
+    const content = Buffer.from("not really a JPEG");
+
+    after(async () => {
+      for (const area of ["uploads", "compressed"]) {
+        for (const file of await storage.list(area)) {
+          await storage.remove(area, file.key);
+        }
+      }
+    });
+
+    test("writes, reads and lists objects", async () => {
+      await storage.write("uploads", key, content, {
+        contentType: "image/jpeg",
+      });
+
+      assert.deepStrictEqual(await storage.read("uploads", key), content);
+      assert.strictEqual(await storage.exists("uploads", key), true);
+
+      const files = await storage.list("uploads", `${owner}/`);
+      assert.deepStrictEqual(
+        files.map((file) => [file.key, file.size]),
+        [[key, content.length]],
+      );
+      assert.ok(files[0].lastModified > 0);
+
+      assert.deepStrictEqual(await storage.list("compressed"), []);
+    });
+
+    test("streams objects and reports missing ones as ENOENT", async () => {
+      const stream = await storage.createReadStream("uploads", key);
+      assert.deepStrictEqual(await readStream(stream), content);
+
+      assert.strictEqual(
+        await storage.exists("uploads", `${owner}/missing.jpg`),
+        false,
+      );
+      await assert.rejects(storage.read("uploads", `${owner}/missing.jpg`), {
+        code: "ENOENT",
+      });
+    });
+
+    test("presigned download URLs serve the object as an attachment", async () => {
+      const url = await storage.getDownloadUrl("uploads", key, {
+        downloadName: "photo (é).jpg",
+      });
+      const response = await fetch(url);
+
+      assert.strictEqual(response.status, 200);
+      assert.match(
+        response.headers.get("content-disposition"),
+        /^attachment; filename="photo \(_\)\.jpg"/,
+      );
+      assert.deepStrictEqual(
+        Buffer.from(await response.arrayBuffer()),
+        content,
+      );
+    });
+
+    test("removes objects", async () => {
+      await storage.remove("uploads", key);
+      assert.strictEqual(await storage.exists("uploads", key), false);
+      assert.deepStrictEqual(await storage.list("uploads"), []);
+    });
+  },
+);
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  fetchImage,
+  isPrivateAddress,
+} = require("../server/services/urlFetcher");
+
+test("isPrivateAddress refuses loopback, private and link-local addresses", () => {
+  for (const address of [
+    "127.0.0.1",
+    "127.255.0.1",
+    "10.0.0.1",
+    "172.16.5.4",
+    "192.168.1.1",
+    "169.254.169.254",
+    "0.0.0.0",
+    "::",
+    "::1",
+    "fc00::1",
+    "fe80::1",
+    "not an address",
+  ]) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+});
+
+test("isPrivateAddress checks IPv4-mapped IPv6 as the IPv4 address", () => {
+  assert.strictEqual(isPrivateAddress("::ffff:127.0.0.1"), true);
+  assert.strictEqual(isPrivateAddress("::ffff:7f00:1"), true);
+  assert.strictEqual(isPrivateAddress("::ffff:10.0.0.1"), true);
+  assert.strictEqual(isPrivateAddress("::ffff:8.8.8.8"), false);
+});
+
+test("isPrivateAddress allows public addresses", () => {
+  for (const address of ["8.8.8.8", "93.184.216.34", "2606:4700::1111"]) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test("fetchImage refuses loopback URLs without connecting", async () => {
+  await assert.rejects(fetchImage("http://127.0.0.1/image.png"), {
+    message: "127.0.0.1 is a private address",
+  });
+  await assert.rejects(fetchImage("http://127.1/image.png"), {
+    message: "127.0.0.1 is a private address",
+  });
+  await assert.rejects(fetchImage("http://[::1]/image.png"), {
+    message: "[::1] is a private address",
+  });
+  await assert.rejects(fetchImage("http://[::ffff:127.0.0.1]/image.png"), {
+    message: "[::ffff:7f00:1] is a private address",
+  });
+});
+
+test("fetchImage refuses hostnames that resolve to loopback", async () => {
+  await assert.rejects(fetchImage("http://localhost/image.png"), {
+    message: "localhost resolves to a private address",
+  });
+});
+
+test("fetchImage only fetches HTTP and HTTPS URLs", async () => {
+  for (const url of [
+    "file:///etc/passwd",
+    "ftp://example.com/image.png",
+    "gopher://example.com/",
+  ]) {
+    await assert.rejects(fetchImage(url), {
+      message: "Only HTTP and HTTPS URLs are supported",
+    });
+  }
+  await assert.rejects(fetchImage("not a url"), { message: "Invalid URL" });
+});
@@ -0,0 +1,166 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// Batches are capped at MAX_FILES, read when the schemas load
+process.env.MAX_FILES = "2";
+
+const { validate } = require("../server/middleware/validate");
+const schemas = require("../server/schemas/compression");
+
+const route = {
+  query: {
+    type: "object",
+    properties: {
+      limit: { type: "integer", minimum: 1, maximum: 100 },
+      recursive: { type: "boolean" },
+      width: { type: "integer", nullable: true },
+    },
+  },
+  body: {
+    type: "object",
+    required: ["name"],
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", minLength: 1 },
+      quality: {
+        anyOf: [
+          { type: "integer", minimum: 1, maximum: 100 },
+          { type: "string", enum: ["auto"] },
+        ],
+        nullable: true,
+      },
+    },
+  },
+};
+
+/**
+ * Run the validator on a request; returns { req, res, passed }
+ */
+function run({ query = {}, body = { name: "web" } }, checked = route) {
+  const req = { params: {}, query, body };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+  };
+  let passed = false;
+  validate(checked)(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+test("converts query strings to the types the schema expects", () => {
+  const { req, passed } = run({
+    query: { limit: "20", recursive: "false", width: "" },
+  });
+
+  assert.strictEqual(passed, true);
+  assert.deepStrictEqual(req.query, {
+    limit: 20,
+    recursive: false,
+    width: null,
+  });
+});
+
+test("rejects strings that don't read as the expected type", () => {
+  const { res, passed } = run({
+    query: { limit: "20px", recursive: "yes", width: " " },
+  });
+
+  assert.strictEqual(passed, false);
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(res.body.errors, [
+    { field: "limit", message: "must be an integer" },
+    { field: "recursive", message: "must be a boolean" },
+    { field: "width", message: "must be an integer" },
+  ]);
+  assert.strictEqual(
+    res.body.error,
+    "limit: must be an integer; recursive: must be a boolean; " +
+      "width: must be an integer",
+  );
+});
+
+test("checks ranges after conversion", () => {
+  const { res } = run({ query: { limit: "0" } });
+
+  assert.deepStrictEqual(res.body.errors, [
+    { field: "limit", message: "must be at least 1" },
+  ]);
+});
+
+test("anyOf accepts the first alternative that fits", () => {
+  for (const [quality, expected] of [
+    ["auto", "auto"],
+    ["75", 75],
+    [75, 75],
+    [null, null],
+  ]) {
+    const { req, passed } = run({ body: { name: "web", quality } });
+    assert.strictEqual(passed, true);
+    assert.strictEqual(req.body.quality, expected);
+  }
+});
+
+test("anyOf reports the alternative of the value's type", () => {
+  const { res } = run({ body: { name: "web", quality: 150 } });
+
+  assert.deepStrictEqual(res.body.errors, [
+    { field: "quality", message: "must be at most 100" },
+  ]);
+});
+
+test("anyOf lists the alternatives when none has the value's type", () => {
+  const { res } = run({ body: { name: "web", quality: "best" } });
+
+  assert.deepStrictEqual(res.body.errors, [
+    { field: "quality", message: 'must be an integer or "auto"' },
+  ]);
+});
+
+test("reports missing and unknown body fields", () => {
+  const { res } = run({ body: { qualty: 80 } });
+
+  assert.deepStrictEqual(res.body.errors, [
+    { field: "name", message: "is required" },
+    { field: "qualty", message: "is not allowed" },
+  ]);
+});
+
+test("rejects a body that is not a JSON object", () => {
+  const { res } = run({ body: ["web"] });
+
+  assert.deepStrictEqual(res.body.errors, [
+    { field: "body", message: "must be a JSON object" },
+  ]);
+});
+
+test("compress and job batches are capped at MAX_FILES", () => {
+  const upload = () => ({
+    id: "6f1c1f4e-8a5e-4c43-9a59-0d8f8e0f6b1a",
+    filename: "6f1c1f4e-8a5e-4c43-9a59-0d8f8e0f6b1a.png",
+  });
+
+  for (const schema of [schemas.compress, schemas.createJob]) {
+    assert.strictEqual(
+      run({ body: { files: [upload(), upload()] } }, schema).passed,
+      true,
+    );
+
+    const { res } = run(
+      { body: { files: [upload(), upload(), upload()] } },
+      schema,
+    );
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(res.body.errors, [
+      { field: "files", message: "must have at most 2 item(s)" },
+    ]);
+  }
+});
@@ -0,0 +1,141 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const sharp = require("sharp");
+const { createWatermarkLayer } = require("../server/services/watermark");
+
+const TEXT = {
+  type: "text",
+  text: "Studio",
+  fontSize: 20,
+  color: "#ffffff",
+  opacity: 0.5,
+  margin: 10,
+};
+
+/**
+ * Attributes of the first element of a tag in a watermark layer's SVG
+ */
+function getAttributes(layer, tag) {
+  const element = layer.input.toString().match(new RegExp(`<${tag} [^>]*>`));
+  return Object.fromEntries(
+    [...element[0].matchAll(/([\w-]+)="([^"]*)"/g)].map(([, name, value]) => [
+      name,
+      value,
+    ]),
+  );
+}
+
+/**
+ * A PNG logo of one solid colour
+ */
+function solidLogo(width, height) {
+  return sharp({
+    create: { width, height, channels: 4, background: "#ff0000" },
+  })
+    .png()
+    .toBuffer();
+}
+
+test("text watermarks are anchored to their corner, inside the margin", () => {
+  const expected = {
+    "top-left": { x: "10", y: "26", "text-anchor": "start" },
+    "top-right": { x: "190", y: "26", "text-anchor": "end" },
+    "bottom-left": { x: "10", y: "86", "text-anchor": "start" },
+    "bottom-right": { x: "190", y: "86", "text-anchor": "end" },
+    center: { x: "100", y: "56", "text-anchor": "middle" },
+  };
+
+  for (const [position, placement] of Object.entries(expected)) {
+    const layer = createWatermarkLayer({ ...TEXT, position }, 200, 100);
+    const { x, y, "text-anchor": anchor } = getAttributes(layer, "text");
+    assert.deepStrictEqual(
+      { x, y, "text-anchor": anchor },
+      placement,
+      position,
+    );
+  }
+});
+
+test("watermark text and colour are escaped, and the layer still renders", async () => {
+  const layer = createWatermarkLayer(
+    {
+      ...TEXT,
+      text: '<b>"Tom & Jerry"</b>',
+      color: 'red" onload="alert(1)',
+      position: "center",
+    },
+    200,
+    100,
+  );
+  const svg = layer.input.toString();
+
+  assert.match(svg, />&lt;b&gt;&quot;Tom &amp; Jerry&quot;&lt;\/b&gt;</);
+  assert.strictEqual(
+    getAttributes(layer, "text").fill,
+    "red&quot; onload=&quot;alert(1)",
+  );
+  assert.doesNotMatch(svg, /<b>|onload="/);
+
+  const metadata = await sharp(layer.input).metadata();
+  assert.deepStrictEqual([metadata.width, metadata.height], [200, 100]);
+});
+
+test("logos are placed in their corner and scaled to fit inside the margins", async () => {
+  const logo = await solidLogo(50, 25);
+  const watermark = {
+    type: "image",
+    logo: { data: logo.toString("base64"), width: 50, height: 25 },
+    scale: 0.25,
+    opacity: 1,
+    margin: 10,
+  };
+
+  const corner = createWatermarkLayer(
+    { ...watermark, position: "bottom-right" },
+    200,
+    100,
+  );
+  const { x, y, width, height } = getAttributes(corner, "image");
+  assert.deepStrictEqual([x, y, width, height], ["140", "65", "50", "25"]);
+
+  // Rendered, the logo covers its corner and nothing else
+  const { data, info } = await sharp(corner.input)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const alpha = (px, py) => data[(py * info.width + px) * info.channels + 3];
+  assert.ok(alpha(165, 77) > 0);
+  assert.strictEqual(alpha(20, 20), 0);
+  assert.strictEqual(alpha(195, 95), 0);
+
+  // Wider than the image allows: shrunk to the space inside the margins
+  const large = createWatermarkLayer(
+    {
+      ...watermark,
+      logo: { ...watermark.logo, width: 400, height: 400 },
+      scale: 1,
+      position: "top-left",
+    },
+    200,
+    100,
+  );
+  const fitted = getAttributes(large, "image");
+  assert.deepStrictEqual(
+    [fitted.x, fitted.y, fitted.width, fitted.height],
+    ["10", "10", "80", "80"],
+  );
+});
+
+test("animated layers repeat the watermark on every frame", () => {
+  const layer = createWatermarkLayer(
+    { ...TEXT, position: "top-left" },
+    200,
+    100,
+    3,
+  );
+  const svg = layer.input.toString();
+
+  assert.match(svg, /height="300"/);
+  assert.strictEqual(svg.match(/<text /g).length, 3);
+  assert.match(svg, /translate\(0 100\)/);
+  assert.match(svg, /translate\(0 200\)/);
+});